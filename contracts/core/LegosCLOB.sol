@@ -7,6 +7,7 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "../interfaces/ILegosCore.sol";
 import "../libraries/LegosMath.sol";
+import "../libraries/LegosPermit.sol";
 
 /**
  * @title LegosCLOB
@@ -26,6 +27,8 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
     mapping(uint256 => Loan) public loans;
     mapping(address => uint256[]) public userOrders;
     mapping(address => uint256[]) public userLoans;
+    mapping(uint256 => address) public loanAssets; // loanId => borrowed asset
+    mapping(uint256 => address) public orderAssets; // orderId => asset lent or borrowed
     mapping(address => mapping(address => uint256)) public userCollateral;
     mapping(address => RiskParameters) public assetRiskParams;
     
@@ -40,6 +43,10 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
     uint256 public constant MAX_INTEREST_RATE = 10000; // 100% max interest rate
     uint256 public constant DEFAULT_LTV = 7500; // 75% default max LTV
     uint256 public protocolFee = 100; // 1% protocol fee in basis points
+    uint256 public gracePeriod = 3 days; // Time after maturity before a loan can be defaulted
+    uint256 public constant MAX_GRACE_PERIOD = 30 days;
+    uint256 public constant MAX_PROTOCOL_FEE = 1000; // 10% max protocol fee
+    address public riskManager; // Only contract allowed to settle liquidations
     
     /// @dev Custom errors
     error InvalidAmount();
@@ -51,6 +58,11 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
     error UnauthorizedAccess();
     error InvalidAsset();
     error OrderExpired();
+    error LoanNotActive();
+    error LoanNotDefaultable();
+    error InvalidGracePeriod();
+    error InvalidProtocolFee();
+    error FillOrKillNotFilled();
     
     /// @dev Events specific to CLOB
     event OrderBookUpdated(address indexed asset, uint256 indexed rate, bool isLend);
@@ -59,6 +71,12 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
     event BorrowingRateUpdated(address indexed asset, uint256 newRate);
     event InstantExecution(uint256 indexed orderId, uint256 amount, uint256 rate);
     event OrderBookDepthUpdated(address indexed asset, uint256 totalLendVolume, uint256 totalBorrowVolume);
+    event LoanDefaulted(uint256 indexed loanId, address indexed lender, uint256 collateralSeized);
+    event GracePeriodUpdated(uint256 newGracePeriod);
+    event ProtocolFeeUpdated(uint256 newFee);
+    event RiskManagerUpdated(address indexed newRiskManager);
+    event ImmediateOrderCancelled(uint256 indexed orderId, uint256 unfilledAmount);
+    event OrderCancelled(uint256 indexed orderId, address indexed user, uint256 unfilledAmount);
     
     constructor(address initialOwner) Ownable(initialOwner) {}
     
@@ -70,7 +88,8 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
      * @param duration The loan duration in seconds
      * @param maxLTV Maximum loan-to-value ratio accepted
      * @param collateralToken Accepted collateral token
-     * @param expiry Order expiry timestamp
+     * @param expiry Order expiry timestamp, required for GTD orders and ignored otherwise
+     * @param timeInForce How long the order may rest on the book
      */
     function placeLendOrder(
         address asset,
@@ -79,9 +98,45 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         uint256 duration,
         uint256 maxLTV,
         address collateralToken,
-        uint256 expiry
+        uint256 expiry,
+        TimeInForce timeInForce
     ) external nonReentrant returns (uint256 orderId) {
-        _validateOrderParams(amount, interestRate, maxLTV, expiry);
+        return _placeLendOrder(asset, amount, interestRate, duration, maxLTV, collateralToken, expiry, timeInForce);
+    }
+    
+    /**
+     * @dev Place a lending order, approving `asset` with an EIP-2612 permit in the same transaction
+     * @param permit Permit signed by the caller for this contract, covering `amount`
+     */
+    function placeLendOrderWithPermit(
+        address asset,
+        uint256 amount,
+        uint256 interestRate,
+        uint256 duration,
+        uint256 maxLTV,
+        address collateralToken,
+        uint256 expiry,
+        TimeInForce timeInForce,
+        PermitSignature calldata permit
+    ) external nonReentrant returns (uint256 orderId) {
+        LegosPermit.usePermit(asset, permit);
+        return _placeLendOrder(asset, amount, interestRate, duration, maxLTV, collateralToken, expiry, timeInForce);
+    }
+    
+    /**
+     * @dev Shared body of placeLendOrder and placeLendOrderWithPermit
+     */
+    function _placeLendOrder(
+        address asset,
+        uint256 amount,
+        uint256 interestRate,
+        uint256 duration,
+        uint256 maxLTV,
+        address collateralToken,
+        uint256 expiry,
+        TimeInForce timeInForce
+    ) internal returns (uint256 orderId) {
+        _validateOrderParams(amount, interestRate, maxLTV, expiry, timeInForce);
         
         // Transfer assets to contract
         IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
@@ -101,11 +156,15 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             collateralToken: collateralToken,
             collateralAmount: 0, // Not applicable for lend orders
             timestamp: block.timestamp,
-            expiry: expiry
+            expiry: timeInForce == TimeInForce.GTD ? expiry : 0,
+            timeInForce: timeInForce
         });
         
+        orderAssets[orderId] = asset;
         userOrders[msg.sender].push(orderId);
-        _addToOrderBook(asset, orderId, interestRate, true);
+        if (_restsOnBook(timeInForce)) {
+            _addToOrderBook(asset, orderId, interestRate, true);
+        }
         
         emit OrderPlaced(orderId, msg.sender, OrderType.LEND, amount);
         
@@ -115,6 +174,8 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         if (matchedAmount > 0) {
             emit InstantExecution(orderId, matchedAmount, interestRate);
         }
+        
+        _applyTimeInForce(orderId, asset);
     }
     
     /**
@@ -125,7 +186,8 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
      * @param duration The loan duration in seconds
      * @param collateralToken The collateral token to deposit
      * @param collateralAmount The collateral amount to deposit
-     * @param expiry Order expiry timestamp
+     * @param expiry Order expiry timestamp, required for GTD orders and ignored otherwise
+     * @param timeInForce How long the order may rest on the book
      */
     function placeBorrowOrder(
         address asset,
@@ -134,9 +196,45 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         uint256 duration,
         address collateralToken,
         uint256 collateralAmount,
-        uint256 expiry
+        uint256 expiry,
+        TimeInForce timeInForce
+    ) external nonReentrant returns (uint256 orderId) {
+        return _placeBorrowOrder(asset, amount, interestRate, duration, collateralToken, collateralAmount, expiry, timeInForce);
+    }
+    
+    /**
+     * @dev Place a borrowing order, approving `collateralToken` with an EIP-2612 permit in the same transaction
+     * @param permit Permit signed by the caller for this contract, covering `collateralAmount`
+     */
+    function placeBorrowOrderWithPermit(
+        address asset,
+        uint256 amount,
+        uint256 interestRate,
+        uint256 duration,
+        address collateralToken,
+        uint256 collateralAmount,
+        uint256 expiry,
+        TimeInForce timeInForce,
+        PermitSignature calldata permit
     ) external nonReentrant returns (uint256 orderId) {
-        _validateOrderParams(amount, interestRate, DEFAULT_LTV, expiry);
+        LegosPermit.usePermit(collateralToken, permit);
+        return _placeBorrowOrder(asset, amount, interestRate, duration, collateralToken, collateralAmount, expiry, timeInForce);
+    }
+    
+    /**
+     * @dev Shared body of placeBorrowOrder and placeBorrowOrderWithPermit
+     */
+    function _placeBorrowOrder(
+        address asset,
+        uint256 amount,
+        uint256 interestRate,
+        uint256 duration,
+        address collateralToken,
+        uint256 collateralAmount,
+        uint256 expiry,
+        TimeInForce timeInForce
+    ) internal returns (uint256 orderId) {
+        _validateOrderParams(amount, interestRate, DEFAULT_LTV, expiry, timeInForce);
         _validateCollateral(asset, amount, collateralToken, collateralAmount);
         
         // Transfer collateral to contract
@@ -158,11 +256,15 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             collateralToken: collateralToken,
             collateralAmount: collateralAmount,
             timestamp: block.timestamp,
-            expiry: expiry
+            expiry: timeInForce == TimeInForce.GTD ? expiry : 0,
+            timeInForce: timeInForce
         });
         
+        orderAssets[orderId] = asset;
         userOrders[msg.sender].push(orderId);
-        _addToOrderBook(asset, orderId, interestRate, false);
+        if (_restsOnBook(timeInForce)) {
+            _addToOrderBook(asset, orderId, interestRate, false);
+        }
         
         emit OrderPlaced(orderId, msg.sender, OrderType.BORROW, amount);
         
@@ -172,6 +274,8 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         if (matchedAmount > 0) {
             emit InstantExecution(orderId, matchedAmount, interestRate);
         }
+        
+        _applyTimeInForce(orderId, asset);
     }
     
     /**
@@ -191,20 +295,23 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         
         order.status = OrderStatus.CANCELLED;
         
-        // Refund remaining assets
+        // Refund the unfilled part; filled parts already back loans
         if (order.orderType == OrderType.LEND) {
             if (order.remainingAmount > 0) {
-                IERC20(order.collateralToken).safeTransfer(order.user, order.remainingAmount);
+                IERC20(orderAssets[orderId]).safeTransfer(order.user, order.remainingAmount);
             }
         } else {
-            // Return collateral for borrow orders
-            if (order.collateralAmount > 0) {
-                userCollateral[order.user][order.collateralToken] -= order.collateralAmount;
-                IERC20(order.collateralToken).safeTransfer(order.user, order.collateralAmount);
+            // Return the collateral not locked by loans
+            uint256 unusedCollateral = (order.collateralAmount * order.remainingAmount) / order.principalAmount;
+            if (unusedCollateral > 0) {
+                userCollateral[order.user][order.collateralToken] -= unusedCollateral;
+                IERC20(order.collateralToken).safeTransfer(order.user, unusedCollateral);
             }
         }
         
         _removeFromOrderBook(orderId);
+        
+        emit OrderCancelled(orderId, msg.sender, order.remainingAmount);
     }
     
     /**
@@ -270,8 +377,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             
             uint256 totalAmount = 0;
             for (uint256 j = 0; j < orderIds.length; j++) {
-                if (orders[orderIds[j]].status == OrderStatus.PENDING || 
-                    orders[orderIds[j]].status == OrderStatus.PARTIALLY_FILLED) {
+                if (_isOrderLive(orders[orderIds[j]])) {
                     totalAmount += orders[orderIds[j]].remainingAmount;
                 }
             }
@@ -297,6 +403,218 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         return userLoans[user];
     }
     
+    /**
+     * @dev Get the amount needed to fully repay a loan right now
+     * @param loanId The loan ID
+     * @return totalDebt Remaining principal plus interest accrued up to this block
+     */
+    function getRepaymentAmount(uint256 loanId) external view returns (uint256 totalDebt) {
+        Loan storage loan = loans[loanId];
+        if (loan.status != LoanStatus.ACTIVE) return 0;
+        
+        totalDebt = loan.remainingPrincipal + loan.accruedInterest + _pendingInterest(loan);
+    }
+    
+    /**
+     * @dev Repay a loan in part or in full
+     * Accrued interest is paid first, then principal. Funds go straight to the lender
+     * and the collateral is released to the borrower once the debt reaches zero.
+     * @param loanId The loan ID to repay
+     * @param amount The amount to repay (capped at the outstanding debt)
+     * @return repaidAmount The amount actually repaid
+     */
+    function repayLoan(uint256 loanId, uint256 amount) external nonReentrant returns (uint256 repaidAmount) {
+        return _repayLoan(loanId, amount);
+    }
+    
+    /**
+     * @dev Repay a loan, approving the loan asset with an EIP-2612 permit in the same transaction
+     * @param permit Permit signed by the caller for this contract, covering the amount repaid
+     */
+    function repayLoanWithPermit(uint256 loanId, uint256 amount, PermitSignature calldata permit) external nonReentrant returns (uint256 repaidAmount) {
+        LegosPermit.usePermit(loanAssets[loanId], permit);
+        return _repayLoan(loanId, amount);
+    }
+    
+    /**
+     * @dev Shared body of repayLoan and repayLoanWithPermit
+     */
+    function _repayLoan(uint256 loanId, uint256 amount) internal returns (uint256 repaidAmount) {
+        Loan storage loan = loans[loanId];
+        
+        if (loan.borrower != msg.sender) {
+            revert UnauthorizedAccess();
+        }
+        
+        if (loan.status != LoanStatus.ACTIVE) {
+            revert LoanNotActive();
+        }
+        
+        if (amount == 0) revert InvalidAmount();
+        
+        _accrueInterest(loanId);
+        
+        uint256 totalDebt = loan.remainingPrincipal + loan.accruedInterest;
+        repaidAmount = amount > totalDebt ? totalDebt : amount;
+        
+        // Interest is settled before principal
+        uint256 interestPaid = repaidAmount < loan.accruedInterest ? repaidAmount : loan.accruedInterest;
+        loan.accruedInterest -= interestPaid;
+        loan.remainingPrincipal -= repaidAmount - interestPaid;
+        
+        IERC20(loanAssets[loanId]).safeTransferFrom(msg.sender, loan.lender, repaidAmount);
+        
+        emit LoanRepaid(loanId, repaidAmount);
+        
+        if (loan.remainingPrincipal == 0 && loan.accruedInterest == 0) {
+            loan.status = LoanStatus.REPAID;
+            
+            // Release collateral back to the borrower
+            if (loan.collateralAmount > 0) {
+                IERC20(loan.collateralToken).safeTransfer(loan.borrower, loan.collateralAmount);
+                emit CollateralWithdrawn(loan.borrower, loan.collateralToken, loan.collateralAmount);
+            }
+            
+            _closeRiskMonitoring(loanId);
+        }
+    }
+    
+    /**
+     * @dev Get the maturity and default times of a loan
+     * @param loanId The loan ID
+     * @return maturity Timestamp at which the loan is due
+     * @return defaultTime Timestamp after which the loan can be marked as defaulted
+     */
+    function getLoanMaturity(uint256 loanId) public view returns (uint256 maturity, uint256 defaultTime) {
+        Loan storage loan = loans[loanId];
+        maturity = loan.startTime + loan.duration;
+        defaultTime = maturity + gracePeriod;
+    }
+    
+    /**
+     * @dev Check whether a loan is past maturity and its grace period
+     * @param loanId The loan ID
+     * @return Whether markDefaulted can be called for the loan
+     */
+    function isLoanDefaultable(uint256 loanId) public view returns (bool) {
+        if (loans[loanId].status != LoanStatus.ACTIVE) return false;
+        
+        (, uint256 defaultTime) = getLoanMaturity(loanId);
+        return block.timestamp > defaultTime;
+    }
+    
+    /**
+     * @dev Mark an overdue loan as defaulted and hand its collateral to the lender
+     * Permissionless so that anyone can settle loans left unpaid past the grace period.
+     * @param loanId The loan ID to default
+     */
+    function markDefaulted(uint256 loanId) external nonReentrant {
+        if (!isLoanDefaultable(loanId)) {
+            revert LoanNotDefaultable();
+        }
+        
+        _accrueInterest(loanId);
+        
+        Loan storage loan = loans[loanId];
+        loan.status = LoanStatus.DEFAULTED;
+        
+        uint256 collateralSeized = loan.collateralAmount;
+        if (collateralSeized > 0) {
+            IERC20(loan.collateralToken).safeTransfer(loan.lender, collateralSeized);
+        }
+        
+        emit LoanDefaulted(loanId, loan.lender, collateralSeized);
+        
+        _closeRiskMonitoring(loanId);
+    }
+    
+    /**
+     * @dev Settle a liquidation priced by the risk manager, which has already paid the
+     * covered debt to the lender. Hands the seized collateral to the liquidator and closes
+     * the loan once its debt is repaid or no collateral is left to secure it.
+     * @param loanId The loan ID
+     * @param liquidator Address receiving the seized collateral
+     * @param debtCovered Debt repaid to the lender, interest first
+     * @param collateralSeized Collateral transferred to the liquidator
+     */
+    function applyLiquidation(
+        uint256 loanId,
+        address liquidator,
+        uint256 debtCovered,
+        uint256 collateralSeized
+    ) external nonReentrant {
+        if (msg.sender != riskManager) {
+            revert UnauthorizedAccess();
+        }
+        
+        Loan storage loan = loans[loanId];
+        if (loan.status != LoanStatus.ACTIVE) {
+            revert LoanNotActive();
+        }
+        
+        _accrueInterest(loanId);
+        
+        if (debtCovered > loan.remainingPrincipal + loan.accruedInterest || collateralSeized > loan.collateralAmount) {
+            revert InvalidAmount();
+        }
+        
+        // Interest is settled before principal
+        uint256 interestPaid = debtCovered < loan.accruedInterest ? debtCovered : loan.accruedInterest;
+        loan.accruedInterest -= interestPaid;
+        loan.remainingPrincipal -= debtCovered - interestPaid;
+        loan.collateralAmount -= collateralSeized;
+        
+        if (collateralSeized > 0) {
+            IERC20(loan.collateralToken).safeTransfer(liquidator, collateralSeized);
+        }
+        
+        emit LiquidationExecuted(loanId, liquidator, collateralSeized);
+        
+        if (loan.remainingPrincipal == 0 && loan.accruedInterest == 0) {
+            loan.status = LoanStatus.LIQUIDATED;
+            
+            // Release whatever collateral the liquidation left
+            if (loan.collateralAmount > 0) {
+                IERC20(loan.collateralToken).safeTransfer(loan.borrower, loan.collateralAmount);
+                emit CollateralWithdrawn(loan.borrower, loan.collateralToken, loan.collateralAmount);
+            }
+        } else if (loan.collateralAmount == 0) {
+            // Nothing secures the remaining debt, so the lender absorbs it
+            loan.status = LoanStatus.LIQUIDATED;
+        }
+    }
+    
+    /**
+     * @dev Set the risk manager allowed to settle liquidations
+     * @param newRiskManager The LegosRiskManager address
+     */
+    function setRiskManager(address newRiskManager) external onlyOwner {
+        riskManager = newRiskManager;
+        emit RiskManagerUpdated(newRiskManager);
+    }
+    
+    /**
+     * @dev Update the grace period granted after loan maturity
+     * @param newGracePeriod New grace period in seconds
+     */
+    function updateGracePeriod(uint256 newGracePeriod) external onlyOwner {
+        if (newGracePeriod > MAX_GRACE_PERIOD) revert InvalidGracePeriod();
+        
+        gracePeriod = newGracePeriod;
+        emit GracePeriodUpdated(newGracePeriod);
+    }
+    
+    /**
+     * @dev Update the protocol fee, set through LegosGovernance.updateProtocolFee
+     * @param newFee New protocol fee in basis points
+     */
+    function updateProtocolFee(uint256 newFee) external onlyOwner {
+        if (newFee > MAX_PROTOCOL_FEE) revert InvalidProtocolFee();
+        
+        protocolFee = newFee;
+        emit ProtocolFeeUpdated(newFee);
+    }
+    
     /**
      * @dev Execute market order - instant execution at best available rate
      * @param asset The asset to trade
@@ -316,6 +634,37 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         address collateralToken,
         uint256 collateralAmount
     ) external nonReentrant returns (uint256 executedAmount, uint256 avgRate) {
+        return _executeMarketOrder(asset, amount, isLend, maxSlippage, collateralToken, collateralAmount);
+    }
+    
+    /**
+     * @dev Execute a market order, approving the token it pulls with an EIP-2612 permit in the same transaction
+     * @param permit Permit signed by the caller for this contract, for `asset` when lending or `collateralToken` when borrowing
+     */
+    function executeMarketOrderWithPermit(
+        address asset,
+        uint256 amount,
+        bool isLend,
+        uint256 maxSlippage,
+        address collateralToken,
+        uint256 collateralAmount,
+        PermitSignature calldata permit
+    ) external nonReentrant returns (uint256 executedAmount, uint256 avgRate) {
+        LegosPermit.usePermit(isLend ? asset : collateralToken, permit);
+        return _executeMarketOrder(asset, amount, isLend, maxSlippage, collateralToken, collateralAmount);
+    }
+    
+    /**
+     * @dev Shared body of executeMarketOrder and executeMarketOrderWithPermit
+     */
+    function _executeMarketOrder(
+        address asset,
+        uint256 amount,
+        bool isLend,
+        uint256 maxSlippage,
+        address collateralToken,
+        uint256 collateralAmount
+    ) internal returns (uint256 executedAmount, uint256 avgRate) {
         if (amount < MIN_ORDER_AMOUNT) revert InvalidAmount();
         
         if (isLend) {
@@ -354,9 +703,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             for (uint256 j = 0; j < borrowOrderIds.length && remainingAmount > 0; j++) {
                 Order storage borrowOrder = orders[borrowOrderIds[j]];
                 
-                if (borrowOrder.status == OrderStatus.PENDING || 
-                    borrowOrder.status == OrderStatus.PARTIALLY_FILLED) {
-                    
+                if (_isOrderLive(borrowOrder)) {
                     uint256 matchAmount = remainingAmount < borrowOrder.remainingAmount 
                         ? remainingAmount 
                         : borrowOrder.remainingAmount;
@@ -404,9 +751,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             for (uint256 j = 0; j < lendOrderIds.length && remainingAmount > 0; j++) {
                 Order storage lendOrder = orders[lendOrderIds[j]];
                 
-                if (lendOrder.status == OrderStatus.PENDING || 
-                    lendOrder.status == OrderStatus.PARTIALLY_FILLED) {
-                    
+                if (_isOrderLive(lendOrder)) {
                     uint256 matchAmount = remainingAmount < lendOrder.remainingAmount 
                         ? remainingAmount 
                         : lendOrder.remainingAmount;
@@ -463,8 +808,11 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             collateralToken: asset, // Use asset as collateral token reference
             collateralAmount: 0,
             timestamp: block.timestamp,
-            expiry: block.timestamp + 1 hours // Short expiry for temp orders
+            expiry: 0,
+            timeInForce: TimeInForce.IOC // Temp orders only exist for the execution that creates them
         });
+        
+        orderAssets[orderId] = asset;
     }
     
     /**
@@ -493,8 +841,11 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             collateralToken: collateralToken,
             collateralAmount: collateralAmount,
             timestamp: block.timestamp,
-            expiry: block.timestamp + 1 hours // Short expiry for temp orders
+            expiry: 0,
+            timeInForce: TimeInForce.IOC // Temp orders only exist for the execution that creates them
         });
+        
+        orderAssets[orderId] = asset;
     }
     
     /**
@@ -533,7 +884,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             uint256[] memory orderIds = lendOrdersByRate[asset][lendRates[i]];
             for (uint256 j = 0; j < orderIds.length; j++) {
                 Order storage order = orders[orderIds[j]];
-                if (order.status == OrderStatus.PENDING || order.status == OrderStatus.PARTIALLY_FILLED) {
+                if (_isOrderLive(order)) {
                     lendVolume += order.remainingAmount;
                 }
             }
@@ -545,7 +896,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             uint256[] memory orderIds = borrowOrdersByRate[asset][borrowRates[i]];
             for (uint256 j = 0; j < orderIds.length; j++) {
                 Order storage order = orders[orderIds[j]];
-                if (order.status == OrderStatus.PENDING || order.status == OrderStatus.PARTIALLY_FILLED) {
+                if (_isOrderLive(order)) {
                     borrowVolume += order.remainingAmount;
                 }
             }
@@ -584,8 +935,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
                     uint256 borrowOrderId = borrowOrderIds[j];
                     Order storage borrowOrder = orders[borrowOrderId];
                     
-                    if (borrowOrder.status == OrderStatus.PENDING || 
-                        borrowOrder.status == OrderStatus.PARTIALLY_FILLED) {
+                    if (_isOrderLive(borrowOrder)) {
                         _executeMatch(lendOrderId, borrowOrderId, asset);
                     }
                 }
@@ -611,8 +961,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
                     uint256 lendOrderId = lendOrderIds[j];
                     Order storage lendOrder = orders[lendOrderId];
                     
-                    if (lendOrder.status == OrderStatus.PENDING || 
-                        lendOrder.status == OrderStatus.PARTIALLY_FILLED) {
+                    if (_isOrderLive(lendOrder)) {
                         _executeMatch(lendOrderId, borrowOrderId, asset);
                     }
                 }
@@ -686,6 +1035,7 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
             status: LoanStatus.ACTIVE
         });
         
+        loanAssets[loanId] = asset;
         userLoans[borrowOrder.user].push(loanId);
         userLoans[lendOrder.user].push(loanId);
         
@@ -696,6 +1046,88 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
         userCollateral[borrowOrder.user][borrowOrder.collateralToken] -= proportionalCollateral;
         
         emit LoanCreated(loanId, borrowOrder.user, lendOrder.user, amount);
+        
+        // Health factors are tracked from the first block of the loan
+        if (riskManager != address(0)) {
+            ILegosRiskMonitor(riskManager).addToRiskMonitoring(loanId);
+        }
+    }
+    
+    /**
+     * @dev Stop risk monitoring for a loan that is no longer active
+     */
+    function _closeRiskMonitoring(uint256 loanId) internal {
+        if (riskManager != address(0)) {
+            ILegosRiskMonitor(riskManager).removeFromRiskMonitoring(loanId);
+        }
+    }
+    
+    /**
+     * @dev Accrue simple interest on a loan since its last update
+     */
+    function _accrueInterest(uint256 loanId) internal {
+        Loan storage loan = loans[loanId];
+        
+        uint256 interest = _pendingInterest(loan);
+        loan.lastUpdateTime = block.timestamp;
+        
+        if (interest > 0) {
+            loan.accruedInterest += interest;
+            emit InterestAccrued(loanId, interest);
+        }
+    }
+    
+    /**
+     * @dev Interest owed on a loan since its last update, at the loan's interest rate
+     */
+    function _pendingInterest(Loan storage loan) internal view returns (uint256) {
+        return LegosMath.calculateSimpleInterest(
+            loan.remainingPrincipal,
+            loan.interestRate,
+            block.timestamp - loan.lastUpdateTime
+        );
+    }
+    
+    /**
+     * @dev Only GTC and GTD orders rest on the book; IOC and FOK orders settle on placement
+     */
+    function _restsOnBook(TimeInForce timeInForce) internal pure returns (bool) {
+        return timeInForce == TimeInForce.GTC || timeInForce == TimeInForce.GTD;
+    }
+    
+    /**
+     * @dev Whether a resting order can still be matched
+     * Expired GTD orders keep their status so their owner can still cancel them for a refund
+     */
+    function _isOrderLive(Order storage order) internal view returns (bool) {
+        if (order.status != OrderStatus.PENDING && order.status != OrderStatus.PARTIALLY_FILLED) {
+            return false;
+        }
+        return order.timeInForce != TimeInForce.GTD || order.expiry > block.timestamp;
+    }
+    
+    /**
+     * @dev Settle a newly placed order's unfilled remainder according to its time-in-force
+     * FOK orders revert unless fully filled; IOC orders are cancelled and their unused funds refunded
+     */
+    function _applyTimeInForce(uint256 orderId, address asset) internal {
+        Order storage order = orders[orderId];
+        if (order.remainingAmount == 0) return;
+        
+        if (order.timeInForce == TimeInForce.FOK) revert FillOrKillNotFilled();
+        if (order.timeInForce != TimeInForce.IOC) return;
+        
+        order.status = OrderStatus.CANCELLED;
+        
+        if (order.orderType == OrderType.LEND) {
+            IERC20(asset).safeTransfer(order.user, order.remainingAmount);
+        } else {
+            uint256 unusedCollateral = (order.collateralAmount * order.remainingAmount) / order.principalAmount;
+            userCollateral[order.user][order.collateralToken] -= unusedCollateral;
+            IERC20(order.collateralToken).safeTransfer(order.user, unusedCollateral);
+        }
+        
+        emit ImmediateOrderCancelled(orderId, order.remainingAmount);
     }
     
     /**
@@ -731,11 +1163,17 @@ contract LegosCLOB is ILegosCore, Ownable, ReentrancyGuard {
     /**
      * @dev Validation functions
      */
-    function _validateOrderParams(uint256 amount, uint256 interestRate, uint256 maxLTV, uint256 expiry) internal view {
+    function _validateOrderParams(
+        uint256 amount,
+        uint256 interestRate,
+        uint256 maxLTV,
+        uint256 expiry,
+        TimeInForce timeInForce
+    ) internal view {
         if (amount < MIN_ORDER_AMOUNT) revert InvalidAmount();
         if (interestRate > MAX_INTEREST_RATE) revert InvalidInterestRate();
         if (maxLTV > LegosMath.BASIS_POINTS) revert InvalidLTV();
-        if (expiry <= block.timestamp) revert OrderExpired();
+        if (timeInForce == TimeInForce.GTD && expiry <= block.timestamp) revert OrderExpired();
     }
     
     function _validateCollateral(
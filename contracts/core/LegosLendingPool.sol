@@ -8,6 +8,7 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../interfaces/ILegosCore.sol";
 import "../libraries/LegosMath.sol";
+import "../libraries/LegosPermit.sol";
 import "./LegosCLOB.sol";
 
 /**
@@ -53,6 +54,7 @@ contract LegosLendingPool is ERC20, ILegosCore, Ownable, ReentrancyGuard {
     event InterestRateUpdated(uint256 newSupplyRate, uint256 newBorrowRate);
     event ReservesUpdated(uint256 newReserveBalance);
     event OrderPlacedByPool(uint256 indexed orderId, uint256 amount, uint256 rate);
+    event InterestRateModelUpdated(uint256 baseRate, uint256 multiplier, uint256 jumpMultiplier);
     
     /// @dev Custom errors
     error InsufficientLiquidity();
@@ -92,6 +94,24 @@ contract LegosLendingPool is ERC20, ILegosCore, Ownable, ReentrancyGuard {
      * @return shares The amount of pool tokens minted
      */
     function deposit(uint256 amount) external nonReentrant returns (uint256 shares) {
+        return _deposit(amount);
+    }
+    
+    /**
+     * @dev Deposit assets, approving the underlying asset with an EIP-2612 permit in the same transaction
+     * @param amount The amount to deposit
+     * @param permit Permit signed by the caller for this pool, covering `amount`
+     * @return shares The amount of pool tokens minted
+     */
+    function depositWithPermit(uint256 amount, PermitSignature calldata permit) external nonReentrant returns (uint256 shares) {
+        LegosPermit.usePermit(underlyingAsset, permit);
+        return _deposit(amount);
+    }
+    
+    /**
+     * @dev Shared body of deposit and depositWithPermit
+     */
+    function _deposit(uint256 amount) internal returns (uint256 shares) {
         _updateInterest();
         
         uint256 totalPoolAssets = _getTotalPoolAssets();
@@ -211,6 +231,29 @@ contract LegosLendingPool is ERC20, ILegosCore, Ownable, ReentrancyGuard {
         _updatePoolOrders();
     }
     
+    /**
+     * @dev Update the interest rate model, set through LegosGovernance.updateInterestRateModel.
+     * Interest up to now accrues at the old rates.
+     * @param baseRate New base rate in basis points
+     * @param multiplier New slope below optimal utilization in basis points
+     * @param jumpMultiplier New slope above optimal utilization in basis points
+     */
+    function updateInterestRateModel(
+        uint256 baseRate,
+        uint256 multiplier,
+        uint256 jumpMultiplier
+    ) external onlyOwner {
+        if (baseRate > LegosMath.BASIS_POINTS) revert InvalidConfiguration();
+        
+        _updateInterest();
+        
+        poolConfig.baseRate = baseRate;
+        poolConfig.multiplier = multiplier;
+        poolConfig.jumpMultiplier = jumpMultiplier;
+        
+        emit InterestRateModelUpdated(baseRate, multiplier, jumpMultiplier);
+    }
+    
     /**
      * @dev Get current supply APY
      */
@@ -313,7 +356,8 @@ contract LegosLendingPool is ERC20, ILegosCore, Ownable, ReentrancyGuard {
             30 days, // Default duration
             7500, // 75% max LTV
             underlyingAsset, // Accept same asset as collateral for simplicity
-            block.timestamp + 7 days // 7 days expiry
+            block.timestamp + 7 days, // 7 days expiry
+            TimeInForce.GTD
         ) returns (uint256 orderId) {
             activeOrders.push(orderId);
             isPoolOrder[orderId] = true;
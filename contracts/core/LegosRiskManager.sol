@@ -14,7 +14,7 @@ import "./LegosCLOB.sol";
  * @dev Risk management and liquidation contract for Legos Finance Protocol
  * Monitors loan health, calculates risk metrics, and executes liquidations
  */
-contract LegosRiskManager is ILegosCore, Ownable, ReentrancyGuard {
+contract LegosRiskManager is ILegosCore, ILegosRiskMonitor, Ownable, ReentrancyGuard {
     using SafeERC20 for IERC20;
     using LegosMath for uint256;
     
@@ -58,6 +58,14 @@ contract LegosRiskManager is ILegosCore, Ownable, ReentrancyGuard {
     error UnauthorizedLiquidator();
     error PriceStale();
     error InvalidPrice();
+    error UnauthorizedCaller();
+    
+    modifier onlyClobOrOwner() {
+        if (msg.sender != address(clob) && msg.sender != owner()) {
+            revert UnauthorizedCaller();
+        }
+        _;
+    }
     
     constructor(address _clob, address _owner) Ownable(_owner) {
         clob = LegosCLOB(_clob);
@@ -145,9 +153,9 @@ contract LegosRiskManager is ILegosCore, Ownable, ReentrancyGuard {
             revert HealthyPosition();
         }
         
-        (, , address borrower, , uint256 remainingPrincipal, , , , , address collateralToken, uint256 collateralAmount, uint256 accruedInterest, LoanStatus status) = clob.loans(loanId);
+        (, , address lender, , uint256 remainingPrincipal, , , , , address collateralToken, uint256 collateralAmount, uint256 accruedInterest, LoanStatus status) = clob.loans(loanId);
         
-        if (status != LoanStatus.ACTIVE) {
+        if (status != LoanStatus.ACTIVE || debtToCover == 0) {
             revert InvalidLiquidationAmount();
         }
         
@@ -159,33 +167,25 @@ contract LegosRiskManager is ILegosCore, Ownable, ReentrancyGuard {
             debtToCover = maxDebtToCover;
         }
         
-        // Calculate collateral to seize
-        RiskParameters memory riskParams = assetRiskParams[collateralToken];
-        (uint256 actualDebtToCover, uint256 collateralToSeize) = LegosMath.calculateLiquidation(
+        address debtAsset = clob.loanAssets(loanId);
+        (uint256 actualDebtToCover, uint256 collateralToSeize) = _calculateLiquidation(
+            debtAsset,
+            collateralToken,
             debtToCover,
-            collateralAmount,
-            riskParams.liquidationPenalty
+            collateralAmount
         );
         
-        // Transfer debt payment from liquidator
-        IERC20 debtAsset = IERC20(_getLoanAsset(loanId));
-        debtAsset.safeTransferFrom(msg.sender, address(this), actualDebtToCover);
-        
-        // Transfer collateral to liquidator
-        IERC20(collateralToken).safeTransfer(msg.sender, collateralToSeize);
+        // The covered debt goes straight to the lender, as a repayment would,
+        // and the CLOB, which holds the collateral, pays out the seized part
+        IERC20(debtAsset).safeTransferFrom(msg.sender, lender, actualDebtToCover);
+        clob.applyLiquidation(loanId, msg.sender, actualDebtToCover, collateralToSeize);
         
         // Calculate liquidator reward
         uint256 liquidatorReward = (collateralToSeize * LIQUIDATION_INCENTIVE) / LegosMath.BASIS_POINTS;
         liquidatorRewards[msg.sender] += liquidatorReward;
         totalLiquidatorRewards += liquidatorReward;
         
-        // Update loan state
-        _updateLoanAfterLiquidation(loanId, actualDebtToCover, collateralToSeize);
-        
-        // Remove from risk monitoring if fully liquidated
-        if (remainingPrincipal <= actualDebtToCover) {
-            _removeFromRiskMonitoring(loanId);
-        }
+        _updateLoanAfterLiquidation(loanId);
         
         emit LiquidationTriggered(loanId, msg.sender, actualDebtToCover, collateralToSeize);
     }
@@ -231,15 +231,25 @@ contract LegosRiskManager is ILegosCore, Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Add a loan to risk monitoring
+     * @dev Add a loan to risk monitoring. The CLOB registers every loan it creates;
+     * the owner can add loans created before the CLOB was wired to this contract.
      * @param loanId The loan ID to monitor
      */
-    function addToRiskMonitoring(uint256 loanId) external {
-        // In production, this should be called by the CLOB contract
+    function addToRiskMonitoring(uint256 loanId) external onlyClobOrOwner {
         riskLoans.push(loanId);
         lastHealthCheckTime[loanId] = block.timestamp;
+        loanHealthFactors[loanId] = calculateHealthFactor(loanId);
         
         emit RiskLoanAdded(loanId);
+        emit HealthFactorUpdated(loanId, loanHealthFactors[loanId]);
+    }
+    
+    /**
+     * @dev Remove a repaid or defaulted loan from risk monitoring
+     * @param loanId The loan ID to stop monitoring
+     */
+    function removeFromRiskMonitoring(uint256 loanId) external onlyClobOrOwner {
+        _removeFromRiskMonitoring(loanId);
     }
     
     /**
@@ -368,17 +378,42 @@ contract LegosRiskManager is ILegosCore, Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Update loan state after liquidation
+     * @dev Collateral worth the covered debt plus the liquidation penalty at current prices.
+     * When the loan's collateral falls short, all of it is seized and the covered debt shrinks to match.
      */
-    function _updateLoanAfterLiquidation(
-        uint256 loanId,
-        uint256 debtCovered,
-        uint256 collateralSeized
-    ) internal {
-        // This would need to interact with the CLOB contract to update loan state
-        // For now, just update our internal tracking
-        uint256 healthFactor = calculateHealthFactor(loanId);
-        loanHealthFactors[loanId] = healthFactor;
+    function _calculateLiquidation(
+        address debtAsset,
+        address collateralToken,
+        uint256 debtToCover,
+        uint256 collateralAmount
+    ) internal view returns (uint256 debtCovered, uint256 collateralSeized) {
+        uint256 collateralPrice = assetPrices[collateralToken];
+        uint256 debtValue = _getAssetValue(debtAsset, debtToCover);
+        if (collateralPrice == 0 || debtValue == 0) {
+            revert InvalidPrice();
+        }
+        
+        uint256 penaltyFactor = LegosMath.BASIS_POINTS + assetRiskParams[collateralToken].liquidationPenalty;
+        collateralSeized = (debtValue * penaltyFactor * 1e18) / (LegosMath.BASIS_POINTS * collateralPrice);
+        debtCovered = debtToCover;
+        
+        if (collateralSeized > collateralAmount) {
+            debtCovered = (debtToCover * collateralAmount) / collateralSeized;
+            collateralSeized = collateralAmount;
+        }
+    }
+    
+    /**
+     * @dev Refresh monitoring after a liquidation, dropping loans the liquidation closed
+     */
+    function _updateLoanAfterLiquidation(uint256 loanId) internal {
+        (, , , , , , , , , , , , LoanStatus status) = clob.loans(loanId);
+        
+        if (status != LoanStatus.ACTIVE) {
+            _removeFromRiskMonitoring(loanId);
+        } else {
+            loanHealthFactors[loanId] = calculateHealthFactor(loanId);
+        }
     }
     
     /**
@@ -391,15 +426,6 @@ contract LegosRiskManager is ILegosCore, Ownable, ReentrancyGuard {
         return (amount * price) / 1e18;
     }
     
-    /**
-     * @dev Get the asset address for a loan (simplified)
-     */
-    function _getLoanAsset(uint256 loanId) internal pure returns (address) {
-        // This would need to be implemented based on the CLOB contract structure
-        // For now, return a placeholder
-        return address(0);
-    }
-    
     /**
      * @dev Emergency pause function
      */
@@ -21,6 +21,14 @@ interface ILegosCore {
         EXPIRED
     }
     
+    /// @dev Time-in-force: how long an order may rest on the book
+    enum TimeInForce {
+        GTC, // Good-till-cancelled: rests until filled or cancelled
+        IOC, // Immediate-or-cancel: fills what it can on placement, the rest is refunded
+        FOK, // Fill-or-kill: fills entirely on placement or the placement reverts
+        GTD  // Good-till-date: rests until expiry
+    }
+    
     /// @dev Loan status
     enum LoanStatus {
         ACTIVE,
@@ -51,7 +59,8 @@ interface ILegosCore {
         address collateralToken;
         uint256 collateralAmount;
         uint256 timestamp;
-        uint256 expiry;
+        uint256 expiry; // only enforced for GTD orders
+        TimeInForce timeInForce;
     }
     
     /// @dev Loan structure
@@ -115,6 +124,15 @@ interface ILegosCore {
         bool isEnabled;
     }
     
+    /// @dev EIP-2612 permit signed by the caller for the token an entry point pulls
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+    
     /// @dev Events
     event OrderPlaced(uint256 indexed orderId, address indexed user, OrderType orderType, uint256 amount);
     event OrderMatched(uint256 indexed lendOrderId, uint256 indexed borrowOrderId, uint256 amount);
@@ -124,4 +142,13 @@ interface ILegosCore {
     event CollateralWithdrawn(address indexed user, address indexed token, uint256 amount);
     event LiquidationExecuted(uint256 indexed loanId, address indexed liquidator, uint256 collateralSeized);
     event InterestAccrued(uint256 indexed loanId, uint256 interest);
+}
+
+/**
+ * @title ILegosRiskMonitor
+ * @dev Hooks the CLOB calls on the risk manager as loans open and close
+ */
+interface ILegosRiskMonitor {
+    function addToRiskMonitoring(uint256 loanId) external;
+    function removeFromRiskMonitoring(uint256 loanId) external;
 } 
\ No newline at end of file
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "../interfaces/ILegosCore.sol";
+
+/**
+ * @title LegosPermit
+ * @dev Applies EIP-2612 permits for the `...WithPermit` entry points, so an
+ * approval and the call that spends it land in a single transaction
+ */
+library LegosPermit {
+    /// @dev Custom errors
+    error PermitFailed();
+    
+    /**
+     * @dev Grants this contract an allowance from msg.sender using a signed permit
+     * A permit copied from the mempool and submitted first makes this call revert,
+     * so the call only fails when the allowance it would have granted is missing
+     * @param token The token being approved
+     * @param permit The permit signed by msg.sender for this contract
+     */
+    function usePermit(address token, ILegosCore.PermitSignature calldata permit) internal {
+        try IERC20Permit(token).permit(
+            msg.sender,
+            address(this),
+            permit.value,
+            permit.deadline,
+            permit.v,
+            permit.r,
+            permit.s
+        ) {
+            return;
+        } catch {
+            if (IERC20(token).allowance(msg.sender, address(this)) < permit.value) {
+                revert PermitFailed();
+            }
+        }
+    }
+}
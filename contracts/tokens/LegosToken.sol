@@ -286,11 +286,13 @@ contract LegosToken is ERC20, ERC20Burnable, ERC20Votes, ERC20Permit, Ownable, R
     function getPendingStakingRewards(address user) external view returns (uint256 rewards) {
         StakingInfo memory info = stakingInfo[user];
         
+        // Rewards settled by a full unstake remain claimable
+        rewards = info.pendingRewards;
+        
         if (info.stakedAmount > 0) {
             uint256 timeStaked = block.timestamp - info.stakingStartTime;
-            rewards = info.pendingRewards + 
-                     ((info.stakedAmount * stakingRewardRate * timeStaked) / 
-                      (365 days * STAKING_REWARD_PRECISION));
+            rewards += (info.stakedAmount * stakingRewardRate * timeStaked) / 
+                       (365 days * STAKING_REWARD_PRECISION);
         }
     }
     
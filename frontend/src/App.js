@@ -10,63 +10,89 @@ import {
     Coins,
     ArrowUpDown,
     AlertTriangle,
-    Zap
+    Zap,
+    FileText,
+    Hourglass,
+    PieChart
 } from 'lucide-react';
 import './index.css';
 
 import {
     getContract,
-    getContractAddresses,
+    getDeploymentManifest,
+    switchToNetwork,
     LEGOS_TOKEN_ABI,
     CLOB_ABI,
-    LENDING_POOL_ABI,
     RISK_MANAGER_ABI,
-    ERC20_ABI,
+    GOVERNANCE_ABI,
     formatUnits,
     parseUnits,
     formatAddress,
     formatAPY,
     formatCurrency
 } from './config/contracts';
+import { loadAssetRegistry } from './config/assets';
 
 // Components
 import WalletConnection from './components/WalletConnection';
+import UnsupportedNetwork from './components/UnsupportedNetwork';
+import TransactionDrawer from './components/TransactionDrawer';
+import AlertSettings from './components/AlertSettings';
 import ProtocolStats from './components/ProtocolStats';
 import OrderBook from './components/OrderBook';
 import LendingPools from './components/LendingPools';
+import MyLoans from './components/MyLoans';
 import RiskDashboard from './components/RiskDashboard';
 import GovernancePanel from './components/GovernancePanel';
+import VestingDashboard from './components/VestingDashboard';
+import Portfolio from './components/Portfolio';
+import { ProtocolEventsContext, useProtocolEventSource, involvesAccount } from './hooks/useProtocolEvents';
+import { TransactionsContext, useTransactionManager } from './hooks/useTransactions';
+import { AlertsContext, useAlertEngine } from './hooks/useAlerts';
 
 function App() {
-    const [provider, setProvider] = useState(null);
     const [signer, setSigner] = useState(null);
     const [account, setAccount] = useState('');
     const [network, setNetwork] = useState(null);
+    const [deployment, setDeployment] = useState(null);
     const [loading, setLoading] = useState(false);
     const [activeTab, setActiveTab] = useState('orderbook');
     const [contracts, setContracts] = useState({});
+    const [assets, setAssets] = useState([]);
     const [balances, setBalances] = useState({});
     const [protocolData, setProtocolData] = useState({});
 
-    // Initialize provider and contracts
+    // Subscribe to wallet events and reconnect an authorized account
     useEffect(() => {
         initializeProvider();
     }, []);
 
-    // Load user data when account changes
+    // Load user data when account changes or the asset registry resolves
     useEffect(() => {
         if (account && signer) {
             loadUserData();
             loadProtocolData();
         }
-    }, [account, signer]);
+    }, [account, signer, assets]);
+
+    const protocolEvents = useProtocolEventSource(contracts, assets);
+    const subscribeToEvents = protocolEvents.subscribe;
+    const transactionManager = useTransactionManager(signer, account, network ? network.chainId : null);
+    const alerts = useAlertEngine(subscribeToEvents, contracts, assets, account);
+
+    // Keep balances and protocol stats current as on-chain activity arrives
+    useEffect(() => subscribeToEvents(({ events, resync }) => {
+        if (resync || events.some(event => involvesAccount(event, account))) {
+            loadUserData();
+        }
+        if (resync || events.some(event => event.contract === 'pool' || ['OrderMatched', 'LoanCreated'].includes(event.name))) {
+            loadProtocolData();
+        }
+    }), [subscribeToEvents, contracts, assets, account]);
 
     const initializeProvider = async () => {
         try {
             if (window.ethereum) {
-                const provider = new ethers.BrowserProvider(window.ethereum);
-                setProvider(provider);
-
                 // Listen for account changes
                 window.ethereum.on('accountsChanged', handleAccountsChanged);
                 window.ethereum.on('chainChanged', handleChainChanged);
@@ -93,6 +119,8 @@ function App() {
                 method: 'eth_requestAccounts',
             });
 
+            // A fresh provider, since one bound to the previous chain rejects calls after a switch
+            const provider = new ethers.BrowserProvider(window.ethereum);
             const signer = await provider.getSigner();
             const network = await provider.getNetwork();
 
@@ -100,20 +128,28 @@ function App() {
             setSigner(signer);
             setNetwork(network);
 
+            // Only chains with a deployment manifest get contract instances
+            const manifest = getDeploymentManifest(network.chainId);
+            setDeployment(manifest);
+            if (!manifest) {
+                setContracts({});
+                setAssets([]);
+                return;
+            }
+
             // Initialize contracts
-            const addresses = getContractAddresses();
             const contractInstances = {
-                legosToken: getContract('legosToken', LEGOS_TOKEN_ABI, signer),
-                clob: getContract('clob', CLOB_ABI, signer),
-                usdcPool: getContract('usdcPool', LENDING_POOL_ABI, signer),
-                wethPool: getContract('wethPool', LENDING_POOL_ABI, signer),
-                riskManager: getContract('riskManager', RISK_MANAGER_ABI, signer),
-                usdc: getContract('usdc', ERC20_ABI, signer),
-                weth: getContract('weth', ERC20_ABI, signer)
+                legosToken: getContract('legosToken', LEGOS_TOKEN_ABI, signer, network.chainId),
+                clob: getContract('clob', CLOB_ABI, signer, network.chainId),
+                riskManager: getContract('riskManager', RISK_MANAGER_ABI, signer, network.chainId),
+                governance: getContract('governance', GOVERNANCE_ABI, signer, network.chainId)
             };
 
             setContracts(contractInstances);
 
+            // Listed tokens and their pools come from the manifest and on-chain metadata
+            setAssets(await loadAssetRegistry(contractInstances, signer, manifest));
+
             toast.success(`Connected to ${formatAddress(accounts[0])}`);
         } catch (error) {
             console.error('Error connecting wallet:', error);
@@ -125,28 +161,21 @@ function App() {
 
     const loadUserData = async () => {
         try {
-            if (!contracts.usdc || !contracts.weth || !contracts.legosToken) return;
-
-            const [
-                usdcBalance,
-                wethBalance,
-                legosBalance,
-                usdcPoolShares,
-                wethPoolShares
-            ] = await Promise.all([
-                contracts.usdc.balanceOf(account),
-                contracts.weth.balanceOf(account),
+            if (!contracts.legosToken) return;
+
+            const [legosBalance, tokenBalances, poolShares] = await Promise.all([
                 contracts.legosToken.balanceOf(account),
-                contracts.usdcPool.balanceOf(account),
-                contracts.wethPool.balanceOf(account)
+                Promise.all(assets.map(asset => asset.contract.balanceOf(account))),
+                Promise.all(assets.map(asset => (asset.pool ? asset.pool.balanceOf(account) : null)))
             ]);
 
             setBalances({
-                usdc: usdcBalance,
-                weth: wethBalance,
                 legos: legosBalance,
-                usdcPool: usdcPoolShares,
-                wethPool: wethPoolShares
+                // Keyed by asset registry key
+                tokens: Object.fromEntries(assets.map((asset, index) => [asset.key, tokenBalances[index]])),
+                poolShares: Object.fromEntries(assets
+                    .map((asset, index) => [asset.key, poolShares[index]])
+                    .filter(([, shares]) => shares !== null))
             });
         } catch (error) {
             console.error('Error loading user data:', error);
@@ -155,36 +184,28 @@ function App() {
 
     const loadProtocolData = async () => {
         try {
-            if (!contracts.usdcPool || !contracts.wethPool || !contracts.riskManager) return;
-
-            const [
-                usdcSupplyAPY,
-                usdcBorrowAPY,
-                wethSupplyAPY,
-                wethBorrowAPY,
-                usdcLiquidity,
-                wethLiquidity,
-                riskMetrics
-            ] = await Promise.all([
-                contracts.usdcPool.getSupplyAPY().catch(() => 0),
-                contracts.usdcPool.getBorrowAPY().catch(() => 0),
-                contracts.wethPool.getSupplyAPY().catch(() => 0),
-                contracts.wethPool.getBorrowAPY().catch(() => 0),
-                contracts.usdcPool.getAvailableLiquidity().catch(() => 0),
-                contracts.wethPool.getAvailableLiquidity().catch(() => 0),
-                contracts.riskManager.getRiskMetrics().catch(() => [0, 0, 0])
+            if (!contracts.riskManager) return;
+
+            const pooledAssets = assets.filter(asset => asset.pool);
+            const [markets, riskMetrics] = await Promise.all([
+                Promise.all(pooledAssets.map(asset => Promise.all([
+                    asset.pool.getSupplyAPY().catch(() => 0),
+                    asset.pool.getBorrowAPY().catch(() => 0),
+                    asset.pool.getAvailableLiquidity().catch(() => 0)
+                ]))),
+                contracts.riskManager.getRiskMetrics().catch(() => ({ totalLoans: 0, loansAtRisk: 0, avgHealthFactor: 0 }))
             ]);
 
             setProtocolData({
-                usdcSupplyAPY,
-                usdcBorrowAPY,
-                wethSupplyAPY,
-                wethBorrowAPY,
-                usdcLiquidity,
-                wethLiquidity,
-                totalLoans: riskMetrics[0],
-                loansAtRisk: riskMetrics[1],
-                avgHealthFactor: riskMetrics[2]
+                // Pool figures keyed by asset registry key
+                markets: Object.fromEntries(pooledAssets.map((asset, index) => [asset.key, {
+                    supplyAPY: markets[index][0],
+                    borrowAPY: markets[index][1],
+                    liquidity: markets[index][2]
+                }])),
+                totalLoans: riskMetrics.totalLoans,
+                loansAtRisk: riskMetrics.loansAtRisk,
+                avgHealthFactor: riskMetrics.avgHealthFactor
             });
         } catch (error) {
             console.error('Error loading protocol data:', error);
@@ -196,6 +217,7 @@ function App() {
             setAccount('');
             setSigner(null);
             setContracts({});
+            setAssets([]);
             setBalances({});
         } else {
             setAccount(accounts[0]);
@@ -203,14 +225,34 @@ function App() {
         }
     };
 
-    const handleChainChanged = () => {
-        window.location.reload();
+    // Re-initialize contracts and the asset registry for the new chain in place
+    const handleChainChanged = async () => {
+        setContracts({});
+        setAssets([]);
+        setBalances({});
+        setProtocolData({});
+
+        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+        if (accounts.length > 0) {
+            await connectWallet();
+        }
+    };
+
+    const switchNetwork = async (target) => {
+        try {
+            await switchToNetwork(target);
+        } catch (error) {
+            console.error('Error switching network:', error);
+            toast.error(error.code === 4001 ? 'Network switch rejected' : `Failed to switch to ${target.name}`);
+        }
     };
 
     const disconnectWallet = () => {
         setAccount('');
         setSigner(null);
+        setDeployment(null);
         setContracts({});
+        setAssets([]);
         setBalances({});
         setProtocolData({});
         toast.success('Wallet disconnected');
@@ -219,174 +261,229 @@ function App() {
     const tabs = [
         { id: 'orderbook', name: 'Order Book', icon: BarChart3 },
         { id: 'pools', name: 'Lending Pools', icon: TrendingUp },
+        { id: 'loans', name: 'My Loans', icon: FileText },
+        { id: 'portfolio', name: 'Portfolio', icon: PieChart },
         { id: 'risk', name: 'Risk Dashboard', icon: Shield },
-        { id: 'governance', name: 'Governance', icon: Vote }
+        { id: 'governance', name: 'Governance', icon: Vote },
+        { id: 'vesting', name: 'Vesting', icon: Hourglass }
     ];
 
     return (
-        <div className="min-h-screen bg-gray-50">
-            <Toaster position="top-right" />
-
-            {/* Header */}
-            <header className="bg-white shadow-sm border-b">
-                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-                    <div className="flex justify-between items-center h-16">
-                        <div className="flex items-center">
-                            <div className="flex items-center space-x-2">
-                                <Zap className="h-8 w-8 text-primary-600" />
-                                <h1 className="text-2xl font-bold text-gray-900">Legos Finance</h1>
-                            </div>
-                            <span className="ml-2 text-sm text-gray-500 bg-gray-100 px-2 py-1 rounded">
-                                Testnet
-                            </span>
-                        </div>
-
-                        <WalletConnection
-                            account={account}
-                            network={network}
-                            onConnect={connectWallet}
-                            onDisconnect={disconnectWallet}
-                            loading={loading}
-                        />
-                    </div>
-                </div>
-            </header>
-
-            {/* Main Content */}
-            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                {account ? (
-                    <>
-                        {/* Protocol Stats */}
-                        <ProtocolStats
-                            balances={balances}
-                            protocolData={protocolData}
-                            onRefresh={() => {
-                                loadUserData();
-                                loadProtocolData();
-                            }}
-                        />
-
-                        {/* Navigation Tabs */}
-                        <div className="mt-8">
-                            <div className="border-b border-gray-200">
-                                <nav className="-mb-px flex space-x-8">
-                                    {tabs.map((tab) => {
-                                        const Icon = tab.icon;
-                                        return (
-                                            <button
-                                                key={tab.id}
-                                                onClick={() => setActiveTab(tab.id)}
-                                                className={`${activeTab === tab.id
-                                                        ? 'border-primary-500 text-primary-600'
-                                                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                                                    } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center space-x-2`}
-                                            >
-                                                <Icon className="h-4 w-4" />
-                                                <span>{tab.name}</span>
-                                            </button>
-                                        );
-                                    })}
-                                </nav>
-                            </div>
-                        </div>
-
-                        {/* Tab Content */}
-                        <div className="mt-8">
-                            {activeTab === 'orderbook' && (
-                                <OrderBook
-                                    contracts={contracts}
-                                    account={account}
-                                    onOrderPlaced={() => {
-                                        loadUserData();
-                                        loadProtocolData();
-                                    }}
-                                />
-                            )}
-
-                            {activeTab === 'pools' && (
-                                <LendingPools
-                                    contracts={contracts}
-                                    balances={balances}
-                                    protocolData={protocolData}
-                                    onTransaction={() => {
-                                        loadUserData();
-                                        loadProtocolData();
-                                    }}
-                                />
-                            )}
-
-                            {activeTab === 'risk' && (
-                                <RiskDashboard
-                                    contracts={contracts}
-                                    protocolData={protocolData}
-                                />
-                            )}
-
-                            {activeTab === 'governance' && (
-                                <GovernancePanel
-                                    contracts={contracts}
-                                    account={account}
-                                    balances={balances}
-                                />
-                            )}
-                        </div>
-                    </>
-                ) : (
-                    /* Welcome Screen */
-                    <div className="text-center py-16">
-                        <Zap className="mx-auto h-16 w-16 text-primary-600 mb-4" />
-                        <h2 className="text-3xl font-bold text-gray-900 mb-4">
-                            Welcome to Legos Finance
-                        </h2>
-                        <p className="text-lg text-gray-600 mb-8 max-w-2xl mx-auto">
-                            A modular, capital-efficient lending protocol with transparent price discovery
-                            through our Central Limit Order Book (CLOB) system.
-                        </p>
-
-                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 max-w-4xl mx-auto mb-8">
-                            <div className="card text-center">
-                                <BarChart3 className="h-8 w-8 text-primary-600 mx-auto mb-2" />
-                                <h3 className="font-semibold text-gray-900 mb-1">Order Book</h3>
-                                <p className="text-sm text-gray-600">
-                                    Place lending and borrowing orders with transparent price discovery
-                                </p>
+        <ProtocolEventsContext.Provider value={protocolEvents}>
+            <TransactionsContext.Provider value={transactionManager}>
+                <AlertsContext.Provider value={alerts}>
+                    <div className="min-h-screen bg-gray-50">
+                        <Toaster position="top-right" />
+
+                        {/* Header */}
+                        <header className="bg-white shadow-sm border-b">
+                            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                                <div className="flex justify-between items-center h-16">
+                                    <div className="flex items-center">
+                                        <div className="flex items-center space-x-2">
+                                            <Zap className="h-8 w-8 text-primary-600" />
+                                            <h1 className="text-2xl font-bold text-gray-900">Legos Finance</h1>
+                                        </div>
+                                        <span className="ml-2 text-sm text-gray-500 bg-gray-100 px-2 py-1 rounded">
+                                            Testnet
+                                        </span>
+                                    </div>
+
+                                    <div className="flex items-center space-x-3">
+                                        {account && deployment && <AlertSettings />}
+                                        {account && deployment && <TransactionDrawer network={network} />}
+                                        <WalletConnection
+                                            account={account}
+                                            network={network}
+                                            supported={Boolean(deployment)}
+                                            onSwitchNetwork={switchNetwork}
+                                            onConnect={connectWallet}
+                                            onDisconnect={disconnectWallet}
+                                            loading={loading}
+                                        />
+                                    </div>
+                                </div>
                             </div>
+                        </header>
 
-                            <div className="card text-center">
-                                <TrendingUp className="h-8 w-8 text-secondary-600 mx-auto mb-2" />
-                                <h3 className="font-semibold text-gray-900 mb-1">Lending Pools</h3>
-                                <p className="text-sm text-gray-600">
-                                    Passive liquidity provision with dynamic interest rates
-                                </p>
-                            </div>
-
-                            <div className="card text-center">
-                                <Shield className="h-8 w-8 text-yellow-600 mx-auto mb-2" />
-                                <h3 className="font-semibold text-gray-900 mb-1">Risk Management</h3>
-                                <p className="text-sm text-gray-600">
-                                    Real-time monitoring and automated liquidation protection
-                                </p>
-                            </div>
-                        </div>
-
-                        <button
-                            onClick={connectWallet}
-                            disabled={loading}
-                            className="btn-primary text-lg px-8 py-3"
-                        >
-                            {loading ? (
-                                <span className="loading-dots">Connecting</span>
-                            ) : (
+                        {/* Main Content */}
+                        <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                            {account && network && !deployment ? (
+                                <UnsupportedNetwork network={network} onSwitchNetwork={switchNetwork} />
+                            ) : account ? (
                                 <>
-                                    <Wallet className="inline h-5 w-5 mr-2" />
-                                    Connect Wallet to Start
+                                    {/* Protocol Stats */}
+                                    <ProtocolStats
+                                        assets={assets}
+                                        balances={balances}
+                                        protocolData={protocolData}
+                                        onRefresh={() => {
+                                            loadUserData();
+                                            loadProtocolData();
+                                        }}
+                                    />
+
+                                    {/* Navigation Tabs */}
+                                    <div className="mt-8">
+                                        <div className="border-b border-gray-200">
+                                            <nav className="-mb-px flex space-x-8">
+                                                {tabs.map((tab) => {
+                                                    const Icon = tab.icon;
+                                                    return (
+                                                        <button
+                                                            key={tab.id}
+                                                            onClick={() => setActiveTab(tab.id)}
+                                                            className={`${activeTab === tab.id
+                                                                    ? 'border-primary-500 text-primary-600'
+                                                                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                                                                } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center space-x-2`}
+                                                        >
+                                                            <Icon className="h-4 w-4" />
+                                                            <span>{tab.name}</span>
+                                                        </button>
+                                                    );
+                                                })}
+                                            </nav>
+                                        </div>
+                                    </div>
+
+                                    {/* Tab Content */}
+                                    <div className="mt-8">
+                                        {activeTab === 'orderbook' && (
+                                            <OrderBook
+                                                contracts={contracts}
+                                                assets={assets}
+                                                account={account}
+                                                onOrderPlaced={() => {
+                                                    loadUserData();
+                                                    loadProtocolData();
+                                                }}
+                                            />
+                                        )}
+
+                                        {activeTab === 'pools' && (
+                                            <LendingPools
+                                                assets={assets}
+                                                balances={balances}
+                                                protocolData={protocolData}
+                                                onTransaction={() => {
+                                                    loadUserData();
+                                                    loadProtocolData();
+                                                }}
+                                            />
+                                        )}
+
+                                        {activeTab === 'loans' && (
+                                            <MyLoans
+                                                contracts={contracts}
+                                                assets={assets}
+                                                account={account}
+                                                onLoanUpdated={() => {
+                                                    loadUserData();
+                                                    loadProtocolData();
+                                                }}
+                                            />
+                                        )}
+
+                                        {activeTab === 'portfolio' && (
+                                            <Portfolio
+                                                contracts={contracts}
+                                                assets={assets}
+                                                account={account}
+                                            />
+                                        )}
+
+                                        {activeTab === 'risk' && (
+                                            <RiskDashboard
+                                                contracts={contracts}
+                                                assets={assets}
+                                                account={account}
+                                                protocolData={protocolData}
+                                                onLiquidated={() => {
+                                                    loadUserData();
+                                                    loadProtocolData();
+                                                }}
+                                            />
+                                        )}
+
+                                        {activeTab === 'governance' && (
+                                            <GovernancePanel
+                                                contracts={contracts}
+                                                assets={assets}
+                                                account={account}
+                                                balances={balances}
+                                                onBalancesUpdated={loadUserData}
+                                            />
+                                        )}
+
+                                        {activeTab === 'vesting' && (
+                                            <VestingDashboard
+                                                contracts={contracts}
+                                                account={account}
+                                                onClaimed={loadUserData}
+                                            />
+                                        )}
+                                    </div>
                                 </>
+                            ) : (
+                                /* Welcome Screen */
+                                <div className="text-center py-16">
+                                    <Zap className="mx-auto h-16 w-16 text-primary-600 mb-4" />
+                                    <h2 className="text-3xl font-bold text-gray-900 mb-4">
+                                        Welcome to Legos Finance
+                                    </h2>
+                                    <p className="text-lg text-gray-600 mb-8 max-w-2xl mx-auto">
+                                        A modular, capital-efficient lending protocol with transparent price discovery
+                                        through our Central Limit Order Book (CLOB) system.
+                                    </p>
+
+                                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6 max-w-4xl mx-auto mb-8">
+                                        <div className="card text-center">
+                                            <BarChart3 className="h-8 w-8 text-primary-600 mx-auto mb-2" />
+                                            <h3 className="font-semibold text-gray-900 mb-1">Order Book</h3>
+                                            <p className="text-sm text-gray-600">
+                                                Place lending and borrowing orders with transparent price discovery
+                                            </p>
+                                        </div>
+
+                                        <div className="card text-center">
+                                            <TrendingUp className="h-8 w-8 text-secondary-600 mx-auto mb-2" />
+                                            <h3 className="font-semibold text-gray-900 mb-1">Lending Pools</h3>
+                                            <p className="text-sm text-gray-600">
+                                                Passive liquidity provision with dynamic interest rates
+                                            </p>
+                                        </div>
+
+                                        <div className="card text-center">
+                                            <Shield className="h-8 w-8 text-yellow-600 mx-auto mb-2" />
+                                            <h3 className="font-semibold text-gray-900 mb-1">Risk Management</h3>
+                                            <p className="text-sm text-gray-600">
+                                                Real-time monitoring and automated liquidation protection
+                                            </p>
+                                        </div>
+                                    </div>
+
+                                    <button
+                                        onClick={connectWallet}
+                                        disabled={loading}
+                                        className="btn-primary text-lg px-8 py-3"
+                                    >
+                                        {loading ? (
+                                            <span className="loading-dots">Connecting</span>
+                                        ) : (
+                                            <>
+                                                <Wallet className="inline h-5 w-5 mr-2" />
+                                                Connect Wallet to Start
+                                            </>
+                                        )}
+                                    </button>
+                                </div>
                             )}
-                        </button>
+                        </main>
                     </div>
-                )}
-            </main>
-        </div>
+                </AlertsContext.Provider>
+            </TransactionsContext.Provider>
+        </ProtocolEventsContext.Provider>
     );
 }
 
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getDeploymentBlock } from '../config/contracts';
+import { collectActivity, activityToCsv, activityToJson } from '../config/activity';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+// Dates are whole UTC days, so the end date includes its last second
+const parseDay = (value, endOfDay) => {
+    if (!value) return null;
+    const start = Math.floor(Date.parse(`${value}T00:00:00Z`) / 1000);
+    return endOfDay ? start + DAY_SECONDS - 1 : start;
+};
+
+const download = (content, type, filename) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const ActivityExport = ({ contracts, assets, account }) => {
+    const [range, setRange] = useState(() => ({
+        from: toDateInput(new Date(Date.now() - 30 * DAY_SECONDS * 1000)),
+        to: toDateInput(new Date())
+    }));
+    const [exporting, setExporting] = useState(null); // 'csv' or 'json' while running
+
+    const handleExport = async (format) => {
+        const from = parseDay(range.from, false);
+        const to = parseDay(range.to, true);
+        if (from !== null && to !== null && from > to) {
+            toast.error('The start date must be before the end date');
+            return;
+        }
+
+        setExporting(format);
+        try {
+            const { chainId } = await contracts.clob.runner.provider.getNetwork();
+            const rows = await collectActivity({
+                contracts,
+                assets,
+                account,
+                fromBlock: getDeploymentBlock(chainId),
+                from,
+                to
+            });
+
+            const filename = `legos-activity-${account.slice(0, 8)}-${range.from || 'start'}-${range.to || 'now'}.${format}`;
+            if (format === 'csv') {
+                download(activityToCsv(rows), 'text/csv', filename);
+            } else {
+                download(activityToJson({ account, from, to, rows }), 'application/json', filename);
+            }
+            toast.success(`Exported ${rows.length} event${rows.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Error exporting activity:', error);
+            toast.error('Failed to export activity');
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    return (
+        <div className="card">
+            <h3 className="text-lg font-semibold mb-2 flex items-center">
+                <Download className="h-5 w-5 mr-2" />
+                Export Activity
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Deposits, withdrawals, orders, loans, staking and claimed rewards, with USD values at the time of each event.
+                Dates are in UTC.
+            </p>
+
+            <div className="flex flex-wrap items-end gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                    <input
+                        type="date"
+                        value={range.from}
+                        onChange={(e) => setRange({ ...range, from: e.target.value })}
+                        className="input-field"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                    <input
+                        type="date"
+                        value={range.to}
+                        onChange={(e) => setRange({ ...range, to: e.target.value })}
+                        className="input-field"
+                    />
+                </div>
+                <button onClick={() => handleExport('csv')} disabled={exporting !== null} className="btn-primary">
+                    {exporting === 'csv' ? <span className="loading-dots">Exporting</span> : 'Export CSV'}
+                </button>
+                <button onClick={() => handleExport('json')} disabled={exporting !== null} className="btn-secondary">
+                    {exporting === 'json' ? <span className="loading-dots">Exporting</span> : 'Export JSON'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ActivityExport;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAlerts, validateThresholds } from '../hooks/useAlerts';
+
+const PERMISSION_NOTES = {
+    denied: 'Browser notifications are blocked for this site. Allow them in your browser settings to use them.',
+    unsupported: 'This browser does not support notifications, so alerts only show in the app.'
+};
+
+const AlertSettings = () => {
+    const { settings, saveSettings, permission, requestPermission } = useAlerts();
+    const [draft, setDraft] = useState(null);
+
+    const open = () => setDraft(settings);
+    const close = () => setDraft(null);
+
+    const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+    const enableBrowserNotifications = async () => {
+        const result = await requestPermission();
+        if (result === 'granted') updateDraft('browserNotifications', true);
+    };
+
+    const thresholdError = draft ? validateThresholds(draft) : null;
+
+    const handleSave = () => {
+        saveSettings(draft);
+        toast.success(draft.enabled ? 'Alert settings saved' : 'Alerts turned off');
+        close();
+    };
+
+    const renderCheckbox = (field, label, disabled = false) => (
+        <label className={`flex items-center space-x-2 text-sm ${disabled ? 'text-gray-400' : 'text-gray-700'}`}>
+            <input
+                type="checkbox"
+                checked={draft[field]}
+                disabled={disabled}
+                onChange={(e) => updateDraft(field, e.target.checked)}
+            />
+            <span>{label}</span>
+        </label>
+    );
+
+    const renderThreshold = (field, label) => (
+        <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+                type="number"
+                min="0"
+                step="0.05"
+                value={draft[field]}
+                disabled={!draft.enabled}
+                onChange={(e) => updateDraft(field, e.target.value)}
+                className="input-field"
+            />
+        </div>
+    );
+
+    return (
+        <>
+            <button
+                onClick={open}
+                className="p-2 text-gray-500 hover:text-gray-700"
+                title="Alerts"
+            >
+                {settings.enabled ? <Bell className="h-5 w-5" /> : <BellOff className="h-5 w-5" />}
+            </button>
+
+            {draft && (
+                <div className="fixed inset-0 bg-black bg-opacity-40 z-50" onClick={close}>
+                    <div
+                        className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-xl flex flex-col"
+                        onClick={(event) => event.stopPropagation()}
+                    >
+                        <div className="flex justify-between items-center p-4 border-b">
+                            <h3 className="text-lg font-semibold">Alerts</h3>
+                            <button onClick={close} className="text-gray-400 hover:text-gray-600">
+                                <X className="h-5 w-5" />
+                            </button>
+                        </div>
+
+                        <div className="flex-1 overflow-y-auto p-4 space-y-6">
+                            <div className="space-y-2">
+                                {renderCheckbox('enabled', 'Watch my orders and loans')}
+                                <p className="text-xs text-gray-500">
+                                    Alerts run while this page is open and are saved for this account only.
+                                </p>
+                            </div>
+
+                            <div className="space-y-2">
+                                <h4 className="font-medium text-gray-900">Events</h4>
+                                {renderCheckbox('orderFills', 'Order filled or partially filled', !draft.enabled)}
+                                {renderCheckbox('liquidations', 'Loan flagged for or hit by liquidation', !draft.enabled)}
+                            </div>
+
+                            <div className="space-y-3">
+                                <h4 className="font-medium text-gray-900">Health factor thresholds</h4>
+                                <p className="text-xs text-gray-500">
+                                    You are alerted when a loan you borrowed drops below a threshold. Liquidation starts below 1.00.
+                                </p>
+                                <div className="grid grid-cols-2 gap-4">
+                                    {renderThreshold('warningThreshold', 'Warning below')}
+                                    {renderThreshold('criticalThreshold', 'Critical below')}
+                                </div>
+                                {draft.enabled && thresholdError && (
+                                    <p className="text-sm text-red-600">{thresholdError}</p>
+                                )}
+                            </div>
+
+                            <div className="space-y-2">
+                                <h4 className="font-medium text-gray-900">Browser notifications</h4>
+                                {permission === 'granted' && renderCheckbox('browserNotifications', 'Also show alerts as browser notifications', !draft.enabled)}
+                                {permission === 'default' && (
+                                    <button
+                                        onClick={enableBrowserNotifications}
+                                        disabled={!draft.enabled}
+                                        className="btn-secondary text-sm"
+                                    >
+                                        Allow browser notifications
+                                    </button>
+                                )}
+                                {PERMISSION_NOTES[permission] && (
+                                    <p className="text-sm text-gray-500">{PERMISSION_NOTES[permission]}</p>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="p-4 border-t">
+                            <button
+                                onClick={handleSave}
+                                disabled={draft.enabled && Boolean(thresholdError)}
+                                className="btn-primary w-full"
+                            >
+                                Save
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default AlertSettings;
@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { UserCheck, PenTool, Trophy, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { formatCurrency, formatAddress, getDeploymentBlock, queryFilterPaginated } from '../config/contracts';
+import { useTransactions } from '../hooks/useTransactions';
+
+// Signed delegations stay valid for a day, enough to hand off to a relayer
+const SIGNATURE_TTL_SECONDS = 24 * 60 * 60;
+const LEADERBOARD_SIZE = 10;
+
+const DELEGATION_TYPES = {
+    Delegation: [
+        { name: 'delegatee', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+};
+
+const DelegationPanel = ({ contracts, account, delegatee, onDelegated }) => {
+    const { runTransaction } = useTransactions();
+    const [targetAddress, setTargetAddress] = useState('');
+    const [signedPayload, setSignedPayload] = useState('');
+    const [relayPayload, setRelayPayload] = useState('');
+    const [leaderboard, setLeaderboard] = useState([]);
+    const [totalSupply, setTotalSupply] = useState(0n);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (contracts.legosToken) {
+            loadLeaderboard();
+        }
+    }, [contracts]);
+
+    const loadLeaderboard = async () => {
+        try {
+            const token = contracts.legosToken;
+            const provider = token.runner.provider;
+            const [network, toBlock] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+            const fromBlock = getDeploymentBlock(network.chainId);
+            const [changedEvents, votesEvents, supply] = await Promise.all([
+                queryFilterPaginated(token, token.filters.DelegateChanged(), fromBlock, toBlock),
+                queryFilterPaginated(token, token.filters.DelegateVotesChanged(), fromBlock, toBlock),
+                token.totalSupply()
+            ]);
+
+            // Events arrive in chain order, so the last entry per key is the current value
+            const currentDelegate = {};
+            changedEvents.forEach(event => {
+                currentDelegate[event.args.delegator] = event.args.toDelegate;
+            });
+
+            const votes = {};
+            votesEvents.forEach(event => {
+                votes[event.args.delegate] = event.args.newVotes;
+            });
+
+            const delegatorCounts = {};
+            Object.values(currentDelegate).forEach(delegate => {
+                if (delegate !== ethers.ZeroAddress) {
+                    delegatorCounts[delegate] = (delegatorCounts[delegate] || 0) + 1;
+                }
+            });
+
+            const ranked = Object.entries(votes)
+                .filter(([, amount]) => amount > 0n)
+                .map(([address, amount]) => ({ address, votes: amount, delegators: delegatorCounts[address] || 0 }))
+                .sort((a, b) => (b.votes > a.votes ? 1 : b.votes < a.votes ? -1 : 0))
+                .slice(0, LEADERBOARD_SIZE);
+
+            setLeaderboard(ranked);
+            setTotalSupply(supply);
+        } catch (error) {
+            console.error('Error loading delegates leaderboard:', error);
+        }
+    };
+
+    const afterDelegation = (message) => {
+        toast.success(message);
+        setTargetAddress('');
+        loadLeaderboard();
+        onDelegated();
+    };
+
+    const handleDelegate = async (to) => {
+        if (!ethers.isAddress(to)) {
+            toast.error('Please enter a valid address');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            await runTransaction({
+                title: `Delegate votes to ${formatAddress(to)}`,
+                send: () => contracts.legosToken.delegate(to)
+            });
+            afterDelegation(to.toLowerCase() === account.toLowerCase()
+                ? 'Voting power self-delegated!'
+                : `Voting power delegated to ${formatAddress(to)}`);
+        } catch (error) {
+            console.error('Delegation error:', error);
+            toast.error(error.message || 'Delegation failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Produce a delegateBySig payload that any account can relay on the signer's behalf
+    const handleSign = async () => {
+        const to = targetAddress || account;
+        if (!ethers.isAddress(to)) {
+            toast.error('Please enter a valid address');
+            return;
+        }
+
+        try {
+            const token = contracts.legosToken;
+            const [domain, nonce] = await Promise.all([token.eip712Domain(), token.nonces(account)]);
+            const expiry = Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS;
+
+            const signature = await token.runner.signTypedData(
+                {
+                    name: domain.name,
+                    version: domain.version,
+                    chainId: domain.chainId,
+                    verifyingContract: domain.verifyingContract
+                },
+                DELEGATION_TYPES,
+                { delegatee: to, nonce, expiry }
+            );
+            const { v, r, s } = ethers.Signature.from(signature);
+
+            setSignedPayload(JSON.stringify({
+                delegator: account,
+                delegatee: to,
+                nonce: nonce.toString(),
+                expiry,
+                v,
+                r,
+                s
+            }, null, 2));
+            toast.success('Delegation signed, share the payload with a relayer');
+        } catch (error) {
+            console.error('Delegation signing error:', error);
+            toast.error(error.message || 'Failed to sign delegation');
+        }
+    };
+
+    const handleRelay = async () => {
+        setLoading(true);
+
+        try {
+            const { delegatee: to, nonce, expiry, v, r, s } = JSON.parse(relayPayload);
+            await runTransaction({
+                title: `Relay delegation to ${formatAddress(to)}`,
+                send: () => contracts.legosToken.delegateBySig(to, nonce, expiry, v, r, s)
+            });
+
+            setRelayPayload('');
+            afterDelegation(`Signed delegation to ${formatAddress(to)} submitted`);
+        } catch (error) {
+            console.error('Delegation relay error:', error);
+            toast.error(error.reason || error.message || 'Failed to submit signed delegation');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const isSelfDelegated = delegatee && delegatee.toLowerCase() === account.toLowerCase();
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="card">
+                <h3 className="text-lg font-semibold mb-4 flex items-center">
+                    <UserCheck className="h-5 w-5 text-green-600 mr-2" />
+                    Delegate Voting Power
+                </h3>
+
+                <div className="space-y-4">
+                    <div className="flex justify-between">
+                        <span className="text-gray-600">Current Delegate</span>
+                        <span className="font-semibold font-mono">
+                            {!delegatee || delegatee === ethers.ZeroAddress
+                                ? 'None'
+                                : isSelfDelegated ? 'Self' : formatAddress(delegatee)}
+                        </span>
+                    </div>
+
+                    <button
+                        onClick={() => handleDelegate(account)}
+                        disabled={loading || isSelfDelegated}
+                        className="btn-secondary w-full"
+                    >
+                        Delegate to Myself
+                    </button>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Delegate To</label>
+                        <input
+                            type="text"
+                            value={targetAddress}
+                            onChange={(e) => setTargetAddress(e.target.value)}
+                            className="input-field w-full"
+                            placeholder="0x..."
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <button
+                            onClick={() => handleDelegate(targetAddress)}
+                            disabled={loading || !targetAddress}
+                            className="btn-primary"
+                        >
+                            Delegate
+                        </button>
+                        <button
+                            onClick={handleSign}
+                            disabled={loading}
+                            className="btn-secondary flex items-center justify-center"
+                        >
+                            <PenTool className="h-4 w-4 mr-2" />
+                            Sign (Gasless)
+                        </button>
+                    </div>
+
+                    {signedPayload && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Signed Delegation</label>
+                            <textarea
+                                readOnly
+                                value={signedPayload}
+                                className="input-field w-full font-mono text-xs"
+                                rows={6}
+                            />
+                        </div>
+                    )}
+
+                    <div className="pt-4 border-t">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Relay a Signed Delegation</label>
+                        <textarea
+                            value={relayPayload}
+                            onChange={(e) => setRelayPayload(e.target.value)}
+                            className="input-field w-full font-mono text-xs"
+                            rows={3}
+                            placeholder='{"delegatee": "0x...", "nonce": "0", "expiry": ..., "v": 27, "r": "0x...", "s": "0x..."}'
+                        />
+                        <button
+                            onClick={handleRelay}
+                            disabled={loading || !relayPayload}
+                            className="btn-secondary w-full mt-2"
+                        >
+                            Submit Signed Delegation
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="card">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold flex items-center">
+                        <Trophy className="h-5 w-5 text-yellow-600 mr-2" />
+                        Top Delegates
+                    </h3>
+                    <button onClick={loadLeaderboard} className="text-gray-400 hover:text-gray-600">
+                        <RefreshCw className="h-4 w-4" />
+                    </button>
+                </div>
+
+                {leaderboard.length === 0 ? (
+                    <div className="text-center py-4 text-gray-500">No delegated votes yet</div>
+                ) : (
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {['#', 'Delegate', 'Votes', 'Delegators'].map((column) => (
+                                    <th key={column} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        {column}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {leaderboard.map((entry, index) => (
+                                <tr key={entry.address}>
+                                    <td className="px-4 py-3 text-sm text-gray-500">{index + 1}</td>
+                                    <td className="px-4 py-3 text-sm font-mono text-gray-900">
+                                        {formatAddress(entry.address)}
+                                        {entry.address.toLowerCase() === account.toLowerCase() && (
+                                            <span className="ml-2 text-xs text-blue-600">(you)</span>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-3 text-sm text-gray-900">
+                                        {formatCurrency(entry.votes)}
+                                        {totalSupply > 0n && (
+                                            <span className="ml-1 text-xs text-gray-500">
+                                                ({(Number((entry.votes * 10000n) / totalSupply) / 100).toFixed(2)}%)
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-3 text-sm text-gray-500">{entry.delegators}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DelegationPanel;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { formatUnits, formatAPY, formatCurrency } from '../config/contracts';
+
+const WIDTH = 400;
+const HEIGHT = 180;
+const PADDING = 24;
+// Keeps a one-level book from collapsing to a zero-width domain
+const MIN_RATE_SPAN = 100;
+
+const DepthChart = ({ summary, decimals, symbol }) => {
+    const [hoverRate, setHoverRate] = useState(null);
+    const { lend, borrow, midRate } = summary;
+
+    if (lend.length === 0 && borrow.length === 0) {
+        return (
+            <div className="text-center py-8 text-gray-500">
+                No open orders for {symbol}
+            </div>
+        );
+    }
+
+    const rates = [...lend, ...borrow].map(level => Number(level.rate));
+    let minRate = Math.min(...rates);
+    let maxRate = Math.max(...rates);
+    if (maxRate - minRate < MIN_RATE_SPAN) {
+        const center = (minRate + maxRate) / 2;
+        minRate = Math.max(0, center - MIN_RATE_SPAN / 2);
+        maxRate = minRate + MIN_RATE_SPAN;
+    }
+    const margin = (maxRate - minRate) * 0.1;
+    minRate = Math.max(0, minRate - margin);
+    maxRate += margin;
+
+    const toAmount = (value) => parseFloat(formatUnits(value, decimals));
+    const maxVolume = Math.max(
+        lend.length > 0 ? toAmount(lend[lend.length - 1].cumulative) : 0,
+        borrow.length > 0 ? toAmount(borrow[borrow.length - 1].cumulative) : 0
+    );
+
+    const x = (rate) => PADDING + ((Number(rate) - minRate) / (maxRate - minRate)) * (WIDTH - 2 * PADDING);
+    const y = (volume) => HEIGHT - PADDING - (toAmount(volume) / maxVolume) * (HEIGHT - 2 * PADDING);
+    const baseline = HEIGHT - PADDING;
+
+    // Step outline from the best level out to the edge of the chart, closed along the baseline
+    const buildArea = (levels, edgeRate) => {
+        if (levels.length === 0) return '';
+        const points = [`${x(levels[0].rate)},${baseline}`];
+        levels.forEach((level, index) => {
+            points.push(`${x(level.rate)},${y(index === 0 ? 0n : levels[index - 1].cumulative)}`);
+            points.push(`${x(level.rate)},${y(level.cumulative)}`);
+        });
+        points.push(`${x(edgeRate)},${y(levels[levels.length - 1].cumulative)}`);
+        points.push(`${x(edgeRate)},${baseline}`);
+        return points.join(' ');
+    };
+
+    // Volume reachable at the hovered rate: lend offers at or below it, borrow bids at or above it
+    const volumeAt = (levels, reachable) => levels.reduce(
+        (total, level) => (reachable(level.rate) ? level.cumulative : total),
+        0n
+    );
+
+    const handleMouseMove = (event) => {
+        const bounds = event.currentTarget.getBoundingClientRect();
+        const svgX = ((event.clientX - bounds.left) / bounds.width) * WIDTH;
+        const rate = minRate + ((svgX - PADDING) / (WIDTH - 2 * PADDING)) * (maxRate - minRate);
+        setHoverRate(Math.min(Math.max(rate, minRate), maxRate));
+    };
+
+    const hoverLend = hoverRate !== null ? volumeAt(lend, rate => Number(rate) <= hoverRate) : 0n;
+    const hoverBorrow = hoverRate !== null ? volumeAt(borrow, rate => Number(rate) >= hoverRate) : 0n;
+
+    return (
+        <div className="relative">
+            <svg
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                className="w-full h-48"
+                onMouseMove={handleMouseMove}
+                onMouseLeave={() => setHoverRate(null)}
+            >
+                {/* Axes */}
+                <line x1={PADDING} y1={baseline} x2={WIDTH - PADDING} y2={baseline} stroke="#d1d5db" />
+
+                {/* Spread */}
+                {summary.spread !== null && summary.spread > 0n && (
+                    <rect
+                        x={x(summary.bestBorrow)}
+                        y={PADDING}
+                        width={x(summary.bestLend) - x(summary.bestBorrow)}
+                        height={baseline - PADDING}
+                        fill="#f3f4f6"
+                    />
+                )}
+
+                {/* Depth areas */}
+                <polygon points={buildArea(borrow, minRate)} fill="#dbeafe" stroke="#2563eb" strokeWidth="1.5" />
+                <polygon points={buildArea(lend, maxRate)} fill="#dcfce7" stroke="#16a34a" strokeWidth="1.5" />
+
+                {/* Mid rate */}
+                {midRate !== null && (
+                    <>
+                        <line x1={x(midRate)} y1={PADDING} x2={x(midRate)} y2={baseline} stroke="#6b7280" strokeDasharray="4 3" />
+                        <text x={x(midRate)} y={PADDING - 6} textAnchor="middle" fontSize="10" fill="#6b7280">
+                            Mid {formatAPY(midRate)}%
+                        </text>
+                    </>
+                )}
+
+                {/* Hover marker */}
+                {hoverRate !== null && (
+                    <line x1={x(hoverRate)} y1={PADDING} x2={x(hoverRate)} y2={baseline} stroke="#f59e0b" />
+                )}
+
+                <text x={PADDING} y={HEIGHT - 6} fontSize="10" fill="#6b7280">{formatAPY(Math.round(minRate))}%</text>
+                <text x={WIDTH - PADDING} y={HEIGHT - 6} textAnchor="end" fontSize="10" fill="#6b7280">
+                    {formatAPY(Math.round(maxRate))}%
+                </text>
+            </svg>
+
+            {hoverRate !== null && (
+                <div
+                    className="absolute top-0 pointer-events-none bg-white border rounded shadow px-2 py-1 text-xs"
+                    style={{ left: `${(x(hoverRate) / WIDTH) * 100}%`, transform: 'translateX(-50%)' }}
+                >
+                    <div className="font-semibold">{formatAPY(Math.round(hoverRate))}% APY</div>
+                    <div className="text-green-700">Lend ≤ rate: {formatCurrency(hoverLend, decimals, symbol)}</div>
+                    <div className="text-blue-700">Borrow ≥ rate: {formatCurrency(hoverBorrow, decimals, symbol)}</div>
+                </div>
+            )}
+
+            <div className="flex justify-between mt-2 text-xs text-gray-600">
+                <div className="flex space-x-4">
+                    <span className="flex items-center"><span className="w-3 h-3 bg-blue-200 border border-blue-600 mr-1" />Borrow bids</span>
+                    <span className="flex items-center"><span className="w-3 h-3 bg-green-200 border border-green-600 mr-1" />Lend offers</span>
+                </div>
+                <span>
+                    Spread: {summary.spread !== null ? `${formatAPY(summary.spread)}%` : '-'}
+                </span>
+            </div>
+        </div>
+    );
+};
+
+export default DepthChart;
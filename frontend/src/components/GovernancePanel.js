@@ -1,91 +1,95 @@
-import React, { useState } from 'react';
-import { Vote, Users, Coins, Lock } from 'lucide-react';
-import toast from 'react-hot-toast';
-import { parseUnits, formatCurrency } from '../config/contracts';
-
-const GovernancePanel = ({ contracts, account, balances }) => {
-    const [stakeAmount, setStakeAmount] = useState('');
-    const [loading, setLoading] = useState(false);
-
-    const handleStake = async () => {
-        if (!stakeAmount || !contracts.legosToken) {
-            toast.error('Please enter a stake amount');
-            return;
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Vote, Users, AlertTriangle } from 'lucide-react';
+import StakingPanel from './StakingPanel';
+import DelegationPanel from './DelegationPanel';
+import ProposalWizard from './ProposalWizard';
+import ProposalList from './ProposalList';
+import { formatCurrency, formatCountdown, TIMELOCK_ABI } from '../config/contracts';
+
+const GovernancePanel = ({ contracts, assets, account, balances, onBalancesUpdated }) => {
+    const [position, setPosition] = useState(null);
+    const [settings, setSettings] = useState(null);
+    const [proposalsVersion, setProposalsVersion] = useState(0);
+
+    useEffect(() => {
+        if (contracts.governance) {
+            loadGovernanceSettings();
         }
+    }, [contracts]);
 
-        setLoading(true);
+    useEffect(() => {
+        if (contracts.legosToken && account) {
+            loadPosition();
+        }
+    }, [contracts, account]);
 
+    const loadPosition = async () => {
         try {
-            const amount = parseUnits(stakeAmount, 18);
-            const tx = await contracts.legosToken.stake(amount);
-            await tx.wait();
+            const [info, votingPower, votes, delegatee] = await Promise.all([
+                contracts.legosToken.stakingInfo(account),
+                contracts.legosToken.getVotingPower(account),
+                contracts.legosToken.getVotes(account),
+                contracts.legosToken.delegates(account)
+            ]);
+            setPosition({ stakedAmount: info.stakedAmount, votingPower, votes, delegatee });
+        } catch (error) {
+            console.error('Error loading governance position:', error);
+        }
+    };
 
-            toast.success('Tokens staked successfully!');
-            setStakeAmount('');
+    const loadGovernanceSettings = async () => {
+        try {
+            const governance = contracts.governance;
+            // Quorum is only defined for past timepoints
+            const timepoint = (await governance.clock()) - 1n;
+            const timelock = new ethers.Contract(await governance.timelock(), TIMELOCK_ABI, governance.runner);
+
+            const [votingDelay, votingPeriod, proposalThreshold, quorum, quorumNumerator, timelockDelay] = await Promise.all([
+                governance.votingDelay(),
+                governance.votingPeriod(),
+                governance.proposalThreshold(),
+                governance.quorum(timepoint),
+                governance['quorumNumerator()'](), // overloaded with the historical quorumNumerator(uint256)
+                timelock.getMinDelay()
+            ]);
+
+            setSettings({ votingDelay, votingPeriod, proposalThreshold, quorum, quorumNumerator, timelockDelay });
         } catch (error) {
-            console.error('Staking error:', error);
-            toast.error(error.message || 'Staking failed');
-        } finally {
-            setLoading(false);
+            console.error('Error loading governance settings:', error);
         }
     };
 
+    const formatBlocks = (blocks) => `${Number(blocks).toLocaleString()} blocks`;
+
     return (
         <div className="space-y-6">
             <h2 className="text-2xl font-bold text-gray-900">Governance</h2>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                {/* Token Staking */}
-                <div className="card">
-                    <h3 className="text-lg font-semibold mb-4 flex items-center">
-                        <Lock className="h-5 w-5 text-blue-600 mr-2" />
-                        Stake LEGOS Tokens
-                    </h3>
-
-                    <div className="space-y-4">
+            {/* ERC20Votes only counts checkpointed votes, which require a delegate */}
+            {position && position.delegatee === ethers.ZeroAddress && balances.legos > 0n && (
+                <div className="flex items-start p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                    <AlertTriangle className="h-5 w-5 text-yellow-600 mr-3 mt-0.5" />
+                    <div className="text-sm text-yellow-800">
+                        <div className="font-medium">Your LEGOS is not delegated</div>
                         <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                                Amount to Stake
-                            </label>
-                            <input
-                                type="number"
-                                value={stakeAmount}
-                                onChange={(e) => setStakeAmount(e.target.value)}
-                                className="input-field w-full"
-                                placeholder="0.0"
-                                step="0.01"
-                            />
-                            <p className="text-sm text-gray-500 mt-1">
-                                Available: {balances.legos ? formatCurrency(balances.legos, 18, 'LEGOS') : '0.00 LEGOS'}
-                            </p>
+                            Undelegated tokens carry no weight on proposals. Delegate to yourself or to another
+                            address below to activate your voting power.
                         </div>
-
-                        <button
-                            onClick={handleStake}
-                            disabled={loading || !stakeAmount}
-                            className="btn-primary w-full"
-                        >
-                            {loading ? (
-                                <span className="loading-dots">Staking</span>
-                            ) : (
-                                <>
-                                    <Coins className="inline h-4 w-4 mr-2" />
-                                    Stake Tokens
-                                </>
-                            )}
-                        </button>
-                    </div>
-
-                    <div className="mt-6 p-4 bg-blue-50 rounded-lg">
-                        <h4 className="text-sm font-medium text-blue-800 mb-2">Staking Benefits</h4>
-                        <ul className="text-sm text-blue-700 space-y-1">
-                            <li>• Increased voting power</li>
-                            <li>• Earn staking rewards</li>
-                            <li>• Participate in governance</li>
-                            <li>• Protocol fee sharing</li>
-                        </ul>
                     </div>
                 </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <StakingPanel
+                    contracts={contracts}
+                    account={account}
+                    balances={balances}
+                    onStakeChanged={() => {
+                        loadPosition();
+                        onBalancesUpdated();
+                    }}
+                />
 
                 {/* Governance Stats */}
                 <div className="card">
@@ -105,25 +109,41 @@ const GovernancePanel = ({ contracts, account, balances }) => {
                         <div className="flex justify-between">
                             <span className="text-gray-600">Staked Amount</span>
                             <span className="font-semibold text-blue-600">
-                                0.00 LEGOS
+                                {position ? formatCurrency(position.stakedAmount, 18, 'LEGOS') : '0.00 LEGOS'}
                             </span>
                         </div>
 
                         <div className="flex justify-between">
                             <span className="text-gray-600">Voting Power</span>
                             <span className="font-semibold text-green-600">
-                                {balances.legos ? formatCurrency(balances.legos, 18) : '0.00'}
+                                {position ? formatCurrency(position.votingPower, 18) : '0.00'}
+                            </span>
+                        </div>
+
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Delegated Votes</span>
+                            <span className="font-semibold text-green-600">
+                                {position ? formatCurrency(position.votes, 18) : '0.00'}
                             </span>
                         </div>
 
                         <div className="flex justify-between pt-2 border-t">
                             <span className="text-gray-600">Proposal Threshold</span>
-                            <span className="text-sm text-gray-500">100 LEGOS</span>
+                            <span className="text-sm text-gray-500">
+                                {settings ? formatCurrency(settings.proposalThreshold, 18, 'LEGOS') : '-'}
+                            </span>
                         </div>
                     </div>
                 </div>
             </div>
 
+            <DelegationPanel
+                contracts={contracts}
+                account={account}
+                delegatee={position?.delegatee}
+                onDelegated={loadPosition}
+            />
+
             {/* Governance Information */}
             <div className="card">
                 <h3 className="text-lg font-semibold mb-4 flex items-center">
@@ -133,17 +153,25 @@ const GovernancePanel = ({ contracts, account, balances }) => {
 
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                     <div className="text-center">
-                        <div className="text-2xl font-bold text-gray-900">7 days</div>
+                        <div className="text-2xl font-bold text-gray-900">
+                            {settings ? formatBlocks(settings.votingPeriod) : '-'}
+                        </div>
                         <div className="text-sm text-gray-600">Voting Period</div>
                     </div>
 
                     <div className="text-center">
-                        <div className="text-2xl font-bold text-gray-900">4%</div>
-                        <div className="text-sm text-gray-600">Quorum Required</div>
+                        <div className="text-2xl font-bold text-gray-900">
+                            {settings ? `${settings.quorumNumerator.toString()}%` : '-'}
+                        </div>
+                        <div className="text-sm text-gray-600">
+                            Quorum Required{settings && ` (${formatCurrency(settings.quorum, 18, 'LEGOS')})`}
+                        </div>
                     </div>
 
                     <div className="text-center">
-                        <div className="text-2xl font-bold text-gray-900">2 days</div>
+                        <div className="text-2xl font-bold text-gray-900">
+                            {settings ? formatCountdown(settings.timelockDelay) : '-'}
+                        </div>
                         <div className="text-sm text-gray-600">Timelock Delay</div>
                     </div>
                 </div>
@@ -152,12 +180,25 @@ const GovernancePanel = ({ contracts, account, balances }) => {
                     <h4 className="text-sm font-medium text-gray-800 mb-2">Governance Process</h4>
                     <ol className="text-sm text-gray-700 space-y-1 list-decimal list-inside">
                         <li>Stake LEGOS tokens to gain voting power</li>
-                        <li>Create proposals (requires 100 LEGOS threshold)</li>
-                        <li>Community votes for 7 days</li>
-                        <li>Successful proposals execute after 2-day timelock</li>
+                        <li>Create proposals (requires {settings ? formatCurrency(settings.proposalThreshold, 18, 'LEGOS') : 'the proposal'} threshold)</li>
+                        <li>Voting opens after {settings ? formatBlocks(settings.votingDelay) : 'the voting delay'} and lasts {settings ? formatBlocks(settings.votingPeriod) : 'the voting period'}</li>
+                        <li>Successful proposals execute after the {settings ? formatCountdown(settings.timelockDelay) : ''} timelock</li>
                     </ol>
                 </div>
             </div>
+
+            <ProposalWizard
+                contracts={contracts}
+                assets={assets}
+                account={account}
+                onProposalCreated={() => setProposalsVersion(version => version + 1)}
+            />
+
+            <ProposalList
+                contracts={contracts}
+                account={account}
+                refreshKey={proposalsVersion}
+            />
         </div>
     );
 };
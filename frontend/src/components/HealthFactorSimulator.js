@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Activity, CheckCircle, AlertTriangle, RefreshCw } from 'lucide-react';
+import { useProtocolEvents, involvesAccount } from '../hooks/useProtocolEvents';
+import {
+    formatUnits,
+    formatCurrency,
+    formatHealthFactor,
+    getHealthFactorColor,
+    calculateHealthFactor,
+    calculateLiquidationPrice,
+    getTokenInfo,
+    MAX_UINT256,
+    LOAN_STATUS
+} from '../config/contracts';
+
+const DEFAULT_SCENARIO = { priceShock: 0, extraCollateral: 0, repayment: 0 };
+
+const formatPrice = (price) => {
+    if (price === null) return '-';
+    if (price === MAX_UINT256) return 'Any price';
+    return `$${formatCurrency(price, 18)}`;
+};
+
+// Applies a whole-percent change to a bigint amount
+const applyPercent = (amount, percent) => (amount * ethers.toBigInt(100 + percent)) / 100n;
+
+const Slider = ({ label, value, min, max, onChange, display }) => (
+    <div>
+        <div className="flex justify-between text-sm mb-1">
+            <label className="font-medium text-gray-700">{label}</label>
+            <span className="font-mono text-gray-900">{display}</span>
+        </div>
+        <input
+            type="range"
+            min={min}
+            max={max}
+            step="1"
+            value={value}
+            onChange={(e) => onChange(parseInt(e.target.value))}
+            className="w-full"
+        />
+    </div>
+);
+
+const HealthFactorSimulator = ({ contracts, assets, account }) => {
+    const [positions, setPositions] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [scenario, setScenario] = useState(DEFAULT_SCENARIO);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (contracts.clob && contracts.riskManager && account) {
+            loadPositions();
+        }
+    }, [contracts, assets, account]);
+
+    useProtocolEvents(({ events, resync }) => {
+        if (resync || events.some(event => event.name === 'LoanCreated' && involvesAccount(event, account))) {
+            loadPositions();
+        }
+    });
+
+    const loadPositions = async () => {
+        setLoading(true);
+
+        try {
+            const loanIds = await contracts.clob.getUserLoans(account);
+            const uniqueIds = [...new Set(loanIds.map(id => id.toString()))];
+
+            const loaded = await Promise.all(uniqueIds.map(async (id) => {
+                const loan = await contracts.clob.loans(id);
+                if (loan.borrower.toLowerCase() !== account.toLowerCase() || LOAN_STATUS[Number(loan.status)] !== 'ACTIVE') {
+                    return null;
+                }
+
+                const [assetAddress, onChainHealthFactor, collateralPrice, collateralParams] = await Promise.all([
+                    contracts.clob.loanAssets(id),
+                    contracts.riskManager.calculateHealthFactor(id),
+                    contracts.riskManager.assetPrices(loan.collateralToken),
+                    contracts.riskManager.assetRiskParams(loan.collateralToken)
+                ]);
+
+                const asset = getTokenInfo(assets, assetAddress);
+                const collateral = getTokenInfo(assets, loan.collateralToken);
+
+                // Same inputs the risk manager reads: stored accrued interest, not interest pending since
+                const inputs = {
+                    collateralAmount: loan.collateralAmount,
+                    collateralPrice,
+                    totalDebt: loan.remainingPrincipal + loan.accruedInterest,
+                    liquidationThreshold: collateralParams.liquidationThreshold
+                };
+                const healthFactor = calculateHealthFactor(inputs);
+                const matchesOnChain = healthFactor === onChainHealthFactor;
+                if (!matchesOnChain) {
+                    console.warn(`Health factor for loan #${id} differs from the risk manager: ${healthFactor} vs ${onChainHealthFactor}`);
+                }
+
+                return {
+                    id,
+                    ...inputs,
+                    assetSymbol: asset.symbol,
+                    assetDecimals: asset.decimals,
+                    collateralSymbol: collateral.symbol,
+                    collateralDecimals: collateral.decimals,
+                    healthFactor,
+                    onChainHealthFactor,
+                    matchesOnChain,
+                    liquidationPrice: calculateLiquidationPrice(inputs)
+                };
+            }));
+
+            const active = loaded.filter(Boolean);
+            setPositions(active);
+            setSelectedId(prev => (active.some(position => position.id === prev) ? prev : (active[0] ? active[0].id : null)));
+        } catch (error) {
+            console.error('Error loading positions for the simulator:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectPosition = (id) => {
+        setSelectedId(id);
+        setScenario(DEFAULT_SCENARIO);
+    };
+
+    const selected = positions.find(position => position.id === selectedId);
+
+    let simulated = null;
+    if (selected) {
+        const inputs = {
+            collateralAmount: applyPercent(selected.collateralAmount, scenario.extraCollateral),
+            collateralPrice: applyPercent(selected.collateralPrice, scenario.priceShock),
+            totalDebt: applyPercent(selected.totalDebt, -scenario.repayment),
+            liquidationThreshold: selected.liquidationThreshold
+        };
+        simulated = {
+            ...inputs,
+            healthFactor: calculateHealthFactor(inputs),
+            liquidationPrice: calculateLiquidationPrice(inputs)
+        };
+    }
+
+    // How far the price can fall before liquidation, as a share of the simulated price
+    const priceHeadroom = simulated && simulated.liquidationPrice !== null && simulated.liquidationPrice !== MAX_UINT256 &&
+        simulated.collateralPrice > 0n
+        ? Number(((simulated.collateralPrice - simulated.liquidationPrice) * 10000n) / simulated.collateralPrice) / 100
+        : null;
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold flex items-center">
+                    <Activity className="h-5 w-5 mr-2" />
+                    Health Factor Simulator
+                </h3>
+                <button
+                    onClick={loadPositions}
+                    disabled={loading}
+                    className="text-gray-500 hover:text-gray-700"
+                    title="Refresh"
+                >
+                    <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+
+            {positions.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                    {loading ? <span className="loading-dots">Loading positions</span> : 'You have no active borrow positions'}
+                </div>
+            ) : (
+                <div className="space-y-6">
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {['Loan', 'Debt', 'Collateral', 'Price', 'Liquidation Price', 'Health Factor'].map(column => (
+                                        <th key={column} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            {column}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {positions.map(position => (
+                                    <tr
+                                        key={position.id}
+                                        onClick={() => selectPosition(position.id)}
+                                        className={`cursor-pointer hover:bg-gray-50 ${position.id === selectedId ? 'bg-primary-50' : ''}`}
+                                    >
+                                        <td className="px-4 py-3 whitespace-nowrap font-medium">#{position.id}</td>
+                                        <td className="px-4 py-3 whitespace-nowrap font-mono">
+                                            {formatUnits(position.totalDebt, position.assetDecimals)} {position.assetSymbol}
+                                        </td>
+                                        <td className="px-4 py-3 whitespace-nowrap font-mono">
+                                            {formatUnits(position.collateralAmount, position.collateralDecimals)} {position.collateralSymbol}
+                                        </td>
+                                        <td className="px-4 py-3 whitespace-nowrap">{formatPrice(position.collateralPrice)}</td>
+                                        <td className="px-4 py-3 whitespace-nowrap">{formatPrice(position.liquidationPrice)}</td>
+                                        <td className={`px-4 py-3 whitespace-nowrap font-semibold ${getHealthFactorColor(position.healthFactor)}`}>
+                                            <span className="inline-flex items-center">
+                                                {formatHealthFactor(position.healthFactor)}
+                                                {position.matchesOnChain ? (
+                                                    <span title="Matches the on-chain health factor">
+                                                        <CheckCircle className="h-4 w-4 ml-1 text-green-600" />
+                                                    </span>
+                                                ) : (
+                                                    <span title={`Differs from the on-chain health factor of ${formatHealthFactor(position.onChainHealthFactor)}`}>
+                                                        <AlertTriangle className="h-4 w-4 ml-1 text-yellow-600" />
+                                                    </span>
+                                                )}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {selected && simulated && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div className="space-y-4">
+                                <h4 className="font-medium text-gray-900">What if, for loan #{selected.id}</h4>
+                                <Slider
+                                    label={`${selected.collateralSymbol} price`}
+                                    value={scenario.priceShock}
+                                    min={-90}
+                                    max={100}
+                                    onChange={(priceShock) => setScenario({ ...scenario, priceShock })}
+                                    display={`${scenario.priceShock > 0 ? '+' : ''}${scenario.priceShock}%`}
+                                />
+                                <Slider
+                                    label="Add collateral"
+                                    value={scenario.extraCollateral}
+                                    min={0}
+                                    max={200}
+                                    onChange={(extraCollateral) => setScenario({ ...scenario, extraCollateral })}
+                                    display={`+${formatUnits(simulated.collateralAmount - selected.collateralAmount, selected.collateralDecimals)} ${selected.collateralSymbol}`}
+                                />
+                                <Slider
+                                    label="Repay debt"
+                                    value={scenario.repayment}
+                                    min={0}
+                                    max={100}
+                                    onChange={(repayment) => setScenario({ ...scenario, repayment })}
+                                    display={`${formatUnits(selected.totalDebt - simulated.totalDebt, selected.assetDecimals)} ${selected.assetSymbol}`}
+                                />
+                                <button onClick={() => setScenario(DEFAULT_SCENARIO)} className="btn-secondary text-sm">
+                                    Reset
+                                </button>
+                            </div>
+
+                            <dl className="space-y-3 text-sm">
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-600">Health factor</dt>
+                                    <dd>
+                                        <span className={getHealthFactorColor(selected.healthFactor)}>{formatHealthFactor(selected.healthFactor)}</span>
+                                        {' → '}
+                                        <span className={`font-bold ${getHealthFactorColor(simulated.healthFactor)}`}>
+                                            {formatHealthFactor(simulated.healthFactor)}
+                                        </span>
+                                    </dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-600">{selected.collateralSymbol} price</dt>
+                                    <dd>{formatPrice(selected.collateralPrice)} → {formatPrice(simulated.collateralPrice)}</dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-600">Liquidation price</dt>
+                                    <dd>{formatPrice(selected.liquidationPrice)} → {formatPrice(simulated.liquidationPrice)}</dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-600">Price drop to liquidation</dt>
+                                    <dd className={priceHeadroom !== null && priceHeadroom <= 0 ? 'text-red-600 font-semibold' : ''}>
+                                        {priceHeadroom === null ? '-' : priceHeadroom <= 0 ? 'Liquidatable' : `${priceHeadroom.toFixed(2)}%`}
+                                    </dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-600">Liquidation threshold</dt>
+                                    <dd>{(Number(selected.liquidationThreshold) / 100).toFixed(2)}%</dd>
+                                </div>
+                                {selected.collateralPrice === 0n && (
+                                    <p className="text-yellow-700">
+                                        The risk manager has no price for {selected.collateralSymbol}, so the collateral counts as worthless.
+                                    </p>
+                                )}
+                            </dl>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HealthFactorSimulator;
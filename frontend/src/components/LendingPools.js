@@ -2,43 +2,35 @@ import React, { useState } from 'react';
 import { PlusCircle, MinusCircle, TrendingUp } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { parseUnits, formatCurrency, formatAPY } from '../config/contracts';
+import { useTransactions } from '../hooks/useTransactions';
 
-const LendingPools = ({ contracts, balances, protocolData, onTransaction }) => {
-    const [activePool, setActivePool] = useState('usdc');
+// Cycled through so each market card keeps a distinct accent
+const POOL_COLORS = ['blue', 'purple', 'green', 'orange', 'pink', 'indigo'];
+
+const LendingPools = ({ assets, balances, protocolData, onTransaction }) => {
+    const { runTransaction } = useTransactions();
+    const [activePool, setActivePool] = useState('');
     const [action, setAction] = useState('deposit');
     const [amount, setAmount] = useState('');
     const [loading, setLoading] = useState(false);
 
-    const pools = [
-        {
-            id: 'usdc',
-            name: 'USDC Pool',
-            asset: 'USDC',
-            decimals: 6,
-            contract: contracts.usdcPool,
-            token: contracts.usdc,
-            balance: balances.usdc,
-            poolShares: balances.usdcPool,
-            supplyAPY: protocolData.usdcSupplyAPY,
-            liquidity: protocolData.usdcLiquidity,
-            color: 'blue'
-        },
-        {
-            id: 'weth',
-            name: 'WETH Pool',
-            asset: 'WETH',
-            decimals: 18,
-            contract: contracts.wethPool,
-            token: contracts.weth,
-            balance: balances.weth,
-            poolShares: balances.wethPool,
-            supplyAPY: protocolData.wethSupplyAPY,
-            liquidity: protocolData.wethLiquidity,
-            color: 'purple'
-        }
-    ];
-
-    const currentPool = pools.find(p => p.id === activePool);
+    const pools = assets
+        .filter(asset => asset.pool)
+        .map((asset, index) => ({
+            id: asset.key,
+            name: `${asset.symbol} Pool`,
+            asset: asset.symbol,
+            decimals: asset.decimals,
+            contract: asset.pool,
+            token: asset.contract,
+            balance: balances.tokens?.[asset.key],
+            poolShares: balances.poolShares?.[asset.key],
+            supplyAPY: protocolData.markets?.[asset.key]?.supplyAPY,
+            liquidity: protocolData.markets?.[asset.key]?.liquidity,
+            color: POOL_COLORS[index % POOL_COLORS.length]
+        }));
+
+    const currentPool = pools.find(p => p.id === activePool) || pools[0];
 
     const handleTransaction = async () => {
         if (!amount || !currentPool) {
@@ -52,23 +44,29 @@ const LendingPools = ({ contracts, balances, protocolData, onTransaction }) => {
             if (action === 'deposit') {
                 const depositAmount = parseUnits(amount, currentPool.decimals);
 
-                // Approve tokens
-                await currentPool.token.approve(
-                    await currentPool.contract.getAddress(),
-                    depositAmount
-                );
-
-                // Deposit
-                const tx = await currentPool.contract.deposit(depositAmount);
-                await tx.wait();
+                await runTransaction({
+                    title: `Deposit ${currentPool.asset}`,
+                    approvals: [{
+                        token: currentPool.token,
+                        spender: await currentPool.contract.getAddress(),
+                        amount: depositAmount,
+                        symbol: currentPool.asset,
+                        permit: true
+                    }],
+                    send: ([permit]) => (permit
+                        ? currentPool.contract.depositWithPermit(depositAmount, permit)
+                        : currentPool.contract.deposit(depositAmount))
+                });
 
                 toast.success('Deposit successful!');
             } else {
                 // Withdraw - amount is in pool shares
                 const withdrawShares = parseUnits(amount, 18); // Pool shares are always 18 decimals
 
-                const tx = await currentPool.contract.withdraw(withdrawShares);
-                await tx.wait();
+                await runTransaction({
+                    title: `Withdraw from ${currentPool.name}`,
+                    send: () => currentPool.contract.withdraw(withdrawShares)
+                });
 
                 toast.success('Withdrawal successful!');
             }
@@ -123,7 +121,7 @@ const LendingPools = ({ contracts, balances, protocolData, onTransaction }) => {
                     <div
                         key={pool.id}
                         onClick={() => setActivePool(pool.id)}
-                        className={`card cursor-pointer transition-all ${activePool === pool.id
+                        className={`card cursor-pointer transition-all ${currentPool.id === pool.id
                                 ? `ring-2 ring-${pool.color}-500 bg-${pool.color}-50`
                                 : 'hover:shadow-lg'
                             }`}
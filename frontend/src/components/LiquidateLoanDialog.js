@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { X, Zap } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+    parseUnits,
+    formatUnits,
+    formatHealthFactor,
+    estimateLiquidation
+} from '../config/contracts';
+import { useTransactions } from '../hooks/useTransactions';
+
+const LiquidateLoanDialog = ({ contracts, loan, onClose, onLiquidated }) => {
+    const { runTransaction } = useTransactions();
+    const [amount, setAmount] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const parseAmount = () => {
+        try {
+            return amount ? parseUnits(amount, loan.assetDecimals) : 0n;
+        } catch (error) {
+            return 0n;
+        }
+    };
+
+    const debtToCover = parseAmount();
+    const estimate = estimateLiquidation({
+        totalDebt: loan.totalDebt,
+        collateralAmount: loan.collateralAmount,
+        debtToCover,
+        closeFactor: loan.closeFactor,
+        liquidationPenalty: loan.liquidationPenalty,
+        debtPrice: loan.assetPrice,
+        collateralPrice: loan.collateralPrice
+    });
+
+    const handleMax = () => {
+        setAmount(formatUnits(estimate.maxDebtToCover, loan.assetDecimals));
+    };
+
+    const handleLiquidate = async () => {
+        if (debtToCover === 0n) {
+            toast.error('Please enter an amount');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            await runTransaction({
+                title: `Liquidate loan #${loan.id}`,
+                // The risk manager pulls only the debt it actually covers
+                approvals: [{
+                    token: loan.assetToken,
+                    spender: await contracts.riskManager.getAddress(),
+                    amount: estimate.debtCovered,
+                    symbol: loan.assetSymbol
+                }],
+                send: async () => {
+                    // Simulate first so a revert surfaces before the wallet prompt
+                    await contracts.riskManager.liquidateLoan.staticCall(loan.id, debtToCover);
+                    return contracts.riskManager.liquidateLoan(loan.id, debtToCover);
+                }
+            });
+
+            toast.success(`Loan #${loan.id} liquidated!`);
+            onLiquidated();
+        } catch (error) {
+            console.error('Liquidation error:', error);
+            toast.error(error.reason || error.message || 'Liquidation failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const isFullLiquidation = debtToCover > 0n && debtToCover >= estimate.maxDebtToCover;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+            <div className="card w-full max-w-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Liquidate Loan #{loan.id}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                        <X className="h-5 w-5" />
+                    </button>
+                </div>
+
+                <div className="space-y-3 mb-4">
+                    <div className="flex justify-between">
+                        <span className="text-gray-600">Health Factor</span>
+                        <span className="font-semibold text-red-600">{formatHealthFactor(loan.healthFactor)}</span>
+                    </div>
+
+                    <div className="flex justify-between">
+                        <span className="text-gray-600">Total Debt</span>
+                        <span className="font-semibold font-mono">
+                            {formatUnits(loan.totalDebt, loan.assetDecimals)} {loan.assetSymbol}
+                        </span>
+                    </div>
+
+                    <div className="flex justify-between">
+                        <span className="text-gray-600">Max Per Liquidation</span>
+                        <span className="font-semibold font-mono">
+                            {formatUnits(estimate.maxDebtToCover, loan.assetDecimals)} {loan.assetSymbol}
+                        </span>
+                    </div>
+                </div>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Debt to Cover ({loan.assetSymbol || 'tokens'})
+                        </label>
+
+                        <div className="relative">
+                            <input
+                                type="number"
+                                value={amount}
+                                onChange={(e) => setAmount(e.target.value)}
+                                className="input-field w-full pr-20"
+                                placeholder="0.0"
+                                step="0.01"
+                            />
+
+                            <button
+                                onClick={handleMax}
+                                className="absolute right-2 top-1/2 transform -translate-y-1/2 text-sm text-blue-600 hover:text-blue-800"
+                            >
+                                MAX
+                            </button>
+                        </div>
+
+                        <p className="text-sm text-gray-500 mt-1">
+                            Each liquidation is capped at {(Number(loan.closeFactor) / 100).toFixed(0)}% of the outstanding debt
+                        </p>
+                    </div>
+
+                    {debtToCover > 0n && (
+                        <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">You Pay</span>
+                                <span className="font-mono">
+                                    {formatUnits(estimate.debtCovered, loan.assetDecimals)} {loan.assetSymbol}
+                                </span>
+                            </div>
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">You Receive</span>
+                                <span className="font-mono">
+                                    {formatUnits(estimate.collateralSeized, loan.collateralDecimals)} {loan.collateralSymbol}
+                                </span>
+                            </div>
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">Liquidation Bonus</span>
+                                <span className="font-mono text-green-600">
+                                    +{formatUnits(estimate.bonus, loan.collateralDecimals)} {loan.collateralSymbol}
+                                </span>
+                            </div>
+                        </div>
+                    )}
+
+                    <button
+                        onClick={handleLiquidate}
+                        disabled={loading || debtToCover === 0n}
+                        className="btn-primary w-full"
+                    >
+                        {loading ? (
+                            <span className="loading-dots">Liquidating</span>
+                        ) : (
+                            <>
+                                <Zap className="inline h-4 w-4 mr-2" />
+                                {isFullLiquidation ? 'Liquidate Maximum' : 'Liquidate'}
+                            </>
+                        )}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LiquidateLoanDialog;
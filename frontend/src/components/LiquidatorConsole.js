@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { Crosshair, RefreshCw } from 'lucide-react';
+import LiquidateLoanDialog from './LiquidateLoanDialog';
+import {
+    formatUnits,
+    formatCurrency,
+    formatHealthFactor,
+    estimateLiquidation,
+    toUsdValue,
+    getTokenInfo,
+    LOAN_STATUS
+} from '../config/contracts';
+
+const LiquidatorConsole = ({ contracts, assets, account, onLiquidated }) => {
+    const [loans, setLoans] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [liquidatingLoan, setLiquidatingLoan] = useState(null);
+
+    useEffect(() => {
+        if (contracts.riskManager && contracts.clob && account) {
+            loadAtRiskLoans();
+        }
+    }, [contracts, assets, account]);
+
+    const loadAtRiskLoans = async () => {
+        setLoading(true);
+
+        try {
+            const riskManager = contracts.riskManager;
+            const loanIds = (await riskManager.getLoansAtRisk()).map(id => id.toString());
+
+            const closeFactor = await riskManager.MAX_LIQUIDATION_CLOSE_FACTOR();
+
+            const atRiskLoans = await Promise.all(loanIds.map(async (id) => {
+                const [loan, assetAddress, healthFactor, eligible] = await Promise.all([
+                    contracts.clob.loans(id),
+                    contracts.clob.loanAssets(id),
+                    riskManager.calculateHealthFactor(id),
+                    riskManager.isLiquidationEligible(id)
+                ]);
+
+                const asset = getTokenInfo(assets, assetAddress);
+                const collateral = getTokenInfo(assets, loan.collateralToken);
+                const [assetPrice, collateralPrice, collateralParams] = await Promise.all([
+                    riskManager.assetPrices(assetAddress),
+                    riskManager.assetPrices(loan.collateralToken),
+                    riskManager.assetRiskParams(loan.collateralToken)
+                ]);
+
+                const totalDebt = loan.remainingPrincipal + loan.accruedInterest;
+                const estimate = estimateLiquidation({
+                    totalDebt,
+                    collateralAmount: loan.collateralAmount,
+                    debtToCover: totalDebt,
+                    closeFactor,
+                    liquidationPenalty: collateralParams.liquidationPenalty,
+                    debtPrice: assetPrice,
+                    collateralPrice
+                });
+
+                return {
+                    id,
+                    status: LOAN_STATUS[Number(loan.status)],
+                    healthFactor,
+                    eligible,
+                    assetAddress,
+                    assetToken: asset.contract,
+                    assetSymbol: asset.symbol,
+                    assetDecimals: asset.decimals,
+                    totalDebt,
+                    debtValue: toUsdValue(totalDebt, assetPrice, asset.decimals),
+                    collateralSymbol: collateral.symbol,
+                    collateralDecimals: collateral.decimals,
+                    collateralAmount: loan.collateralAmount,
+                    collateralValue: toUsdValue(loan.collateralAmount, collateralPrice, collateral.decimals),
+                    liquidationPenalty: collateralParams.liquidationPenalty,
+                    closeFactor,
+                    assetPrice,
+                    collateralPrice,
+                    estimate
+                };
+            }));
+
+            setLoans(atRiskLoans.filter(loan => loan.status === 'ACTIVE'));
+        } catch (error) {
+            console.error('Error loading at-risk loans:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const getHealthColor = (healthFactor) => {
+        const value = parseFloat(formatUnits(healthFactor, 18));
+        if (value < 1) return 'text-red-600';
+        return 'text-yellow-600';
+    };
+
+    const columns = [
+        'Loan', 'Health Factor', 'Debt', 'Collateral', 'Collateral Value', 'Est. Bonus', 'Actions'
+    ];
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <h3 className="text-xl font-bold text-gray-900">Liquidator Console</h3>
+                <button
+                    onClick={loadAtRiskLoans}
+                    disabled={loading}
+                    className="btn-secondary flex items-center space-x-2"
+                >
+                    <RefreshCw className="h-4 w-4" />
+                    <span>Refresh</span>
+                </button>
+            </div>
+
+            <div className="card">
+                <h4 className="text-lg font-semibold mb-4 flex items-center">
+                    <Crosshair className="h-5 w-5 mr-2" />
+                    At-Risk Loans
+                </h4>
+
+                {loans.length === 0 ? (
+                    <div className="text-center py-4 text-gray-500">
+                        {loading ? <span className="loading-dots">Loading loans</span> : 'No loans at risk'}
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {columns.map((column) => (
+                                        <th key={column} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            {column}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loans.map((loan) => (
+                                    <tr key={loan.id}>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            #{loan.id}
+                                        </td>
+                                        <td className={`px-4 py-4 whitespace-nowrap text-sm font-semibold ${getHealthColor(loan.healthFactor)}`}>
+                                            {formatHealthFactor(loan.healthFactor)}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                                            <div>{formatUnits(loan.totalDebt, loan.assetDecimals)} {loan.assetSymbol}</div>
+                                            <div className="text-xs text-gray-500">${formatCurrency(loan.debtValue)}</div>
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                                            {formatUnits(loan.collateralAmount, loan.collateralDecimals)} {loan.collateralSymbol}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            ${formatCurrency(loan.collateralValue)}
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div className="font-mono text-green-600">
+                                                +{formatUnits(loan.estimate.bonus, loan.collateralDecimals)} {loan.collateralSymbol}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {(Number(loan.liquidationPenalty) / 100).toFixed(2)}% collateral bonus
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                            {loan.eligible ? (
+                                                <button
+                                                    onClick={() => setLiquidatingLoan(loan)}
+                                                    disabled={!loan.assetToken}
+                                                    className="text-red-600 hover:text-red-900 font-medium"
+                                                >
+                                                    Liquidate
+                                                </button>
+                                            ) : (
+                                                <span className="text-gray-500">Watching</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {liquidatingLoan && (
+                <LiquidateLoanDialog
+                    contracts={contracts}
+                    loan={liquidatingLoan}
+                    onClose={() => setLiquidatingLoan(null)}
+                    onLiquidated={() => {
+                        setLiquidatingLoan(null);
+                        loadAtRiskLoans();
+                        onLiquidated();
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+export default LiquidatorConsole;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { formatAPY, formatCurrency } from '../config/contracts';
+
+const MarketQuote = ({ quote, decimals, symbol, maxSlippage }) => {
+    if (!quote) return null;
+
+    if (quote.filled === 0n) {
+        return (
+            <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                No {quote.isLend ? 'borrow' : 'lend'} orders to fill against. The whole amount would be refunded.
+            </div>
+        );
+    }
+
+    // priceImpact is in basis points, maxSlippage in percent
+    const exceedsSlippage = Number(quote.priceImpact) > parseFloat(maxSlippage || 0) * 100;
+
+    return (
+        <div className="rounded-lg border border-gray-200 p-3 text-sm space-y-3">
+            <h4 className="font-medium text-gray-900">Quote</h4>
+
+            <div className="border rounded">
+                <div className="grid grid-cols-2 px-3 py-1 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <span>Rate</span>
+                    <span className="text-right">Fill ({symbol})</span>
+                </div>
+                {quote.fills.map(fill => (
+                    <div key={fill.rate.toString()} className="grid grid-cols-2 px-3 py-1 border-t">
+                        <span>{formatAPY(fill.rate)}%</span>
+                        <span className="font-mono text-right">{formatCurrency(fill.amount, decimals)}</span>
+                    </div>
+                ))}
+            </div>
+
+            <dl className="space-y-1">
+                <div className="flex justify-between">
+                    <dt className="text-gray-500">Average rate (VWAP)</dt>
+                    <dd className="font-medium">{formatAPY(quote.averageRate)}%</dd>
+                </div>
+                <div className="flex justify-between">
+                    <dt className="text-gray-500">Worst rate</dt>
+                    <dd className="font-medium">{formatAPY(quote.worstRate)}%</dd>
+                </div>
+                <div className="flex justify-between">
+                    <dt className="text-gray-500">Expected fill</dt>
+                    <dd className="font-mono">{formatCurrency(quote.filled, decimals, symbol)}</dd>
+                </div>
+                <div className="flex justify-between">
+                    <dt className="text-gray-500">Unfilled (refunded)</dt>
+                    <dd className={`font-mono ${quote.remaining > 0n ? 'text-yellow-700' : ''}`}>
+                        {formatCurrency(quote.remaining, decimals, symbol)}
+                    </dd>
+                </div>
+                <div className="flex justify-between">
+                    <dt className="text-gray-500">Price impact</dt>
+                    <dd className={exceedsSlippage ? 'text-red-600 font-medium' : ''}>
+                        {formatAPY(quote.priceImpact)}%
+                    </dd>
+                </div>
+            </dl>
+
+            {exceedsSlippage && (
+                <div className="flex items-start text-red-700">
+                    <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>The average rate is more than {maxSlippage}% away from the best rate on the book.</span>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MarketQuote;
@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import RepayLoanDialog from './RepayLoanDialog';
+import { useProtocolEvents, involvesAccount } from '../hooks/useProtocolEvents';
+import { useTransactions } from '../hooks/useTransactions';
+import {
+    formatUnits,
+    formatAPY,
+    formatHealthFactor,
+    getHealthFactorColor,
+    formatTimestamp,
+    formatCountdown,
+    calculateSimpleInterest,
+    getTokenInfo,
+    LOAN_STATUS
+} from '../config/contracts';
+
+// Events that change a loan after it is created
+const LOAN_UPDATE_EVENTS = ['LoanRepaid', 'LiquidationTriggered', 'LoanDefaulted'];
+
+const MyLoans = ({ contracts, assets, account, onLoanUpdated }) => {
+    const { runTransaction } = useTransactions();
+    const [loans, setLoans] = useState([]);
+    const [roleFilter, setRoleFilter] = useState('all'); // 'all', 'borrower' or 'lender'
+    const [loading, setLoading] = useState(false);
+    const [repayingLoan, setRepayingLoan] = useState(null);
+    const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+    useEffect(() => {
+        if (contracts.clob && account) {
+            loadUserLoans();
+        }
+    }, [contracts, assets, account]);
+
+    // Tick once per second to keep maturity countdowns live
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // New loans, repayments, liquidations, defaults and price moves show without a manual refresh
+    useProtocolEvents(({ events, resync }) => {
+        const loanIds = new Set(loans.map(loan => loan.id));
+        // Health factors only price the collateral
+        const activeCollateral = new Set(loans
+            .filter(loan => loan.status === 'ACTIVE')
+            .map(loan => loan.collateralToken.toLowerCase()));
+
+        const affectsLoans = (event) => {
+            if (event.name === 'LoanCreated') return involvesAccount(event, account);
+            if (LOAN_UPDATE_EVENTS.includes(event.name)) return loanIds.has(event.args.loanId.toString());
+            if (event.name === 'PriceUpdated') return activeCollateral.has(event.args.asset.toLowerCase());
+            return false;
+        };
+
+        if (resync || events.some(affectsLoans)) {
+            loadUserLoans();
+        }
+    });
+
+    const loadUserLoans = async () => {
+        setLoading(true);
+
+        try {
+            const loanIds = await contracts.clob.getUserLoans(account);
+            // A self-matched loan is recorded once for each side
+            const uniqueIds = [...new Set(loanIds.map(id => id.toString()))];
+
+            const loanData = await Promise.all(uniqueIds.map(id => contracts.clob.loans(id)));
+            const loanAssets = await Promise.all(uniqueIds.map(id => contracts.clob.loanAssets(id)));
+            const gracePeriod = await contracts.clob.gracePeriod();
+            const healthFactors = await Promise.all(
+                uniqueIds.map(id => contracts.riskManager
+                    ? contracts.riskManager.calculateHealthFactor(id).catch(() => null)
+                    : null
+                )
+            );
+
+            const loadTime = Math.floor(Date.now() / 1000);
+
+            const formattedLoans = await Promise.all(loanData.map(async (loan, index) => {
+                const asset = getTokenInfo(assets, loanAssets[index]);
+                const collateral = getTokenInfo(assets, loan.collateralToken);
+                const accruedInterest = loan.accruedInterest + calculateSimpleInterest(
+                    loan.remainingPrincipal,
+                    loan.interestRate,
+                    loadTime - Number(loan.lastUpdateTime)
+                );
+
+                return {
+                    id: uniqueIds[index],
+                    borrower: loan.borrower,
+                    isBorrower: loan.borrower.toLowerCase() === account.toLowerCase(),
+                    isLender: loan.lender.toLowerCase() === account.toLowerCase(),
+                    assetToken: asset.contract,
+                    assetSymbol: asset.symbol,
+                    assetDecimals: asset.decimals,
+                    principalAmount: loan.principalAmount,
+                    remainingPrincipal: loan.remainingPrincipal,
+                    interestRate: loan.interestRate,
+                    startTime: loan.startTime,
+                    maturity: loan.startTime + loan.duration,
+                    defaultTime: loan.startTime + loan.duration + gracePeriod,
+                    collateralToken: loan.collateralToken,
+                    collateralSymbol: collateral.symbol,
+                    collateralDecimals: collateral.decimals,
+                    collateralAmount: loan.collateralAmount,
+                    accruedInterest,
+                    status: LOAN_STATUS[Number(loan.status)],
+                    healthFactor: healthFactors[index]
+                };
+            }));
+
+            setLoans(formattedLoans);
+        } catch (error) {
+            console.error('Error loading user loans:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleMarkDefaulted = async (loanId) => {
+        try {
+            await runTransaction({
+                title: `Mark loan #${loanId} defaulted`,
+                send: () => contracts.clob.markDefaulted(loanId)
+            });
+            toast.success(`Loan #${loanId} marked as defaulted, collateral sent to lender`);
+
+            loadUserLoans();
+            onLoanUpdated();
+        } catch (error) {
+            console.error('Error marking loan as defaulted:', error);
+            toast.error('Failed to mark loan as defaulted');
+        }
+    };
+
+    const getMaturityState = (loan) => {
+        if (loan.status === 'DEFAULTED') {
+            return { label: 'Defaulted', color: 'text-red-600' };
+        }
+        if (loan.status !== 'ACTIVE') {
+            return null;
+        }
+
+        const maturity = Number(loan.maturity);
+        const defaultTime = Number(loan.defaultTime);
+
+        if (now < maturity) {
+            return { label: `Due in ${formatCountdown(maturity - now)}`, color: 'text-gray-500' };
+        }
+        if (now <= defaultTime) {
+            return { label: `Overdue, grace ends in ${formatCountdown(defaultTime - now)}`, color: 'text-yellow-600' };
+        }
+        return { label: 'Past grace period', color: 'text-red-600', defaultable: true };
+    };
+
+    const filteredLoans = loans.filter(loan => {
+        if (roleFilter === 'borrower') return loan.isBorrower;
+        if (roleFilter === 'lender') return loan.isLender;
+        return true;
+    });
+
+    const columns = [
+        'Loan', 'Role', 'Principal', 'Remaining', 'Rate', 'Start', 'Maturity',
+        'Collateral', 'Accrued Interest', 'Health Factor', 'Status', 'Actions'
+    ];
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-gray-900">My Loans</h2>
+                <div className="flex space-x-4">
+                    {/* Role Filter */}
+                    <div className="flex space-x-2">
+                        {[
+                            { id: 'all', name: 'All' },
+                            { id: 'borrower', name: 'As Borrower' },
+                            { id: 'lender', name: 'As Lender' }
+                        ].map((filter) => (
+                            <button
+                                key={filter.id}
+                                onClick={() => setRoleFilter(filter.id)}
+                                className={`px-3 py-1 rounded text-sm ${roleFilter === filter.id
+                                        ? 'bg-primary-600 text-white'
+                                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                    }`}
+                            >
+                                {filter.name}
+                            </button>
+                        ))}
+                    </div>
+
+                    <button
+                        onClick={loadUserLoans}
+                        disabled={loading}
+                        className="btn-secondary flex items-center space-x-2"
+                    >
+                        <RefreshCw className="h-4 w-4" />
+                        <span>Refresh</span>
+                    </button>
+                </div>
+            </div>
+
+            <div className="card">
+                <h3 className="text-lg font-semibold mb-4 flex items-center">
+                    <FileText className="h-5 w-5 mr-2" />
+                    {roleFilter === 'borrower' ? 'Borrowed' : roleFilter === 'lender' ? 'Lent' : 'All'} Loans
+                </h3>
+
+                {filteredLoans.length === 0 ? (
+                    <div className="text-center py-4 text-gray-500">
+                        {loading ? <span className="loading-dots">Loading loans</span> : 'No loans found'}
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {columns.map((column) => (
+                                        <th key={column} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            {column}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {filteredLoans.map((loan) => {
+                                    const maturityState = getMaturityState(loan);
+
+                                    return (
+                                        <tr key={loan.id}>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                #{loan.id}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap">
+                                                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${loan.isBorrower
+                                                        ? 'bg-blue-100 text-blue-800'
+                                                        : 'bg-green-100 text-green-800'
+                                                    }`}>
+                                                    {loan.isBorrower && loan.isLender ? 'BOTH' : loan.isBorrower ? 'BORROWER' : 'LENDER'}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                                                {formatUnits(loan.principalAmount, loan.assetDecimals)} {loan.assetSymbol}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                                                {formatUnits(loan.remainingPrincipal, loan.assetDecimals)} {loan.assetSymbol}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatAPY(loan.interestRate)}%
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {formatTimestamp(loan.startTime)}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                <div>{formatTimestamp(loan.maturity)}</div>
+                                                {maturityState && (
+                                                    <div className={`text-xs font-medium ${maturityState.color}`}>
+                                                        {maturityState.label}
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                                                {formatUnits(loan.collateralAmount, loan.collateralDecimals)} {loan.collateralSymbol}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                                                {formatUnits(loan.accruedInterest, loan.assetDecimals)} {loan.assetSymbol}
+                                            </td>
+                                            <td className={`px-4 py-4 whitespace-nowrap text-sm font-semibold ${getHealthFactorColor(loan.healthFactor)}`}>
+                                                {formatHealthFactor(loan.healthFactor)}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap">
+                                                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${loan.status === 'ACTIVE' ? 'bg-yellow-100 text-yellow-800' :
+                                                        loan.status === 'REPAID' ? 'bg-green-100 text-green-800' :
+                                                            loan.status === 'LIQUIDATED' || loan.status === 'DEFAULTED' ? 'bg-red-100 text-red-800' :
+                                                                'bg-gray-100 text-gray-800'
+                                                    }`}>
+                                                    {loan.status}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                                {loan.isBorrower && loan.status === 'ACTIVE' && loan.assetToken && (
+                                                    <button
+                                                        onClick={() => setRepayingLoan(loan)}
+                                                        className="text-blue-600 hover:text-blue-900 font-medium"
+                                                    >
+                                                        Repay
+                                                    </button>
+                                                )}
+                                                {maturityState?.defaultable && (
+                                                    <button
+                                                        onClick={() => handleMarkDefaulted(loan.id)}
+                                                        className="ml-3 text-red-600 hover:text-red-900 font-medium"
+                                                    >
+                                                        Mark Defaulted
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {repayingLoan && (
+                <RepayLoanDialog
+                    contracts={contracts}
+                    loan={repayingLoan}
+                    onClose={() => setRepayingLoan(null)}
+                    onRepaid={() => {
+                        setRepayingLoan(null);
+                        loadUserLoans();
+                        onLoanUpdated();
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+export default MyLoans;
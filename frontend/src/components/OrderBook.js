@@ -1,24 +1,42 @@
 import React, { useState, useEffect } from 'react';
 import { PlusCircle, MinusCircle, BarChart3, Clock, X } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { parseUnits, formatUnits, formatCurrency, formatAPY } from '../config/contracts';
+import { parseUnits, formatUnits, formatAPY, formatTimestamp, getTokenInfo, summarizeOrderBook, quoteMarketOrder, quoteDrift, TIME_IN_FORCE } from '../config/contracts';
+import { getAsset } from '../config/assets';
+import { useProtocolEvents } from '../hooks/useProtocolEvents';
+import { useTransactions } from '../hooks/useTransactions';
+import DepthChart from './DepthChart';
+import MarketQuote from './MarketQuote';
+import RateLadder from './RateLadder';
+import TradeHistory from './TradeHistory';
+
+const DEFAULT_GTD_DAYS = 7;
+
+// Value for a datetime-local input, in local time
+const toDateTimeInput = (date) => {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+};
 
-const OrderBook = ({ contracts, account, onOrderPlaced }) => {
+const OrderBook = ({ contracts, assets, account, onOrderPlaced }) => {
+    const { runTransaction } = useTransactions();
     const [activeOrderType, setActiveOrderType] = useState('lend');
     const [orderMode, setOrderMode] = useState('limit'); // 'limit' or 'market'
     const [orderForm, setOrderForm] = useState({
-        asset: 'usdc',
+        asset: '',
         amount: '',
         interestRate: '',
         duration: '30',
-        collateralAsset: 'weth',
+        collateralAsset: '',
         collateralAmount: '',
         maxLTV: '75',
-        maxSlippage: '1' // For market orders
+        maxSlippage: '1', // For market orders
+        timeInForce: 'GTC', // For limit orders
+        expiresAt: '' // For GTD orders, as a datetime-local value
     });
 
     const [orders, setOrders] = useState([]);
-    const [orderBookData, setOrderBookData] = useState({ usdc: null, weth: null });
+    const [orderBookData, setOrderBookData] = useState({});
     const [loading, setLoading] = useState(false);
 
     useEffect(() => {
@@ -26,24 +44,52 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
             loadUserOrders();
             loadOrderBookData();
         }
-    }, [contracts, account]);
+    }, [contracts, assets, account]);
+
+    // Default to the first listed assets once the registry resolves
+    useEffect(() => {
+        if (assets.length > 0) {
+            setOrderForm(prev => (getAsset(assets, prev.asset) ? prev : {
+                ...prev,
+                asset: assets[0].key,
+                collateralAsset: (assets[1] || assets[0]).key
+            }));
+        }
+    }, [assets]);
 
     const loadUserOrders = async () => {
         try {
             const orderIds = await contracts.clob.getUserOrders(account);
-            const orderPromises = orderIds.map(id => contracts.clob.orders(id));
-            const orderData = await Promise.all(orderPromises);
-
-            const formattedOrders = orderData.map((order, index) => ({
-                id: orderIds[index],
-                orderType: order[2] === 0 ? 'LEND' : 'BORROW',
-                status: ['PENDING', 'PARTIALLY_FILLED', 'FILLED', 'CANCELLED', 'EXPIRED'][order[3]],
-                principalAmount: order[4],
-                remainingAmount: order[5],
-                interestRate: order[6],
-                duration: order[7],
-                timestamp: order[11]
-            }));
+            const orderData = await Promise.all(orderIds.map(id => Promise.all([
+                contracts.clob.orders(id),
+                contracts.clob.orderAssets(id)
+            ])));
+
+            const now = Math.floor(Date.now() / 1000);
+            const formattedOrders = orderData.map(([order, assetAddress], index) => {
+                const { symbol, decimals } = getTokenInfo(assets, assetAddress);
+                const timeInForce = TIME_IN_FORCE[Number(order.timeInForce)].code;
+                const status = ['PENDING', 'PARTIALLY_FILLED', 'FILLED', 'CANCELLED', 'EXPIRED'][Number(order.status)];
+                const isOpen = status === 'PENDING' || status === 'PARTIALLY_FILLED';
+
+                return {
+                    id: orderIds[index],
+                    orderType: Number(order.orderType) === 0 ? 'LEND' : 'BORROW',
+                    status,
+                    // Expired GTD orders stay open on-chain until cancelled, which refunds them
+                    expired: isOpen && timeInForce === 'GTD' && Number(order.expiry) <= now,
+                    isOpen,
+                    assetSymbol: symbol,
+                    assetDecimals: decimals,
+                    principalAmount: order.principalAmount,
+                    remainingAmount: order.remainingAmount,
+                    interestRate: order.interestRate,
+                    duration: order.duration,
+                    timestamp: order.timestamp,
+                    timeInForce,
+                    expiry: order.expiry
+                };
+            });
 
             setOrders(formattedOrders);
         } catch (error) {
@@ -51,41 +97,44 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
         }
     };
 
-    const loadOrderBookData = async () => {
+    // Reloads depth for the given assets only, keeping the other books as they are
+    const loadOrderBookData = async (bookAssets = assets) => {
         try {
-            const usdcLendData = await contracts.clob.getOrderBookDepth(
-                await contracts.usdc.getAddress(),
-                true
-            );
-            const usdcBorrowData = await contracts.clob.getOrderBookDepth(
-                await contracts.usdc.getAddress(),
-                false
-            );
-
-            const wethLendData = await contracts.clob.getOrderBookDepth(
-                await contracts.weth.getAddress(),
-                true
-            );
-            const wethBorrowData = await contracts.clob.getOrderBookDepth(
-                await contracts.weth.getAddress(),
-                false
-            );
+            const books = await Promise.all(bookAssets.map(async (asset) => {
+                const [lendData, borrowData] = await Promise.all([
+                    contracts.clob.getOrderBookDepth(asset.address, true),
+                    contracts.clob.getOrderBookDepth(asset.address, false)
+                ]);
+
+                return [asset.key, {
+                    lend: { rates: lendData.rates, amounts: lendData.amounts },
+                    borrow: { rates: borrowData.rates, amounts: borrowData.amounts }
+                }];
+            }));
 
-            setOrderBookData({
-                usdc: {
-                    lend: { rates: usdcLendData[0], amounts: usdcLendData[1] },
-                    borrow: { rates: usdcBorrowData[0], amounts: usdcBorrowData[1] }
-                },
-                weth: {
-                    lend: { rates: wethLendData[0], amounts: wethLendData[1] },
-                    borrow: { rates: wethBorrowData[0], amounts: wethBorrowData[1] }
-                }
-            });
+            setOrderBookData(prev => ({ ...prev, ...Object.fromEntries(books) }));
         } catch (error) {
             console.error('Error loading order book data:', error);
         }
     };
 
+    useProtocolEvents(({ events, resync }) => {
+        const clobEvents = events.filter(event => event.contract === 'clob');
+        if (!resync && clobEvents.length === 0) return;
+
+        loadUserOrders();
+
+        // Matches carry no asset, so only book updates can be narrowed to one asset
+        if (resync || clobEvents.some(event => event.name !== 'OrderBookUpdated')) {
+            loadOrderBookData();
+            return;
+        }
+
+        const updated = new Set(clobEvents.map(event => event.args.asset.toLowerCase()));
+        const updatedAssets = assets.filter(asset => updated.has(asset.address.toLowerCase()));
+        if (updatedAssets.length > 0) loadOrderBookData(updatedAssets);
+    });
+
     const handlePlaceOrder = async () => {
         if (!orderForm.amount) {
             toast.error('Please enter an amount');
@@ -97,33 +146,36 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
             return;
         }
 
+        if (orderMode === 'limit' && orderForm.timeInForce === 'GTD' &&
+            !(new Date(orderForm.expiresAt).getTime() > Date.now())) {
+            toast.error('Please choose an expiry in the future');
+            return;
+        }
+
         setLoading(true);
 
         try {
-            const asset = orderForm.asset === 'usdc' ? contracts.usdc : contracts.weth;
-            const assetAddress = await asset.getAddress();
-            const decimals = orderForm.asset === 'usdc' ? 6 : 18;
-            const amount = parseUnits(orderForm.amount, decimals);
+            const asset = getAsset(assets, orderForm.asset);
+            const amount = parseUnits(orderForm.amount, asset.decimals);
 
             if (orderMode === 'market') {
                 // Execute market order for instant execution
-                await handleMarketOrder(asset, assetAddress, amount, decimals);
+                await handleMarketOrder(asset, amount);
             } else {
                 // Execute limit order
-                await handleLimitOrder(asset, assetAddress, amount, decimals);
+                await handleLimitOrder(asset, amount);
             }
 
-            // Reset form and reload data
-            setOrderForm({
-                asset: 'usdc',
+            // Reset form, keeping the selected markets, and reload data
+            setOrderForm(prev => ({
+                ...prev,
                 amount: '',
                 interestRate: '',
                 duration: '30',
-                collateralAsset: 'weth',
                 collateralAmount: '',
                 maxLTV: '75',
                 maxSlippage: '1'
-            });
+            }));
 
             loadUserOrders();
             loadOrderBookData();
@@ -131,128 +183,155 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
 
         } catch (error) {
             console.error('Error placing order:', error);
-            toast.error(error.message || 'Failed to place order');
+            if (error.revert && error.revert.name === 'FillOrKillNotFilled') {
+                toast.error('Not enough matching liquidity to fill the whole order, nothing was placed');
+            } else {
+                toast.error(error.message || 'Failed to place order');
+            }
         } finally {
             setLoading(false);
         }
     };
 
-    const handleMarketOrder = async (asset, assetAddress, amount, decimals) => {
-        const maxSlippage = parseInt(orderForm.maxSlippage * 100); // Convert to basis points
+    const findClobEvent = (receipt, name) => receipt.logs
+        .map(log => {
+            try {
+                return contracts.clob.interface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+        })
+        .find(parsed => parsed && parsed.name === name);
 
+    // Lenders escrow the asset and borrowers the collateral, so each side approves
+    // one token, with a permit where the token supports it
+    const getOrderApproval = async (asset, amount) => {
+        const spender = await contracts.clob.getAddress();
         if (activeOrderType === 'lend') {
-            // Approve tokens for lending
-            await asset.approve(await contracts.clob.getAddress(), amount);
-
-            const tx = await contracts.clob.executeMarketOrder(
-                assetAddress,
-                amount,
-                true, // isLend = true
-                maxSlippage,
-                assetAddress, // collateralToken (not used for lend orders)
-                0 // collateralAmount (not used for lend orders)
-            );
+            return { token: asset.contract, spender, amount, symbol: asset.symbol, permit: true };
+        }
 
-            const receipt = await tx.wait();
-            
-            // Extract execution details from events
-            const executionEvent = receipt.logs.find(log => 
-                log.topics[0] === contracts.clob.interface.getEventTopic('InstantExecution')
-            );
-            
-            if (executionEvent) {
-                const decoded = contracts.clob.interface.decodeEventLog('InstantExecution', executionEvent.data, executionEvent.topics);
-                toast.success(`Market lend order executed! Amount: ${formatUnits(decoded.amount, decimals)} at ${formatAPY(decoded.rate)}% APY`);
-            } else {
-                toast.success('Market lend order executed successfully!');
+        const collateral = getAsset(assets, orderForm.collateralAsset);
+        return {
+            token: collateral.contract,
+            spender,
+            amount: parseUnits(orderForm.collateralAmount, collateral.decimals),
+            symbol: collateral.symbol,
+            permit: true
+        };
+    };
+
+    const handleMarketOrder = async (asset, amount) => {
+        const maxSlippage = parseInt(orderForm.maxSlippage * 100); // Convert to basis points
+        const isLend = activeOrderType === 'lend';
+
+        // Re-quote against the chain, since the book may have moved after the preview was shown
+        const preview = quoteMarketOrder(summarizeOrderBook(orderBookData[asset.key]), amount, isLend);
+        const depth = await contracts.clob.getOrderBookDepth(asset.address, !isLend);
+        const fresh = quoteMarketOrder(
+            summarizeOrderBook({ [isLend ? 'borrow' : 'lend']: { rates: depth.rates, amounts: depth.amounts } }),
+            amount,
+            isLend
+        );
+
+        if (fresh.filled === 0n) {
+            throw new Error(`No ${isLend ? 'borrow' : 'lend'} orders to fill against`);
+        }
+        if (Number(quoteDrift(preview, fresh)) > maxSlippage) {
+            loadOrderBookData([asset]);
+            throw new Error('The quote moved beyond your slippage tolerance since the preview. Review the updated quote and submit again.');
+        }
+
+        const approval = await getOrderApproval(asset, amount);
+        const collateralAddress = getAsset(assets, orderForm.collateralAsset).address;
+
+        const receipt = await runTransaction({
+            title: `Market ${activeOrderType} ${asset.symbol}`,
+            approvals: [approval],
+            send: ([permit]) => {
+                const args = [
+                    asset.address,
+                    amount,
+                    isLend,
+                    maxSlippage,
+                    isLend ? asset.address : collateralAddress, // collateralToken (not used for lend orders)
+                    isLend ? 0 : approval.amount // collateralAmount (not used for lend orders)
+                ];
+                return permit
+                    ? contracts.clob.executeMarketOrderWithPermit(...args, permit)
+                    : contracts.clob.executeMarketOrder(...args);
             }
+        });
+
+        // The CLOB emits InstantExecution for the incoming order when a market order fills
+        const executionEvent = findClobEvent(receipt, 'InstantExecution');
+
+        if (executionEvent) {
+            const { amount: executed, rate } = executionEvent.args;
+            toast.success(`Market ${activeOrderType} order executed! Amount: ${formatUnits(executed, asset.decimals)} at ${formatAPY(rate)}% APY`);
         } else {
-            // For market borrowing orders
-            const collateralAsset = orderForm.collateralAsset === 'usdc' ? contracts.usdc : contracts.weth;
-            const collateralDecimals = orderForm.collateralAsset === 'usdc' ? 6 : 18;
-            const collateralAmount = parseUnits(orderForm.collateralAmount, collateralDecimals);
-
-            // Approve collateral
-            await collateralAsset.approve(await contracts.clob.getAddress(), collateralAmount);
-
-            const tx = await contracts.clob.executeMarketOrder(
-                assetAddress,
-                amount,
-                false, // isLend = false
-                maxSlippage,
-                await collateralAsset.getAddress(),
-                collateralAmount
-            );
+            toast.success(`Market ${activeOrderType} order executed successfully!`);
+        }
+    };
 
-            const receipt = await tx.wait();
-            
-            // Extract execution details from events
-            const executionEvent = receipt.logs.find(log => 
-                log.topics[0] === contracts.clob.interface.getEventTopic('InstantExecution')
-            );
-            
-            if (executionEvent) {
-                const decoded = contracts.clob.interface.decodeEventLog('InstantExecution', executionEvent.data, executionEvent.topics);
-                toast.success(`Market borrow order executed! Amount: ${formatUnits(decoded.amount, decimals)} at ${formatAPY(decoded.rate)}% APY`);
-            } else {
-                toast.success('Market borrow order executed successfully!');
-            }
+    // IOC orders report the unfilled part they refunded instead of resting on the book
+    const announceLimitOrder = (receipt, side, asset) => {
+        const cancelled = findClobEvent(receipt, 'ImmediateOrderCancelled');
+        if (cancelled) {
+            toast.success(`${side} order: ${formatUnits(cancelled.args.unfilledAmount, asset.decimals)} ${asset.symbol} did not fill immediately and was cancelled, unused funds were returned`);
+        } else {
+            toast.success(`${side} limit order placed successfully!`);
         }
     };
 
-    const handleLimitOrder = async (asset, assetAddress, amount, decimals) => {
+    const handleLimitOrder = async (asset, amount) => {
         const interestRate = parseInt(orderForm.interestRate * 100); // Convert to basis points
         const duration = parseInt(orderForm.duration) * 24 * 60 * 60; // Convert days to seconds
-        const expiry = Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60); // 7 days from now
+        const timeInForce = TIME_IN_FORCE.findIndex(option => option.code === orderForm.timeInForce);
+        const expiry = orderForm.timeInForce === 'GTD'
+            ? Math.floor(new Date(orderForm.expiresAt).getTime() / 1000)
+            : 0; // Only GTD orders expire
+        const approval = await getOrderApproval(asset, amount);
+        const collateralAddress = getAsset(assets, orderForm.collateralAsset).address;
 
         if (activeOrderType === 'lend') {
-            // Approve tokens for lending
-            await asset.approve(await contracts.clob.getAddress(), amount);
-
-            const collateralAsset = orderForm.collateralAsset === 'usdc' ? contracts.usdc : contracts.weth;
-            const collateralAddress = await collateralAsset.getAddress();
             const maxLTV = parseInt(orderForm.maxLTV) * 100; // Convert to basis points
 
-            const tx = await contracts.clob.placeLendOrder(
-                assetAddress,
-                amount,
-                interestRate,
-                duration,
-                maxLTV,
-                collateralAddress,
-                expiry
-            );
+            const receipt = await runTransaction({
+                title: `Lend ${asset.symbol}`,
+                approvals: [approval],
+                send: ([permit]) => {
+                    const args = [asset.address, amount, interestRate, duration, maxLTV, collateralAddress, expiry, timeInForce];
+                    return permit
+                        ? contracts.clob.placeLendOrderWithPermit(...args, permit)
+                        : contracts.clob.placeLendOrder(...args);
+                }
+            });
 
-            await tx.wait();
-            toast.success('Lending limit order placed successfully!');
+            announceLimitOrder(receipt, 'Lending', asset);
         } else {
             // For borrowing orders, need collateral
-            const collateralAsset = orderForm.collateralAsset === 'usdc' ? contracts.usdc : contracts.weth;
-            const collateralDecimals = orderForm.collateralAsset === 'usdc' ? 6 : 18;
-            const collateralAmount = parseUnits(orderForm.collateralAmount, collateralDecimals);
-
-            // Approve collateral
-            await collateralAsset.approve(await contracts.clob.getAddress(), collateralAmount);
-
-            const tx = await contracts.clob.placeBorrowOrder(
-                assetAddress,
-                amount,
-                interestRate,
-                duration,
-                await collateralAsset.getAddress(),
-                collateralAmount,
-                expiry
-            );
+            const receipt = await runTransaction({
+                title: `Borrow ${asset.symbol}`,
+                approvals: [approval],
+                send: ([permit]) => {
+                    const args = [asset.address, amount, interestRate, duration, collateralAddress, approval.amount, expiry, timeInForce];
+                    return permit
+                        ? contracts.clob.placeBorrowOrderWithPermit(...args, permit)
+                        : contracts.clob.placeBorrowOrder(...args);
+                }
+            });
 
-            await tx.wait();
-            toast.success('Borrowing limit order placed successfully!');
+            announceLimitOrder(receipt, 'Borrowing', asset);
         }
     };
 
     const handleCancelOrder = async (orderId) => {
         try {
-            const tx = await contracts.clob.cancelOrder(orderId);
-            await tx.wait();
+            await runTransaction({
+                title: `Cancel order #${orderId.toString()}`,
+                send: () => contracts.clob.cancelOrder(orderId)
+            });
             toast.success('Order cancelled successfully!');
 
             loadUserOrders();
@@ -264,35 +343,40 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
         }
     };
 
-    const renderOrderBookTable = (asset, type) => {
-        const data = orderBookData[asset]?.[type];
-        if (!data || data.rates.length === 0) {
-            return (
-                <div className="text-center py-4 text-gray-500">
-                    No {type} orders
-                </div>
-            );
-        }
+    // Clicking a ladder level turns it into a limit order at that rate
+    const handleSelectRate = (rate) => {
+        setOrderMode('limit');
+        setOrderForm(prev => ({ ...prev, interestRate: formatAPY(rate) }));
+    };
 
-        const decimals = asset === 'usdc' ? 6 : 18;
-        const symbol = asset.toUpperCase();
-
-        return (
-            <div className="space-y-2">
-                {data.rates.map((rate, index) => (
-                    <div key={index} className="flex justify-between items-center py-2 px-3 bg-gray-50 rounded">
-                        <span className="text-sm text-gray-600">
-                            {formatAPY(rate)}%
-                        </span>
-                        <span className="text-sm font-mono">
-                            {formatCurrency(data.amounts[index], decimals, symbol)}
-                        </span>
-                    </div>
-                ))}
-            </div>
-        );
+    // GTD orders start with the expiry limit orders used to have
+    const handleTimeInForceChange = (timeInForce) => {
+        setOrderForm(prev => ({
+            ...prev,
+            timeInForce,
+            expiresAt: timeInForce === 'GTD' && !prev.expiresAt
+                ? toDateTimeInput(new Date(Date.now() + DEFAULT_GTD_DAYS * 24 * 60 * 60 * 1000))
+                : prev.expiresAt
+        }));
     };
 
+    const selectedAsset = getAsset(assets, orderForm.asset);
+    const selectedBook = summarizeOrderBook(orderBookData[orderForm.asset]);
+
+    // Live preview of the market order as entered; skipped while the amount does not parse
+    let marketQuote = null;
+    if (orderMode === 'market' && selectedAsset && parseFloat(orderForm.amount) > 0) {
+        try {
+            marketQuote = quoteMarketOrder(
+                selectedBook,
+                parseUnits(orderForm.amount, selectedAsset.decimals),
+                activeOrderType === 'lend'
+            );
+        } catch (error) {
+            marketQuote = null;
+        }
+    }
+
     return (
         <div className="space-y-6">
             <div className="flex justify-between items-center">
@@ -362,8 +446,9 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
                                 onChange={(e) => setOrderForm({ ...orderForm, asset: e.target.value })}
                                 className="input-field w-full"
                             >
-                                <option value="usdc">USDC</option>
-                                <option value="weth">WETH</option>
+                                {assets.map(asset => (
+                                    <option key={asset.key} value={asset.key}>{asset.symbol}</option>
+                                ))}
                             </select>
                         </div>
 
@@ -399,6 +484,44 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
                             </div>
                         )}
 
+                        {/* Time in Force - Only for limit orders */}
+                        {orderMode === 'limit' && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Time in Force
+                                </label>
+                                <select
+                                    value={orderForm.timeInForce}
+                                    onChange={(e) => handleTimeInForceChange(e.target.value)}
+                                    className="input-field w-full"
+                                >
+                                    {TIME_IN_FORCE.map(option => (
+                                        <option key={option.code} value={option.code}>
+                                            {option.code} - {option.label}
+                                        </option>
+                                    ))}
+                                </select>
+                                <p className="text-xs text-gray-500 mt-1">
+                                    {TIME_IN_FORCE.find(option => option.code === orderForm.timeInForce).description}
+                                </p>
+                            </div>
+                        )}
+
+                        {orderMode === 'limit' && orderForm.timeInForce === 'GTD' && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Expires At
+                                </label>
+                                <input
+                                    type="datetime-local"
+                                    value={orderForm.expiresAt}
+                                    min={toDateTimeInput(new Date())}
+                                    onChange={(e) => setOrderForm({ ...orderForm, expiresAt: e.target.value })}
+                                    className="input-field w-full"
+                                />
+                            </div>
+                        )}
+
                         {/* Max Slippage - Only for market orders */}
                         {orderMode === 'market' && (
                             <div>
@@ -448,8 +571,9 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
                                 onChange={(e) => setOrderForm({ ...orderForm, collateralAsset: e.target.value })}
                                 className="input-field w-full"
                             >
-                                <option value="usdc">USDC</option>
-                                <option value="weth">WETH</option>
+                                {assets.map(asset => (
+                                    <option key={asset.key} value={asset.key}>{asset.symbol}</option>
+                                ))}
                             </select>
                         </div>
 
@@ -488,6 +612,15 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
                             </div>
                         )}
 
+                        {orderMode === 'market' && selectedAsset && (
+                            <MarketQuote
+                                quote={marketQuote}
+                                decimals={selectedAsset.decimals}
+                                symbol={selectedAsset.symbol}
+                                maxSlippage={orderForm.maxSlippage}
+                            />
+                        )}
+
                         <button
                             onClick={handlePlaceOrder}
                             disabled={loading}
@@ -520,47 +653,43 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
                     <div className="space-y-4">
                         {/* Asset Tabs */}
                         <div className="flex space-x-2">
-                            <button
-                                onClick={() => setOrderForm({ ...orderForm, asset: 'usdc' })}
-                                className={`px-3 py-1 rounded text-sm ${orderForm.asset === 'usdc'
-                                        ? 'bg-blue-100 text-blue-800'
-                                        : 'text-gray-600 hover:bg-gray-100'
-                                    }`}
-                            >
-                                USDC
-                            </button>
-                            <button
-                                onClick={() => setOrderForm({ ...orderForm, asset: 'weth' })}
-                                className={`px-3 py-1 rounded text-sm ${orderForm.asset === 'weth'
-                                        ? 'bg-purple-100 text-purple-800'
-                                        : 'text-gray-600 hover:bg-gray-100'
-                                    }`}
-                            >
-                                WETH
-                            </button>
+                            {assets.map(asset => (
+                                <button
+                                    key={asset.key}
+                                    onClick={() => setOrderForm({ ...orderForm, asset: asset.key })}
+                                    className={`px-3 py-1 rounded text-sm ${orderForm.asset === asset.key
+                                            ? 'bg-blue-100 text-blue-800'
+                                            : 'text-gray-600 hover:bg-gray-100'
+                                        }`}
+                                >
+                                    {asset.symbol}
+                                </button>
+                            ))}
                         </div>
 
-                        <div className="grid grid-cols-2 gap-4">
-                            {/* Lending Orders */}
-                            <div>
-                                <h4 className="text-sm font-medium text-green-700 mb-2">
-                                    Lending Orders
-                                </h4>
-                                {renderOrderBookTable(orderForm.asset, 'lend')}
-                            </div>
+                        {selectedAsset && (
+                            <>
+                                <DepthChart
+                                    summary={selectedBook}
+                                    decimals={selectedAsset.decimals}
+                                    symbol={selectedAsset.symbol}
+                                />
 
-                            {/* Borrowing Orders */}
-                            <div>
-                                <h4 className="text-sm font-medium text-blue-700 mb-2">
-                                    Borrowing Orders
-                                </h4>
-                                {renderOrderBookTable(orderForm.asset, 'borrow')}
-                            </div>
-                        </div>
+                                <RateLadder
+                                    summary={selectedBook}
+                                    decimals={selectedAsset.decimals}
+                                    symbol={selectedAsset.symbol}
+                                    selectedRate={orderMode === 'limit' ? orderForm.interestRate : null}
+                                    onSelectRate={handleSelectRate}
+                                />
+                            </>
+                        )}
                     </div>
                 </div>
             </div>
 
+            {selectedAsset && <TradeHistory contracts={contracts} asset={selectedAsset} />}
+
             {/* User Orders */}
             {orders.length > 0 && (
                 <div className="card">
@@ -582,6 +711,9 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Rate
                                     </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Time in Force
+                                    </th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Status
                                     </th>
@@ -602,22 +734,31 @@ const OrderBook = ({ contracts, account, onOrderPlaced }) => {
                                             </span>
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
-                                            {formatUnits(order.remainingAmount, 18)}
+                                            {formatUnits(order.remainingAmount, order.assetDecimals)} {order.assetSymbol}
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                                             {formatAPY(order.interestRate)}%
                                         </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <span title={TIME_IN_FORCE.find(option => option.code === order.timeInForce).label}>
+                                                {order.timeInForce}
+                                            </span>
+                                            {order.timeInForce === 'GTD' && (
+                                                <div className="text-xs text-gray-500">until {formatTimestamp(order.expiry)}</div>
+                                            )}
+                                        </td>
                                         <td className="px-6 py-4 whitespace-nowrap">
-                                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${order.status === 'PENDING' ? 'bg-yellow-100 text-yellow-800' :
-                                                    order.status === 'FILLED' ? 'bg-green-100 text-green-800' :
-                                                        order.status === 'CANCELLED' ? 'bg-red-100 text-red-800' :
-                                                            'bg-gray-100 text-gray-800'
+                                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${order.expired ? 'bg-gray-100 text-gray-800' :
+                                                    order.status === 'PENDING' ? 'bg-yellow-100 text-yellow-800' :
+                                                        order.status === 'FILLED' ? 'bg-green-100 text-green-800' :
+                                                            order.status === 'CANCELLED' ? 'bg-red-100 text-red-800' :
+                                                                'bg-gray-100 text-gray-800'
                                                 }`}>
-                                                {order.status}
+                                                {order.expired ? 'EXPIRED' : order.status}
                                             </span>
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                            {(order.status === 'PENDING' || order.status === 'PARTIALLY_FILLED') && (
+                                            {order.isOpen && (
                                                 <button
                                                     onClick={() => handleCancelOrder(order.id)}
                                                     className="text-red-600 hover:text-red-900"
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { Wallet, Users, BookOpen, FileText, Lock, PieChart, RefreshCw } from 'lucide-react';
+import { useProtocolEvents, involvesAccount } from '../hooks/useProtocolEvents';
+import ActivityExport from './ActivityExport';
+import {
+    formatUnits,
+    formatCurrency,
+    formatAPY,
+    calculateSimpleInterest,
+    toUsdValue,
+    getTokenInfo,
+    LOAN_STATUS
+} from '../config/contracts';
+
+const formatUsd = (value) => `$${formatCurrency(value, 18)}`;
+
+const sumUsd = (rows) => rows.reduce((total, row) => total + (row.isDebt ? -row.usd : row.usd), 0n);
+
+// Rows with an amount but no price on the risk manager count as zero in every total
+const isUnpriced = (row) => row.price === 0n && row.amount > 0n;
+
+const PortfolioSection = ({ title, icon: Icon, rows, emptyText }) => (
+    <div className="card">
+        <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold flex items-center">
+                <Icon className="h-5 w-5 mr-2" />
+                {title}
+            </h3>
+            <span className="font-semibold text-gray-900">{formatUsd(sumUsd(rows))}</span>
+        </div>
+
+        {rows.length === 0 ? (
+            <p className="text-sm text-gray-500">{emptyText}</p>
+        ) : (
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {['Position', 'Amount', 'Price', 'Value', 'APY'].map(column => (
+                                <th key={column} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    {column}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {rows.map(row => (
+                            <tr key={row.id}>
+                                <td className="px-4 py-2 whitespace-nowrap">{row.label}</td>
+                                <td className="px-4 py-2 whitespace-nowrap font-mono">
+                                    {formatUnits(row.amount, row.decimals)} {row.symbol}
+                                </td>
+                                <td className="px-4 py-2 whitespace-nowrap">
+                                    {isUnpriced(row) ? <span className="text-yellow-700">No price</span> : formatUsd(row.price)}
+                                </td>
+                                <td className={`px-4 py-2 whitespace-nowrap font-medium ${row.isDebt ? 'text-red-600' : 'text-gray-900'}`}>
+                                    {row.isDebt ? '-' : ''}{formatUsd(row.usd)}
+                                </td>
+                                <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                                    {row.apy !== undefined ? `${formatAPY(row.apy)}%` : '-'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        )}
+    </div>
+);
+
+const Portfolio = ({ contracts, assets, account }) => {
+    const [portfolio, setPortfolio] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (contracts.legosToken && contracts.clob && contracts.riskManager && account) {
+            loadPortfolio();
+        }
+    }, [contracts, assets, account]);
+
+    useProtocolEvents(({ events, resync }) => {
+        if (resync || events.some(event => involvesAccount(event, account))) {
+            loadPortfolio();
+        }
+    });
+
+    const loadPortfolio = async () => {
+        setLoading(true);
+
+        try {
+            const { legosToken, clob, riskManager } = contracts;
+            const legosAddress = await legosToken.getAddress();
+            const legosListed = assets.some(asset => asset.address.toLowerCase() === legosAddress.toLowerCase());
+
+            // LEGOS is a core contract, so it is only in the registry when listed as an asset
+            const resolveToken = (address) => (address.toLowerCase() === legosAddress.toLowerCase()
+                ? { symbol: 'LEGOS', decimals: 18 }
+                : getTokenInfo(assets, address));
+
+            const prices = new Map(); // lowercase address => pending assetPrices read
+            const valuePosition = async (id, label, address, amount, extra = {}) => {
+                const key = address.toLowerCase();
+                if (!prices.has(key)) prices.set(key, riskManager.assetPrices(address));
+
+                const price = await prices.get(key);
+                const { symbol, decimals } = resolveToken(address);
+                return { id, label, symbol, decimals, amount, price, usd: toUsdValue(amount, price, decimals), ...extra };
+            };
+
+            const walletTokens = legosListed ? assets : [...assets, { key: 'legos', address: legosAddress, contract: legosToken }];
+            const walletPromise = Promise.all(walletTokens.map(async (token) => {
+                const balance = await token.contract.balanceOf(account);
+                return valuePosition(`wallet-${token.key}`, resolveToken(token.address).symbol, token.address, balance);
+            }));
+
+            // Shares convert to the underlying at the pool's total assets per share
+            const poolsPromise = Promise.all(assets.filter(asset => asset.pool).map(async (asset) => {
+                const [shares, totalSupply, totalAssets, supplyAPY] = await Promise.all([
+                    asset.pool.balanceOf(account),
+                    asset.pool.totalSupply(),
+                    asset.pool.getTotalPoolAssets(),
+                    asset.pool.getSupplyAPY().catch(() => 0n)
+                ]);
+                if (shares === 0n) return null;
+
+                const underlying = totalSupply > 0n ? (shares * totalAssets) / totalSupply : 0n;
+                return valuePosition(`pool-${asset.key}`, `${asset.symbol} Pool (${formatCurrency(shares, 18)} shares)`, asset.address, underlying, { apy: supplyAPY });
+            }));
+
+            // Lenders escrow the unfilled amount, borrowers the collateral not yet allocated to loans
+            const ordersPromise = clob.getUserOrders(account).then(orderIds => Promise.all(orderIds.map(async (id) => {
+                const [order, assetAddress] = await Promise.all([clob.orders(id), clob.orderAssets(id)]);
+                const status = ['PENDING', 'PARTIALLY_FILLED', 'FILLED', 'CANCELLED', 'EXPIRED'][Number(order.status)];
+                if (status !== 'PENDING' && status !== 'PARTIALLY_FILLED') return null;
+
+                const { symbol } = resolveToken(assetAddress);
+                if (Number(order.orderType) === 0) {
+                    return valuePosition(`order-${id}`, `#${id} Lend ${symbol}`, assetAddress, order.remainingAmount);
+                }
+                const lockedCollateral = (order.collateralAmount * order.remainingAmount) / order.principalAmount;
+                return valuePosition(`order-${id}`, `#${id} Borrow ${symbol} (collateral)`, order.collateralToken, lockedCollateral);
+            })));
+
+            const loansPromise = clob.getUserLoans(account).then(loanIds => {
+                // A self-matched loan is recorded once for each side
+                const uniqueIds = [...new Set(loanIds.map(id => id.toString()))];
+                const now = Math.floor(Date.now() / 1000);
+
+                return Promise.all(uniqueIds.map(async (id) => {
+                    const [loan, assetAddress] = await Promise.all([clob.loans(id), clob.loanAssets(id)]);
+                    if (LOAN_STATUS[Number(loan.status)] !== 'ACTIVE') return [];
+
+                    const { symbol } = resolveToken(assetAddress);
+                    const totalDebt = loan.remainingPrincipal + loan.accruedInterest + calculateSimpleInterest(
+                        loan.remainingPrincipal,
+                        loan.interestRate,
+                        now - Number(loan.lastUpdateTime)
+                    );
+
+                    const positions = [];
+                    if (loan.lender.toLowerCase() === account.toLowerCase()) {
+                        positions.push(valuePosition(`loan-${id}-lent`, `#${id} Lent ${symbol}`, assetAddress, totalDebt, { apy: loan.interestRate }));
+                    }
+                    if (loan.borrower.toLowerCase() === account.toLowerCase()) {
+                        const { symbol: collateralSymbol } = resolveToken(loan.collateralToken);
+                        positions.push(valuePosition(`loan-${id}-collateral`, `#${id} ${collateralSymbol} collateral`, loan.collateralToken, loan.collateralAmount));
+                        positions.push(valuePosition(`loan-${id}-debt`, `#${id} Borrowed ${symbol}`, assetAddress, totalDebt, { apy: loan.interestRate, isDebt: true }));
+                    }
+                    return Promise.all(positions);
+                }));
+            });
+
+            const stakingPromise = Promise.all([
+                legosToken.stakingInfo(account),
+                legosToken.getPendingStakingRewards(account),
+                legosToken.stakingRewardRate()
+            ]).then(([info, pendingRewards, rewardRate]) => Promise.all([
+                valuePosition('staked', 'Staked LEGOS', legosAddress, info.stakedAmount, { apy: rewardRate }),
+                valuePosition('rewards', 'Pending rewards', legosAddress, pendingRewards)
+            ]));
+
+            const [wallet, pools, orders, loans, staking] = await Promise.all([
+                walletPromise,
+                poolsPromise,
+                ordersPromise,
+                loansPromise,
+                stakingPromise
+            ]);
+
+            setPortfolio({
+                wallet,
+                pools: pools.filter(Boolean),
+                orders: orders.filter(Boolean),
+                loans: loans.flat(),
+                staking: staking.filter(row => row.amount > 0n)
+            });
+        } catch (error) {
+            console.error('Error loading portfolio:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!portfolio) {
+        return (
+            <div className="text-center py-8 text-gray-500">
+                {loading ? <span className="loading-dots">Loading portfolio</span> : 'Portfolio unavailable'}
+            </div>
+        );
+    }
+
+    const rows = [...portfolio.wallet, ...portfolio.pools, ...portfolio.orders, ...portfolio.loans, ...portfolio.staking];
+    const totalDebt = rows.filter(row => row.isDebt).reduce((total, row) => total + row.usd, 0n);
+    const netWorth = sumUsd(rows);
+
+    // Yearly interest earned minus interest owed, as a share of net worth
+    const annualYield = rows
+        .filter(row => row.apy !== undefined)
+        .reduce((total, row) => total + ((row.isDebt ? -row.usd : row.usd) * row.apy) / 10000n, 0n);
+    const blendedAPY = netWorth > 0n ? (annualYield * 10000n) / netWorth : null;
+    const unpriced = rows.filter(isUnpriced);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-gray-900">Portfolio</h2>
+                <button
+                    onClick={loadPortfolio}
+                    disabled={loading}
+                    className="btn-secondary flex items-center space-x-2"
+                >
+                    <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                    <span>Refresh</span>
+                </button>
+            </div>
+
+            <PortfolioSection title="Wallet" icon={Wallet} rows={portfolio.wallet} emptyText="No listed tokens" />
+            <PortfolioSection title="Pool Positions" icon={Users} rows={portfolio.pools} emptyText="No pool deposits" />
+            <PortfolioSection title="Open Orders" icon={BookOpen} rows={portfolio.orders} emptyText="No funds locked in open orders" />
+            <PortfolioSection title="Loans" icon={FileText} rows={portfolio.loans} emptyText="No active loans" />
+            <PortfolioSection title="Staking" icon={Lock} rows={portfolio.staking} emptyText="No staked LEGOS" />
+
+            <div className="card">
+                <h3 className="text-lg font-semibold mb-4 flex items-center">
+                    <PieChart className="h-5 w-5 mr-2" />
+                    Totals
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="text-center">
+                        <p className="text-2xl font-bold text-gray-900">{formatUsd(netWorth)}</p>
+                        <p className="text-sm text-gray-600">Net Worth</p>
+                    </div>
+                    <div className="text-center">
+                        <p className="text-2xl font-bold text-red-600">{formatUsd(totalDebt)}</p>
+                        <p className="text-sm text-gray-600">Total Debt</p>
+                    </div>
+                    <div className="text-center">
+                        <p className="text-2xl font-bold text-green-600">
+                            {blendedAPY !== null ? `${formatAPY(blendedAPY)}%` : '-'}
+                        </p>
+                        <p className="text-sm text-gray-600">Blended APY</p>
+                        <p className="text-xs text-gray-500 mt-1">Interest earned minus interest owed, over net worth</p>
+                    </div>
+                </div>
+                {unpriced.length > 0 && (
+                    <p className="text-sm text-yellow-700 mt-4">
+                        The risk manager has no price for {[...new Set(unpriced.map(row => row.symbol))].join(', ')}, so those positions count as $0.
+                    </p>
+                )}
+            </div>
+
+            <ActivityExport contracts={contracts} assets={assets} account={account} />
+        </div>
+    );
+};
+
+export default Portfolio;
@@ -0,0 +1,375 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { ArrowLeft, CheckCircle, Clock, Play, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+    formatCurrency,
+    formatAddress,
+    formatTimestamp,
+    formatCountdown,
+    getProposalStateColor,
+    queryFilterPaginated,
+    VOTE_TYPES
+} from '../config/contracts';
+import { useTransactions } from '../hooks/useTransactions';
+
+const VOTE_COLORS = ['bg-red-500', 'bg-green-500', 'bg-gray-400'];
+
+const ProposalDetail = ({ contracts, account, proposal, onBack, onUpdated }) => {
+    const { runTransaction } = useTransactions();
+    const [currentBlock, setCurrentBlock] = useState(null);
+    const [receipt, setReceipt] = useState(null);
+    const [votingPower, setVotingPower] = useState(0n);
+    const [support, setSupport] = useState(1);
+    const [reason, setReason] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [eta, setEta] = useState(0n);
+    const [needsQueuing, setNeedsQueuing] = useState(true);
+    const [executing, setExecuting] = useState(false);
+    const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+    useEffect(() => {
+        if (contracts.governance && account) {
+            loadVoterData();
+        }
+    }, [contracts, account, proposal]);
+
+    useEffect(() => {
+        if (contracts.governance) {
+            loadExecutionData();
+        }
+    }, [contracts, proposal]);
+
+    // Tick once per second to keep the timelock countdown live
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const loadExecutionData = async () => {
+        try {
+            const [proposalEta, queuing] = await Promise.all([
+                contracts.governance.proposalEta(proposal.id),
+                contracts.governance.proposalNeedsQueuing(proposal.id)
+            ]);
+            setEta(proposalEta);
+            setNeedsQueuing(queuing);
+        } catch (error) {
+            console.error('Error loading execution data:', error);
+        }
+    };
+
+    const loadVoterData = async () => {
+        try {
+            const governance = contracts.governance;
+            const blockNumber = await governance.runner.provider.getBlockNumber();
+            setCurrentBlock(blockNumber);
+
+            // Voting power is fixed at the snapshot once it has passed
+            const timepoint = proposal.voteStart < blockNumber ? proposal.voteStart : blockNumber - 1;
+            const [power, voted] = await Promise.all([
+                governance.getVotes(account, timepoint),
+                governance.hasVoted(proposal.id, account)
+            ]);
+            setVotingPower(power);
+
+            if (voted) {
+                // GovernorCountingSimple only stores hasVoted, so rebuild the receipt from VoteCast,
+                // which cannot predate the proposal
+                const events = await queryFilterPaginated(governance, governance.filters.VoteCast(account), proposal.createdBlock, blockNumber);
+                const vote = events.find(event => event.args.proposalId.toString() === proposal.id);
+                setReceipt(vote
+                    ? { support: Number(vote.args.support), weight: vote.args.weight, reason: vote.args.reason }
+                    : { support: null, weight: 0n, reason: '' });
+            } else {
+                setReceipt(null);
+            }
+        } catch (error) {
+            console.error('Error loading voter data:', error);
+        }
+    };
+
+    const handleVote = async () => {
+        setLoading(true);
+
+        try {
+            await runTransaction({
+                title: `Vote ${VOTE_TYPES[support]} on proposal`,
+                send: () => (reason
+                    ? contracts.governance.castVoteWithReason(proposal.id, support, reason)
+                    : contracts.governance.castVote(proposal.id, support))
+            });
+
+            toast.success(`Voted ${VOTE_TYPES[support]}!`);
+            setReason('');
+            loadVoterData();
+            onUpdated();
+        } catch (error) {
+            console.error('Voting error:', error);
+            toast.error(error.reason || error.message || 'Voting failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // queue and execute identify the proposal by its full contents, not its ID
+    const handleLifecycleAction = async (action) => {
+        setExecuting(true);
+
+        try {
+            await runTransaction({
+                title: action === 'queue' ? 'Queue proposal' : 'Execute proposal',
+                send: () => contracts.governance[action](
+                    proposal.targets,
+                    proposal.values,
+                    proposal.calldatas,
+                    ethers.id(proposal.description)
+                )
+            });
+
+            toast.success(action === 'queue' ? 'Proposal queued in the timelock!' : 'Proposal executed!');
+            loadExecutionData();
+            onUpdated();
+        } catch (error) {
+            console.error(`Error during proposal ${action}:`, error);
+            toast.error(error.reason || error.message || `Failed to ${action} proposal`);
+        } finally {
+            setExecuting(false);
+        }
+    };
+
+    const renderExecution = () => {
+        switch (proposal.state) {
+            case 'Succeeded':
+                return (
+                    <div className="space-y-3">
+                        <p className="text-sm text-gray-600">
+                            {needsQueuing
+                                ? 'This proposal passed and must be queued in the timelock before it can be executed.'
+                                : 'This proposal passed and can be executed directly.'}
+                        </p>
+                        <button
+                            onClick={() => handleLifecycleAction(needsQueuing ? 'queue' : 'execute')}
+                            disabled={executing}
+                            className="btn-primary w-full"
+                        >
+                            {executing
+                                ? <span className="loading-dots">{needsQueuing ? 'Queueing' : 'Executing'}</span>
+                                : needsQueuing ? 'Queue Proposal' : 'Execute Proposal'}
+                        </button>
+                    </div>
+                );
+            case 'Queued': {
+                const ready = eta > 0n && now >= Number(eta);
+                return (
+                    <div className="space-y-3">
+                        <div className="flex justify-between text-sm">
+                            <span className="text-gray-600">Timelock ETA</span>
+                            <span className="font-semibold">{formatTimestamp(eta)}</span>
+                        </div>
+                        <p className={`text-sm font-medium ${ready ? 'text-green-600' : 'text-yellow-600'}`}>
+                            {ready ? 'Timelock delay has passed, ready to execute' : `Executable in ${formatCountdown(Number(eta) - now)}`}
+                        </p>
+                        <button
+                            onClick={() => handleLifecycleAction('execute')}
+                            disabled={executing || !ready}
+                            className="btn-primary w-full"
+                        >
+                            {executing ? <span className="loading-dots">Executing</span> : (
+                                <>
+                                    <Play className="inline h-4 w-4 mr-2" />
+                                    Execute Proposal
+                                </>
+                            )}
+                        </button>
+                    </div>
+                );
+            }
+            case 'Executed':
+                return (
+                    <p className="flex items-center text-sm text-green-700">
+                        <CheckCircle className="h-4 w-4 mr-2" />
+                        Executed{proposal.executionTime > 0n && ` on ${formatTimestamp(proposal.executionTime)}`}; the operation cannot run again.
+                    </p>
+                );
+            case 'Canceled':
+                return (
+                    <p className="flex items-center text-sm text-red-700">
+                        <XCircle className="h-4 w-4 mr-2" />
+                        Canceled; any queued timelock operation was cancelled and will not execute.
+                    </p>
+                );
+            case 'Expired':
+                return (
+                    <p className="flex items-center text-sm text-red-700">
+                        <XCircle className="h-4 w-4 mr-2" />
+                        Expired before it was executed; it must be proposed again.
+                    </p>
+                );
+            case 'Defeated':
+                return <p className="text-sm text-gray-600">Did not reach quorum or a majority, nothing to execute.</p>;
+            default:
+                return <p className="text-sm text-gray-600">Queueing opens once voting ends with a successful outcome.</p>;
+        }
+    };
+
+    const tallies = [proposal.againstVotes, proposal.forVotes, proposal.abstainVotes];
+    const totalVotes = tallies.reduce((sum, votes) => sum + votes, 0n);
+    const getShare = (votes) => totalVotes === 0n ? 0 : Number((votes * 10000n) / totalVotes) / 100;
+
+    const describeBlock = (block) => {
+        if (currentBlock === null) return `Block ${block.toString()}`;
+        const delta = Number(block) - currentBlock;
+        if (delta > 0) return `Block ${block.toString()} (in ${delta.toLocaleString()} blocks)`;
+        return `Block ${block.toString()}`;
+    };
+
+    const timeline = [
+        { label: 'Created', detail: `Block ${proposal.createdBlock}`, done: true },
+        { label: 'Voting Snapshot', detail: describeBlock(proposal.voteStart), done: currentBlock !== null && currentBlock > Number(proposal.voteStart) },
+        { label: 'Voting Deadline', detail: describeBlock(proposal.voteEnd), done: currentBlock !== null && currentBlock > Number(proposal.voteEnd) },
+        {
+            label: 'Queued',
+            detail: eta > 0n ? `ETA ${formatTimestamp(eta)}` : 'Not queued',
+            done: eta > 0n
+        },
+        {
+            label: 'Executed',
+            detail: proposal.executionTime > 0n ? formatTimestamp(proposal.executionTime) : 'Pending',
+            done: proposal.state === 'Executed'
+        }
+    ];
+
+    return (
+        <div className="card">
+            <button onClick={onBack} className="flex items-center text-sm text-blue-600 hover:text-blue-800 mb-4">
+                <ArrowLeft className="h-4 w-4 mr-1" />
+                All proposals
+            </button>
+
+            <div className="flex justify-between items-start mb-2">
+                <h3 className="text-xl font-semibold text-gray-900">{proposal.title || 'Untitled proposal'}</h3>
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getProposalStateColor(proposal.state)}`}>
+                    {proposal.state}
+                </span>
+            </div>
+            <div className="text-xs text-gray-500 mb-4">
+                {proposal.proposalType && `${proposal.proposalType.replace(/_/g, ' ')} · `}
+                Proposed by {formatAddress(proposal.proposer)} · ID {proposal.id.slice(0, 10)}...
+            </div>
+            <p className="text-sm text-gray-700 whitespace-pre-line mb-6">{proposal.description}</p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {/* Tallies */}
+                <div>
+                    <h4 className="text-sm font-medium text-gray-800 mb-3">Votes</h4>
+                    <div className="space-y-3">
+                        {VOTE_TYPES.map((type, index) => (
+                            <div key={type}>
+                                <div className="flex justify-between text-sm mb-1">
+                                    <span className="text-gray-600">{type}</span>
+                                    <span className="font-mono">{formatCurrency(tallies[index])} ({getShare(tallies[index])}%)</span>
+                                </div>
+                                <div className="h-2 bg-gray-200 rounded-full">
+                                    <div
+                                        className={`h-2 rounded-full ${VOTE_COLORS[index]}`}
+                                        style={{ width: `${getShare(tallies[index])}%` }}
+                                    />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Timeline */}
+                <div>
+                    <h4 className="text-sm font-medium text-gray-800 mb-3">Timeline</h4>
+                    <ol className="space-y-3">
+                        {timeline.map((step) => (
+                            <li key={step.label} className="flex items-start">
+                                {step.done
+                                    ? <CheckCircle className="h-4 w-4 text-green-600 mr-2 mt-0.5" />
+                                    : <Clock className="h-4 w-4 text-gray-400 mr-2 mt-0.5" />
+                                }
+                                <div>
+                                    <div className="text-sm font-medium text-gray-900">{step.label}</div>
+                                    <div className="text-xs text-gray-500">{step.detail}</div>
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            </div>
+
+            {/* Execution */}
+            <div className="mt-6 pt-6 border-t">
+                <h4 className="text-sm font-medium text-gray-800 mb-3">Execution</h4>
+                {renderExecution()}
+            </div>
+
+            {/* Your Vote */}
+            <div className="mt-6 pt-6 border-t">
+                <h4 className="text-sm font-medium text-gray-800 mb-3">Your Vote</h4>
+
+                {receipt ? (
+                    <div className="p-4 bg-gray-50 rounded-lg text-sm space-y-1">
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Support</span>
+                            <span className="font-semibold">{receipt.support !== null ? VOTE_TYPES[receipt.support] : 'Voted'}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span className="text-gray-600">Weight</span>
+                            <span className="font-mono">{formatCurrency(receipt.weight, 18, 'LEGOS')}</span>
+                        </div>
+                        {receipt.reason && (
+                            <div className="pt-2 text-gray-700 italic">"{receipt.reason}"</div>
+                        )}
+                    </div>
+                ) : proposal.state === 'Active' ? (
+                    <div className="space-y-4">
+                        <div className="flex space-x-2">
+                            {VOTE_TYPES.map((type, index) => (
+                                <button
+                                    key={type}
+                                    onClick={() => setSupport(index)}
+                                    className={`px-3 py-1 rounded text-sm ${support === index
+                                            ? 'bg-primary-600 text-white'
+                                            : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                        }`}
+                                >
+                                    {type}
+                                </button>
+                            ))}
+                        </div>
+
+                        <textarea
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            className="input-field w-full"
+                            rows={2}
+                            placeholder="Reason (optional)"
+                        />
+
+                        <p className="text-sm text-gray-500">
+                            Voting power at snapshot: {formatCurrency(votingPower, 18, 'LEGOS')}
+                        </p>
+
+                        <button
+                            onClick={handleVote}
+                            disabled={loading || votingPower === 0n}
+                            className="btn-primary w-full"
+                        >
+                            {loading ? <span className="loading-dots">Voting</span> : `Vote ${VOTE_TYPES[support]}`}
+                        </button>
+                    </div>
+                ) : (
+                    <p className="text-sm text-gray-500">
+                        {proposal.state === 'Pending' ? 'Voting has not started yet' : 'You did not vote on this proposal'}
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProposalDetail;
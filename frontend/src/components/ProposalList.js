@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { List, RefreshCw } from 'lucide-react';
+import ProposalDetail from './ProposalDetail';
+import {
+    formatCurrency,
+    formatAddress,
+    getDeploymentBlock,
+    getProposalStateColor,
+    queryFilterPaginated,
+    PROPOSAL_STATES,
+    PROPOSAL_TYPES
+} from '../config/contracts';
+
+const ProposalList = ({ contracts, account, refreshKey }) => {
+    const [proposals, setProposals] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (contracts.governance) {
+            loadProposals();
+        }
+    }, [contracts, refreshKey]);
+
+    const loadProposals = async () => {
+        setLoading(true);
+
+        try {
+            const governance = contracts.governance;
+            const provider = governance.runner.provider;
+            const [network, toBlock] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+            const fromBlock = getDeploymentBlock(network.chainId);
+            const [createdEvents, metadataEvents] = await Promise.all([
+                queryFilterPaginated(governance, governance.filters.ProposalCreated(), fromBlock, toBlock),
+                queryFilterPaginated(governance, governance.filters.ProposalCreatedWithMetadata(), fromBlock, toBlock)
+            ]);
+
+            // Proposals made through the typed helpers also carry a title and type
+            const withMetadata = new Set(metadataEvents.map(event => event.args.proposalId.toString()));
+
+            const loadedProposals = await Promise.all(createdEvents.map(async (event) => {
+                const id = event.args.proposalId.toString();
+                const [state, votes, metadata] = await Promise.all([
+                    governance.state(id),
+                    governance.proposalVotes(id),
+                    withMetadata.has(id) ? governance.getProposalMetadata(id) : null
+                ]);
+
+                return {
+                    id,
+                    proposer: event.args.proposer,
+                    targets: [...event.args.targets],
+                    values: [...event.args.values],
+                    calldatas: [...event.args.calldatas],
+                    description: event.args.description,
+                    voteStart: event.args.voteStart,
+                    voteEnd: event.args.voteEnd,
+                    createdBlock: event.blockNumber,
+                    title: metadata ? metadata.title : event.args.description.split('\n')[0],
+                    proposalType: metadata ? PROPOSAL_TYPES[Number(metadata.proposalType)] : null,
+                    executionTime: metadata ? metadata.executionTime : 0n,
+                    state: PROPOSAL_STATES[Number(state)],
+                    forVotes: votes.forVotes,
+                    againstVotes: votes.againstVotes,
+                    abstainVotes: votes.abstainVotes
+                };
+            }));
+
+            setProposals(loadedProposals.sort((a, b) => b.createdBlock - a.createdBlock));
+        } catch (error) {
+            console.error('Error loading proposals:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectedProposal = proposals.find(proposal => proposal.id === selectedId);
+
+    if (selectedProposal) {
+        return (
+            <ProposalDetail
+                contracts={contracts}
+                account={account}
+                proposal={selectedProposal}
+                onBack={() => setSelectedId(null)}
+                onUpdated={loadProposals}
+            />
+        );
+    }
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold flex items-center">
+                    <List className="h-5 w-5 text-blue-600 mr-2" />
+                    Proposals
+                </h3>
+                <button
+                    onClick={loadProposals}
+                    disabled={loading}
+                    className="btn-secondary flex items-center space-x-2"
+                >
+                    <RefreshCw className="h-4 w-4" />
+                    <span>Refresh</span>
+                </button>
+            </div>
+
+            {proposals.length === 0 ? (
+                <div className="text-center py-4 text-gray-500">
+                    {loading ? <span className="loading-dots">Loading proposals</span> : 'No proposals yet'}
+                </div>
+            ) : (
+                <div className="divide-y divide-gray-200">
+                    {proposals.map((proposal) => (
+                        <button
+                            key={proposal.id}
+                            onClick={() => setSelectedId(proposal.id)}
+                            className="w-full text-left py-4 hover:bg-gray-50"
+                        >
+                            <div className="flex justify-between items-start">
+                                <div>
+                                    <div className="font-medium text-gray-900">{proposal.title || 'Untitled proposal'}</div>
+                                    <div className="text-xs text-gray-500 mt-1">
+                                        {proposal.proposalType && `${proposal.proposalType.replace(/_/g, ' ')} · `}
+                                        by {formatAddress(proposal.proposer)}
+                                    </div>
+                                </div>
+                                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getProposalStateColor(proposal.state)}`}>
+                                    {proposal.state}
+                                </span>
+                            </div>
+                            <div className="flex space-x-6 mt-2 text-sm">
+                                <span className="text-green-600">For {formatCurrency(proposal.forVotes)}</span>
+                                <span className="text-red-600">Against {formatCurrency(proposal.againstVotes)}</span>
+                                <span className="text-gray-500">Abstain {formatCurrency(proposal.abstainVotes)}</span>
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProposalList;
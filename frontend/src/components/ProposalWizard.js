@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { FilePlus, Send, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { parseUnits } from '../config/contracts';
+import { getAsset } from '../config/assets';
+import { useTransactions } from '../hooks/useTransactions';
+
+const PROPOSAL_FORMS = [
+    { id: 'parameter', name: 'Parameter Update' },
+    { id: 'asset', name: 'Asset Listing' },
+    { id: 'emergency', name: 'Emergency Action' },
+    { id: 'treasury', name: 'Treasury Action' }
+];
+
+const PARAMETER_ACTIONS = [
+    { id: 'interestRateModel', name: 'Interest Rate Model' },
+    { id: 'protocolFee', name: 'Protocol Fee' },
+    { id: 'liquidationParameters', name: 'Liquidation Parameters' }
+];
+
+const INITIAL_FORM = {
+    title: '',
+    description: '',
+    // Parameter update
+    parameterAction: 'interestRateModel',
+    pool: '', // asset registry key, defaults to the first pooled asset
+    baseRate: '',
+    multiplier: '',
+    jumpMultiplier: '',
+    protocolFee: '',
+    riskAsset: '', // asset registry key, defaults to the first listed asset
+    liquidationThreshold: '',
+    liquidationPenalty: '',
+    // Asset listing
+    assetAddress: '',
+    maxLTV: '',
+    minCollateralRatio: '',
+    isEnabled: true,
+    // Emergency and treasury actions
+    target: '',
+    value: '',
+    signature: '',
+    args: ''
+};
+
+// Form inputs are percentages; the contracts expect basis points
+const toBasisPoints = (percent) => Math.round(parseFloat(percent) * 100);
+
+// Encode an arbitrary call from a signature such as "pause()" or
+// "transfer(address,uint256)" and comma separated arguments
+const encodeCustomCall = (signature, args) => {
+    if (!signature) return '0x';
+
+    const fragment = ethers.FunctionFragment.from(signature.trim());
+    const values = args.trim() ? args.split(',').map(arg => arg.trim()) : [];
+    return new ethers.Interface([fragment]).encodeFunctionData(fragment.name, values);
+};
+
+const ProposalWizard = ({ contracts, assets, account, onProposalCreated }) => {
+    const { runTransaction } = useTransactions();
+    const [proposalForm, setProposalForm] = useState('parameter');
+    const [form, setForm] = useState(INITIAL_FORM);
+    const [canPropose, setCanPropose] = useState(null);
+    const [targetReadiness, setTargetReadiness] = useState(null); // { name, owned, authorized } of the updated contract
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (contracts.governance && account) {
+            checkProposalEligibility();
+        }
+    }, [contracts, account]);
+
+    const checkProposalEligibility = async () => {
+        try {
+            const eligible = await contracts.governance.canCreateProposal(account);
+            setCanPropose(eligible);
+        } catch (error) {
+            console.error('Error checking proposal eligibility:', error);
+        }
+    };
+
+    const updateForm = (field, value) => setForm({ ...form, [field]: value });
+
+    const pooledAssets = assets.filter(asset => asset.pool);
+    const poolAsset = getAsset(pooledAssets, form.pool) || pooledAssets[0];
+    const riskAsset = getAsset(assets, form.riskAsset) || assets[0];
+
+    useEffect(() => {
+        if (contracts.governance && proposalForm === 'parameter') {
+            checkTargetReadiness();
+        }
+    }, [contracts, proposalForm, form.parameterAction, poolAsset?.key]);
+
+    // The contract whose setter LegosGovernance calls for the selected parameter
+    const getParameterTarget = () => {
+        if (form.parameterAction === 'interestRateModel') {
+            return poolAsset ? { name: `${poolAsset.symbol} Pool`, contract: poolAsset.pool } : null;
+        }
+        if (form.parameterAction === 'protocolFee') {
+            return { name: 'CLOB', contract: contracts.clob };
+        }
+        return { name: 'Risk Manager', contract: contracts.riskManager };
+    };
+
+    // The governor can only update contracts it owns and has authorized through an earlier proposal
+    const checkTargetReadiness = async () => {
+        const target = getParameterTarget();
+        if (!target || !target.contract) {
+            setTargetReadiness(null);
+            return;
+        }
+
+        try {
+            const governance = contracts.governance;
+            const [owner, authorized, governanceAddress] = await Promise.all([
+                target.contract.owner(),
+                governance.authorizedContracts(await target.contract.getAddress()),
+                governance.getAddress()
+            ]);
+            setTargetReadiness({
+                name: target.name,
+                owned: owner.toLowerCase() === governanceAddress.toLowerCase(),
+                authorized
+            });
+        } catch (error) {
+            console.error('Error checking the proposal target:', error);
+            setTargetReadiness(null);
+        }
+    };
+
+    // Parameter updates call back into LegosGovernance through the timelock,
+    // so the target is the governor itself with the setter ABI-encoded
+    const buildParameterUpdate = async () => {
+        const governance = contracts.governance;
+        const governanceAddress = await governance.getAddress();
+
+        if (form.parameterAction === 'interestRateModel') {
+            return {
+                target: governanceAddress,
+                data: governance.interface.encodeFunctionData('updateInterestRateModel', [
+                    await poolAsset.pool.getAddress(),
+                    toBasisPoints(form.baseRate),
+                    toBasisPoints(form.multiplier),
+                    toBasisPoints(form.jumpMultiplier)
+                ])
+            };
+        }
+
+        if (form.parameterAction === 'protocolFee') {
+            return {
+                target: governanceAddress,
+                data: governance.interface.encodeFunctionData('updateProtocolFee', [
+                    await contracts.clob.getAddress(),
+                    toBasisPoints(form.protocolFee)
+                ])
+            };
+        }
+
+        return {
+            target: governanceAddress,
+            data: governance.interface.encodeFunctionData('updateLiquidationParameters', [
+                await contracts.riskManager.getAddress(),
+                riskAsset.address,
+                toBasisPoints(form.liquidationThreshold),
+                toBasisPoints(form.liquidationPenalty)
+            ])
+        };
+    };
+
+    const submitProposal = async () => {
+        const governance = contracts.governance;
+
+        if (proposalForm === 'parameter') {
+            const { target, data } = await buildParameterUpdate();
+            return governance.proposeParameterUpdate(target, data, form.title, form.description);
+        }
+
+        if (proposalForm === 'asset') {
+            const riskParams = {
+                maxLTV: toBasisPoints(form.maxLTV),
+                liquidationThreshold: toBasisPoints(form.liquidationThreshold),
+                liquidationPenalty: toBasisPoints(form.liquidationPenalty),
+                minCollateralRatio: toBasisPoints(form.minCollateralRatio),
+                isEnabled: form.isEnabled
+            };
+            return governance.proposeAssetListing(form.assetAddress, riskParams, form.title, form.description);
+        }
+
+        const data = encodeCustomCall(form.signature, form.args);
+
+        if (proposalForm === 'emergency') {
+            return governance.proposeEmergencyAction(form.target, data, form.title, form.description);
+        }
+
+        return governance.proposeTreasuryAction(
+            form.target,
+            form.value ? parseUnits(form.value, 18) : 0n,
+            data,
+            form.title,
+            form.description
+        );
+    };
+
+    const handleSubmit = async () => {
+        if (!form.title || !form.description) {
+            toast.error('Please enter a title and description');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const eligible = await contracts.governance.canCreateProposal(account);
+            setCanPropose(eligible);
+            if (!eligible) {
+                toast.error('Your voting power is below the proposal threshold');
+                return;
+            }
+
+            const receipt = await runTransaction({ title: 'Create proposal', send: submitProposal });
+
+            const created = receipt.logs
+                .map(log => {
+                    try {
+                        return contracts.governance.interface.parseLog(log);
+                    } catch (error) {
+                        return null;
+                    }
+                })
+                .find(event => event && event.name === 'ProposalCreatedWithMetadata');
+
+            toast.success(created
+                ? `Proposal created: ${created.args.proposalId.toString().slice(0, 10)}...`
+                : 'Proposal created!');
+            setForm(INITIAL_FORM);
+            onProposalCreated();
+        } catch (error) {
+            console.error('Proposal creation error:', error);
+            toast.error(error.reason || error.message || 'Proposal creation failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const renderInput = (field, label, placeholder, type = 'number') => (
+        <div key={field}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+            <input
+                type={type}
+                value={form[field]}
+                onChange={(e) => updateForm(field, e.target.value)}
+                className="input-field w-full"
+                placeholder={placeholder}
+                step={type === 'number' ? '0.01' : undefined}
+            />
+        </div>
+    );
+
+    const renderParameterForm = () => (
+        <div className="space-y-4">
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Parameter</label>
+                <select
+                    value={form.parameterAction}
+                    onChange={(e) => updateForm('parameterAction', e.target.value)}
+                    className="input-field w-full"
+                >
+                    {PARAMETER_ACTIONS.map(action => (
+                        <option key={action.id} value={action.id}>{action.name}</option>
+                    ))}
+                </select>
+            </div>
+
+            {form.parameterAction === 'interestRateModel' && (
+                <>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Lending Pool</label>
+                        <select
+                            value={poolAsset?.key || ''}
+                            onChange={(e) => updateForm('pool', e.target.value)}
+                            className="input-field w-full"
+                        >
+                            {pooledAssets.map(asset => (
+                                <option key={asset.key} value={asset.key}>{asset.symbol} Pool</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-3 gap-4">
+                        {renderInput('baseRate', 'Base Rate (%)', '2.00')}
+                        {renderInput('multiplier', 'Multiplier (%)', '4.00')}
+                        {renderInput('jumpMultiplier', 'Jump Multiplier (%)', '100.00')}
+                    </div>
+                </>
+            )}
+
+            {form.parameterAction === 'protocolFee' && renderInput('protocolFee', 'Protocol Fee (%)', '1.00')}
+
+            {targetReadiness && (!targetReadiness.owned || !targetReadiness.authorized) && (
+                <div className="flex items-start p-3 bg-yellow-50 rounded-lg text-sm text-yellow-800">
+                    <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                        This proposal will revert when executed against the current deployment:
+                        {!targetReadiness.owned && ` the ${targetReadiness.name} is not owned by the governor`}
+                        {!targetReadiness.owned && !targetReadiness.authorized && ' and'}
+                        {!targetReadiness.authorized && ` the ${targetReadiness.name} has not been authorized through a setContractAuthorization proposal`}.
+                    </span>
+                </div>
+            )}
+
+            {form.parameterAction === 'liquidationParameters' && (
+                <>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Collateral Asset</label>
+                        <select
+                            value={riskAsset?.key || ''}
+                            onChange={(e) => updateForm('riskAsset', e.target.value)}
+                            className="input-field w-full"
+                        >
+                            {assets.map(asset => (
+                                <option key={asset.key} value={asset.key}>{asset.symbol}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        {renderInput('liquidationThreshold', 'Liquidation Threshold (%)', '80.00')}
+                        {renderInput('liquidationPenalty', 'Liquidation Penalty (%)', '5.00')}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+
+    const renderAssetForm = () => (
+        <div className="space-y-4">
+            {renderInput('assetAddress', 'Asset Address', '0x...', 'text')}
+            <div className="grid grid-cols-2 gap-4">
+                {renderInput('maxLTV', 'Max LTV (%)', '75.00')}
+                {renderInput('liquidationThreshold', 'Liquidation Threshold (%)', '80.00')}
+                {renderInput('liquidationPenalty', 'Liquidation Penalty (%)', '5.00')}
+                {renderInput('minCollateralRatio', 'Min Collateral Ratio (%)', '85.00')}
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={form.isEnabled}
+                    onChange={(e) => updateForm('isEnabled', e.target.checked)}
+                />
+                <span>Enable asset immediately after listing</span>
+            </label>
+        </div>
+    );
+
+    const renderCallForm = (withValue) => (
+        <div className="space-y-4">
+            {renderInput('target', withValue ? 'Recipient / Target Address' : 'Target Contract', '0x...', 'text')}
+            {withValue && renderInput('value', 'ETH Value', '0.0')}
+            {renderInput('signature', withValue ? 'Function Signature (optional)' : 'Function Signature', 'pause()', 'text')}
+            {renderInput('args', 'Arguments (comma separated)', '0x..., 1000', 'text')}
+        </div>
+    );
+
+    return (
+        <div className="card">
+            <h3 className="text-lg font-semibold mb-4 flex items-center">
+                <FilePlus className="h-5 w-5 text-indigo-600 mr-2" />
+                Create Proposal
+            </h3>
+
+            {/* Proposal Type */}
+            <div className="flex space-x-2 mb-6">
+                {PROPOSAL_FORMS.map((type) => (
+                    <button
+                        key={type.id}
+                        onClick={() => setProposalForm(type.id)}
+                        className={`px-3 py-1 rounded text-sm ${proposalForm === type.id
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                            }`}
+                    >
+                        {type.name}
+                    </button>
+                ))}
+            </div>
+
+            <div className="space-y-4">
+                {renderInput('title', 'Title', 'Short proposal title', 'text')}
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+                    <textarea
+                        value={form.description}
+                        onChange={(e) => updateForm('description', e.target.value)}
+                        className="input-field w-full"
+                        rows={3}
+                        placeholder="Explain what this proposal changes and why"
+                    />
+                </div>
+
+                {proposalForm === 'parameter' && renderParameterForm()}
+                {proposalForm === 'asset' && renderAssetForm()}
+                {proposalForm === 'emergency' && renderCallForm(false)}
+                {proposalForm === 'treasury' && renderCallForm(true)}
+
+                {canPropose === false && (
+                    <div className="flex items-center p-3 bg-yellow-50 rounded-lg text-sm text-yellow-800">
+                        <AlertTriangle className="h-4 w-4 mr-2" />
+                        Your voting power is below the proposal threshold
+                    </div>
+                )}
+
+                <button
+                    onClick={handleSubmit}
+                    disabled={loading || canPropose === false}
+                    className="btn-primary w-full"
+                >
+                    {loading ? (
+                        <span className="loading-dots">Submitting</span>
+                    ) : (
+                        <>
+                            <Send className="inline h-4 w-4 mr-2" />
+                            Submit Proposal
+                        </>
+                    )}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ProposalWizard;
@@ -1,23 +1,26 @@
 import React from 'react';
 import { RefreshCw, DollarSign, TrendingUp, Users, Shield } from 'lucide-react';
 import { formatCurrency, formatAPY, formatUnits } from '../config/contracts';
+import { useProtocolEventsStatus } from '../hooks/useProtocolEvents';
+
+const LIVE_STATUS = {
+    live: { label: 'Live', dot: 'bg-green-500' },
+    reconnecting: { label: 'Reconnecting', dot: 'bg-yellow-500' },
+    idle: { label: 'Offline', dot: 'bg-gray-400' }
+};
+
+const ProtocolStats = ({ assets, balances, protocolData, onRefresh }) => {
+    const liveStatus = LIVE_STATUS[useProtocolEventsStatus()];
+    const pooledAssets = assets.filter(asset => asset.pool);
 
-const ProtocolStats = ({ balances, protocolData, onRefresh }) => {
     const stats = [
-        {
-            title: 'USDC Balance',
-            value: balances.usdc ? formatCurrency(balances.usdc, 6, 'USDC') : '0.00 USDC',
+        ...assets.map(asset => ({
+            title: `${asset.symbol} Balance`,
+            value: formatCurrency(balances.tokens?.[asset.key] || 0n, asset.decimals, asset.symbol),
             icon: DollarSign,
             color: 'text-blue-600',
             bgColor: 'bg-blue-50'
-        },
-        {
-            title: 'WETH Balance',
-            value: balances.weth ? formatCurrency(balances.weth, 18, 'WETH') : '0.00 WETH',
-            icon: DollarSign,
-            color: 'text-purple-600',
-            bgColor: 'bg-purple-50'
-        },
+        })),
         {
             title: 'LEGOS Balance',
             value: balances.legos ? formatCurrency(balances.legos, 18, 'LEGOS') : '0.00 LEGOS',
@@ -27,8 +30,8 @@ const ProtocolStats = ({ balances, protocolData, onRefresh }) => {
         },
         {
             title: 'Pool Shares',
-            value: balances.usdcPool && balances.wethPool ?
-                `${formatCurrency(balances.usdcPool, 18)} + ${formatCurrency(balances.wethPool, 18)}` :
+            value: pooledAssets.length > 0 ?
+                pooledAssets.map(asset => formatCurrency(balances.poolShares?.[asset.key] || 0n, 18)).join(' + ') :
                 '0.00',
             icon: Users,
             color: 'text-indigo-600',
@@ -37,16 +40,14 @@ const ProtocolStats = ({ balances, protocolData, onRefresh }) => {
     ];
 
     const protocolStats = [
-        {
-            title: 'USDC Supply APY',
-            value: protocolData.usdcSupplyAPY ? `${formatAPY(protocolData.usdcSupplyAPY)}%` : '0.00%',
-            subtitle: 'Annual Percentage Yield'
-        },
-        {
-            title: 'WETH Supply APY',
-            value: protocolData.wethSupplyAPY ? `${formatAPY(protocolData.wethSupplyAPY)}%` : '0.00%',
-            subtitle: 'Annual Percentage Yield'
-        },
+        ...pooledAssets.map(asset => {
+            const market = protocolData.markets?.[asset.key];
+            return {
+                title: `${asset.symbol} Supply APY`,
+                value: market?.supplyAPY ? `${formatAPY(market.supplyAPY)}%` : '0.00%',
+                subtitle: 'Annual Percentage Yield'
+            };
+        }),
         {
             title: 'Total Loans',
             value: protocolData.totalLoans ? protocolData.totalLoans.toString() : '0',
@@ -64,13 +65,19 @@ const ProtocolStats = ({ balances, protocolData, onRefresh }) => {
             {/* Header */}
             <div className="flex justify-between items-center">
                 <h2 className="text-2xl font-bold text-gray-900">Protocol Overview</h2>
-                <button
-                    onClick={onRefresh}
-                    className="btn-secondary flex items-center space-x-2"
-                >
-                    <RefreshCw className="h-4 w-4" />
-                    <span>Refresh</span>
-                </button>
+                <div className="flex items-center space-x-4">
+                    <span className="flex items-center text-sm text-gray-600">
+                        <span className={`w-2 h-2 rounded-full mr-2 ${liveStatus.dot}`} />
+                        {liveStatus.label}
+                    </span>
+                    <button
+                        onClick={onRefresh}
+                        className="btn-secondary flex items-center space-x-2"
+                    >
+                        <RefreshCw className="h-4 w-4" />
+                        <span>Refresh</span>
+                    </button>
+                </div>
             </div>
 
             {/* User Balances */}
@@ -114,77 +121,47 @@ const ProtocolStats = ({ balances, protocolData, onRefresh }) => {
 
             {/* Liquidity Overview */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                {/* USDC Pool */}
-                <div className="card">
-                    <h4 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-                        <DollarSign className="h-5 w-5 text-blue-600 mr-2" />
-                        USDC Pool
-                    </h4>
-                    <div className="space-y-3">
-                        <div className="flex justify-between">
-                            <span className="text-gray-600">Supply APY</span>
-                            <span className="font-semibold text-green-600">
-                                {protocolData.usdcSupplyAPY ? `${formatAPY(protocolData.usdcSupplyAPY)}%` : '0.00%'}
-                            </span>
-                        </div>
-                        <div className="flex justify-between">
-                            <span className="text-gray-600">Borrow APY</span>
-                            <span className="font-semibold text-red-600">
-                                {protocolData.usdcBorrowAPY ? `${formatAPY(protocolData.usdcBorrowAPY)}%` : '0.00%'}
-                            </span>
-                        </div>
-                        <div className="flex justify-between">
-                            <span className="text-gray-600">Available Liquidity</span>
-                            <span className="font-semibold">
-                                {protocolData.usdcLiquidity ? formatCurrency(protocolData.usdcLiquidity, 6, 'USDC') : '0.00 USDC'}
-                            </span>
-                        </div>
-                        {balances.usdcPool && (
-                            <div className="flex justify-between pt-2 border-t">
-                                <span className="text-gray-600">Your Pool Shares</span>
-                                <span className="font-semibold text-blue-600">
-                                    {formatCurrency(balances.usdcPool, 18)}
-                                </span>
-                            </div>
-                        )}
-                    </div>
-                </div>
+                {pooledAssets.map(asset => {
+                    const market = protocolData.markets?.[asset.key] || {};
+                    const shares = balances.poolShares?.[asset.key];
 
-                {/* WETH Pool */}
-                <div className="card">
-                    <h4 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-                        <div className="w-5 h-5 bg-purple-600 rounded-full mr-2"></div>
-                        WETH Pool
-                    </h4>
-                    <div className="space-y-3">
-                        <div className="flex justify-between">
-                            <span className="text-gray-600">Supply APY</span>
-                            <span className="font-semibold text-green-600">
-                                {protocolData.wethSupplyAPY ? `${formatAPY(protocolData.wethSupplyAPY)}%` : '0.00%'}
-                            </span>
-                        </div>
-                        <div className="flex justify-between">
-                            <span className="text-gray-600">Borrow APY</span>
-                            <span className="font-semibold text-red-600">
-                                {protocolData.wethBorrowAPY ? `${formatAPY(protocolData.wethBorrowAPY)}%` : '0.00%'}
-                            </span>
-                        </div>
-                        <div className="flex justify-between">
-                            <span className="text-gray-600">Available Liquidity</span>
-                            <span className="font-semibold">
-                                {protocolData.wethLiquidity ? formatCurrency(protocolData.wethLiquidity, 18, 'WETH') : '0.00 WETH'}
-                            </span>
-                        </div>
-                        {balances.wethPool && (
-                            <div className="flex justify-between pt-2 border-t">
-                                <span className="text-gray-600">Your Pool Shares</span>
-                                <span className="font-semibold text-purple-600">
-                                    {formatCurrency(balances.wethPool, 18)}
-                                </span>
+                    return (
+                        <div key={asset.key} className="card">
+                            <h4 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+                                <DollarSign className="h-5 w-5 text-blue-600 mr-2" />
+                                {asset.symbol} Pool
+                            </h4>
+                            <div className="space-y-3">
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Supply APY</span>
+                                    <span className="font-semibold text-green-600">
+                                        {market.supplyAPY ? `${formatAPY(market.supplyAPY)}%` : '0.00%'}
+                                    </span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Borrow APY</span>
+                                    <span className="font-semibold text-red-600">
+                                        {market.borrowAPY ? `${formatAPY(market.borrowAPY)}%` : '0.00%'}
+                                    </span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-gray-600">Available Liquidity</span>
+                                    <span className="font-semibold">
+                                        {formatCurrency(market.liquidity || 0n, asset.decimals, asset.symbol)}
+                                    </span>
+                                </div>
+                                {shares !== undefined && (
+                                    <div className="flex justify-between pt-2 border-t">
+                                        <span className="text-gray-600">Your Pool Shares</span>
+                                        <span className="font-semibold text-blue-600">
+                                            {formatCurrency(shares, 18)}
+                                        </span>
+                                    </div>
+                                )}
                             </div>
-                        )}
-                    </div>
-                </div>
+                        </div>
+                    );
+                })}
             </div>
 
             {/* Risk Overview */}
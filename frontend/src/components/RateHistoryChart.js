@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { formatAPY, formatTimestamp } from '../config/contracts';
+
+const WIDTH = 400;
+const HEIGHT = 160;
+const PADDING = 24;
+
+const INTERVALS = [
+    { id: '1h', label: '1H', seconds: 60 * 60 },
+    { id: '4h', label: '4H', seconds: 4 * 60 * 60 },
+    { id: '1d', label: '1D', seconds: 24 * 60 * 60 }
+];
+
+// Groups trades into open/high/low/close rate candles, oldest interval first
+const buildCandles = (trades, intervalSeconds) => {
+    const buckets = new Map();
+    [...trades]
+        .sort((a, b) => a.timestamp - b.timestamp || Number(a.id) - Number(b.id))
+        .forEach(trade => {
+            const start = Math.floor(trade.timestamp / intervalSeconds) * intervalSeconds;
+            const rate = Number(trade.rate);
+            const candle = buckets.get(start);
+
+            if (!candle) {
+                buckets.set(start, { start, open: rate, high: rate, low: rate, close: rate, trades: 1 });
+            } else {
+                candle.high = Math.max(candle.high, rate);
+                candle.low = Math.min(candle.low, rate);
+                candle.close = rate;
+                candle.trades += 1;
+            }
+        });
+
+    return [...buckets.values()];
+};
+
+const RateHistoryChart = ({ trades }) => {
+    const [resolution, setResolution] = useState(INTERVALS[0]);
+    const [hovered, setHovered] = useState(null);
+
+    const candles = buildCandles(trades, resolution.seconds);
+    const lows = candles.map(candle => candle.low);
+    const highs = candles.map(candle => candle.high);
+    const margin = Math.max(10, (Math.max(...highs) - Math.min(...lows)) * 0.1);
+    const minRate = Math.max(0, Math.min(...lows) - margin);
+    const maxRate = Math.max(...highs) + margin;
+
+    // Only intervals with trades are drawn, so sparse history stays readable
+    const slot = (WIDTH - 2 * PADDING) / Math.max(candles.length, 1);
+    const x = (index) => PADDING + slot * (index + 0.5);
+    const y = (rate) => HEIGHT - PADDING - ((rate - minRate) / (maxRate - minRate)) * (HEIGHT - 2 * PADDING);
+    const bodyWidth = Math.max(2, Math.min(12, slot * 0.6));
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-2">
+                <span className="text-sm font-medium text-gray-700">Executed Rate</span>
+                <div className="flex space-x-1">
+                    {INTERVALS.map(option => (
+                        <button
+                            key={option.id}
+                            onClick={() => setResolution(option)}
+                            className={`px-2 py-0.5 rounded text-xs ${resolution.id === option.id
+                                    ? 'bg-primary-600 text-white'
+                                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {candles.length === 0 ? (
+                <div className="text-center py-8 text-gray-500 text-sm">No executed trades to chart</div>
+            ) : (
+                <>
+                    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-40" onMouseLeave={() => setHovered(null)}>
+                        <line x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING} stroke="#d1d5db" />
+                        <text x={PADDING} y={PADDING - 8} fontSize="10" fill="#6b7280">{formatAPY(Math.round(maxRate))}%</text>
+                        <text x={PADDING} y={HEIGHT - 8} fontSize="10" fill="#6b7280">{formatAPY(Math.round(minRate))}%</text>
+
+                        {candles.map((candle, index) => {
+                            const rising = candle.close >= candle.open;
+                            const color = rising ? '#16a34a' : '#dc2626';
+                            const bodyTop = y(Math.max(candle.open, candle.close));
+                            const bodyBottom = y(Math.min(candle.open, candle.close));
+
+                            return (
+                                <g key={candle.start} onMouseEnter={() => setHovered(candle)}>
+                                    <rect x={x(index) - slot / 2} y={PADDING} width={slot} height={HEIGHT - 2 * PADDING} fill="transparent" />
+                                    <line x1={x(index)} y1={y(candle.high)} x2={x(index)} y2={y(candle.low)} stroke={color} />
+                                    <rect
+                                        x={x(index) - bodyWidth / 2}
+                                        y={bodyTop}
+                                        width={bodyWidth}
+                                        height={Math.max(1, bodyBottom - bodyTop)}
+                                        fill={color}
+                                    />
+                                </g>
+                            );
+                        })}
+                    </svg>
+
+                    <div className="flex justify-between text-xs text-gray-500">
+                        <span>{formatTimestamp(candles[0].start)}</span>
+                        {hovered ? (
+                            <span className="font-mono text-gray-700">
+                                O {formatAPY(hovered.open)}% H {formatAPY(hovered.high)}% L {formatAPY(hovered.low)}% C {formatAPY(hovered.close)}% ({hovered.trades} trades)
+                            </span>
+                        ) : (
+                            <span>{formatTimestamp(candles[candles.length - 1].start)}</span>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RateHistoryChart;
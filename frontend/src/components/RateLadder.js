@@ -0,0 +1,60 @@
+import React from 'react';
+import { formatAPY, formatCurrency } from '../config/contracts';
+
+const RateLadder = ({ summary, decimals, symbol, selectedRate, onSelectRate }) => {
+    const { lend, borrow, spread } = summary;
+
+    if (lend.length === 0 && borrow.length === 0) {
+        return null;
+    }
+
+    const maxCumulative = [lend, borrow].reduce(
+        (max, levels) => (levels.length > 0 && levels[levels.length - 1].cumulative > max ? levels[levels.length - 1].cumulative : max),
+        0n
+    );
+
+    const renderLevel = (level, side) => {
+        const depth = Number((level.cumulative * 10000n) / maxCumulative) / 100;
+        const isSelected = selectedRate === formatAPY(level.rate);
+
+        return (
+            <button
+                key={`${side}-${level.rate}`}
+                onClick={() => onSelectRate(level.rate)}
+                className={`relative w-full grid grid-cols-3 px-3 py-1 text-sm text-left hover:bg-gray-100 ${isSelected ? 'ring-1 ring-primary-500' : ''}`}
+                title="Use this rate for a limit order"
+            >
+                <span
+                    className={`absolute inset-y-0 right-0 ${side === 'lend' ? 'bg-green-50' : 'bg-blue-50'}`}
+                    style={{ width: `${depth}%` }}
+                />
+                <span className={`relative font-medium ${side === 'lend' ? 'text-green-700' : 'text-blue-700'}`}>
+                    {formatAPY(level.rate)}%
+                </span>
+                <span className="relative font-mono text-right">{formatCurrency(level.amount, decimals)}</span>
+                <span className="relative font-mono text-right text-gray-500">{formatCurrency(level.cumulative, decimals)}</span>
+            </button>
+        );
+    };
+
+    return (
+        <div className="max-h-72 overflow-y-auto border rounded">
+            <div className="grid grid-cols-3 px-3 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <span>Rate</span>
+                <span className="text-right">Amount ({symbol})</span>
+                <span className="text-right">Total</span>
+            </div>
+
+            {/* Lend offers, worst rate first so the best offer sits on the spread */}
+            {[...lend].reverse().map(level => renderLevel(level, 'lend'))}
+
+            <div className="px-3 py-1 text-xs text-center text-gray-500 bg-gray-50 border-y">
+                {spread !== null ? `Spread ${formatAPY(spread)}%` : 'No spread (one-sided book)'}
+            </div>
+
+            {borrow.map(level => renderLevel(level, 'borrow'))}
+        </div>
+    );
+};
+
+export default RateLadder;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { X, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+    parseUnits,
+    formatUnits,
+    formatAPY,
+    calculateSimpleInterest,
+    MAX_UINT256
+} from '../config/contracts';
+import { useTransactions } from '../hooks/useTransactions';
+
+// Interest keeps accruing between preview and inclusion, so full repayments
+// approve an extra hour of interest and let the CLOB cap the transfer
+const PAYOFF_BUFFER_SECONDS = 60 * 60;
+
+const RepayLoanDialog = ({ contracts, loan, onClose, onRepaid }) => {
+    const { runTransaction } = useTransactions();
+    const [payoffAmount, setPayoffAmount] = useState(null);
+    const [amount, setAmount] = useState('');
+    const [isFullRepayment, setIsFullRepayment] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        loadPayoffAmount();
+    }, [loan]);
+
+    const loadPayoffAmount = async () => {
+        try {
+            const payoff = await contracts.clob.getRepaymentAmount(loan.id);
+            setPayoffAmount(payoff);
+        } catch (error) {
+            console.error('Error loading payoff amount:', error);
+        }
+    };
+
+    const handleMax = () => {
+        if (payoffAmount === null) return;
+        setAmount(formatUnits(payoffAmount, loan.assetDecimals));
+        setIsFullRepayment(true);
+    };
+
+    const handleRepay = async () => {
+        if (!amount && !isFullRepayment) {
+            toast.error('Please enter an amount');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const clobAddress = await contracts.clob.getAddress();
+            const repayAmount = isFullRepayment ? MAX_UINT256 : parseUnits(amount, loan.assetDecimals);
+            const approvalAmount = isFullRepayment
+                ? payoffAmount + calculateSimpleInterest(loan.remainingPrincipal, loan.interestRate, PAYOFF_BUFFER_SECONDS)
+                : repayAmount;
+
+            await runTransaction({
+                title: `Repay loan #${loan.id}`,
+                approvals: [{ token: loan.assetToken, spender: clobAddress, amount: approvalAmount, symbol: loan.assetSymbol, permit: true }],
+                send: ([permit]) => (permit
+                    ? contracts.clob.repayLoanWithPermit(loan.id, repayAmount, permit)
+                    : contracts.clob.repayLoan(loan.id, repayAmount))
+            });
+
+            toast.success(isFullRepayment ? 'Loan repaid in full, collateral released!' : 'Partial repayment successful!');
+            onRepaid();
+        } catch (error) {
+            console.error('Repayment error:', error);
+            toast.error(error.message || 'Repayment failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+            <div className="card w-full max-w-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Repay Loan #{loan.id}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                        <X className="h-5 w-5" />
+                    </button>
+                </div>
+
+                <div className="space-y-3 mb-4">
+                    <div className="flex justify-between">
+                        <span className="text-gray-600">Remaining Principal</span>
+                        <span className="font-semibold font-mono">
+                            {formatUnits(loan.remainingPrincipal, loan.assetDecimals)} {loan.assetSymbol}
+                        </span>
+                    </div>
+
+                    <div className="flex justify-between">
+                        <span className="text-gray-600">Interest Rate</span>
+                        <span className="font-semibold">{formatAPY(loan.interestRate)}%</span>
+                    </div>
+
+                    <div className="flex justify-between pt-2 border-t">
+                        <span className="text-gray-600">Payoff Amount</span>
+                        <span className="font-semibold font-mono text-blue-600">
+                            {payoffAmount !== null
+                                ? `${formatUnits(payoffAmount, loan.assetDecimals)} ${loan.assetSymbol}`
+                                : '-'
+                            }
+                        </span>
+                    </div>
+                </div>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Repayment Amount ({loan.assetSymbol || 'tokens'})
+                        </label>
+
+                        <div className="relative">
+                            <input
+                                type="number"
+                                value={amount}
+                                onChange={(e) => {
+                                    setAmount(e.target.value);
+                                    setIsFullRepayment(false);
+                                }}
+                                className="input-field w-full pr-20"
+                                placeholder="0.0"
+                                step="0.01"
+                            />
+
+                            <button
+                                onClick={handleMax}
+                                className="absolute right-2 top-1/2 transform -translate-y-1/2 text-sm text-blue-600 hover:text-blue-800"
+                            >
+                                MAX
+                            </button>
+                        </div>
+
+                        <p className="text-sm text-gray-500 mt-1">
+                            {isFullRepayment
+                                ? 'Full repayment closes the loan and releases your collateral'
+                                : 'Partial repayments settle accrued interest before principal'}
+                        </p>
+                    </div>
+
+                    <button
+                        onClick={handleRepay}
+                        disabled={loading || (!amount && !isFullRepayment)}
+                        className="btn-primary w-full"
+                    >
+                        {loading ? (
+                            <span className="loading-dots">Repaying</span>
+                        ) : (
+                            <>
+                                <CheckCircle className="inline h-4 w-4 mr-2" />
+                                {isFullRepayment ? 'Repay in Full' : 'Repay'}
+                            </>
+                        )}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RepayLoanDialog;
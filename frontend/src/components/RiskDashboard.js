@@ -1,8 +1,10 @@
 import React from 'react';
 import { Shield, AlertTriangle, TrendingDown } from 'lucide-react';
+import LiquidatorConsole from './LiquidatorConsole';
+import HealthFactorSimulator from './HealthFactorSimulator';
 import { formatUnits } from '../config/contracts';
 
-const RiskDashboard = ({ contracts, protocolData }) => {
+const RiskDashboard = ({ contracts, assets, account, protocolData, onLiquidated }) => {
     return (
         <div className="space-y-6">
             <h2 className="text-2xl font-bold text-gray-900">Risk Dashboard</h2>
@@ -72,6 +74,19 @@ const RiskDashboard = ({ contracts, protocolData }) => {
                     </div>
                 </div>
             </div>
+
+            <HealthFactorSimulator
+                contracts={contracts}
+                assets={assets}
+                account={account}
+            />
+
+            <LiquidatorConsole
+                contracts={contracts}
+                assets={assets}
+                account={account}
+                onLiquidated={onLiquidated}
+            />
         </div>
     );
 };
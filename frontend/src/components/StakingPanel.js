@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Lock, Coins, Gift } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { parseUnits, formatUnits, formatCurrency } from '../config/contracts';
+import { useTransactions } from '../hooks/useTransactions';
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+const StakingPanel = ({ contracts, account, balances, onStakeChanged }) => {
+    const { runTransaction } = useTransactions();
+    const [mode, setMode] = useState('stake'); // 'stake' or 'unstake'
+    const [amount, setAmount] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [claiming, setClaiming] = useState(false);
+    const [staking, setStaking] = useState(null);
+    const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+    useEffect(() => {
+        if (contracts.legosToken && account) {
+            loadStakingData();
+        }
+    }, [contracts, account]);
+
+    // Tick once per second so pending rewards grow live between refreshes
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const loadStakingData = async () => {
+        try {
+            const token = contracts.legosToken;
+            const [info, pendingRewards, rewardRate, precision, totalStaked] = await Promise.all([
+                token.stakingInfo(account),
+                token.getPendingStakingRewards(account),
+                token.stakingRewardRate(),
+                token.STAKING_REWARD_PRECISION(),
+                token.totalStaked()
+            ]);
+
+            setStaking({
+                stakedAmount: info.stakedAmount,
+                pendingRewards,
+                rewardRate,
+                precision,
+                totalStaked,
+                loadedAt: Math.floor(Date.now() / 1000)
+            });
+        } catch (error) {
+            console.error('Error loading staking data:', error);
+        }
+    };
+
+    // Mirrors LegosToken.getPendingStakingRewards from the last on-chain read
+    const getLivePendingRewards = () => {
+        if (!staking) return 0n;
+        const elapsed = ethers.toBigInt(Math.max(0, now - staking.loadedAt));
+        return staking.pendingRewards +
+            (staking.stakedAmount * staking.rewardRate * elapsed) / (SECONDS_PER_YEAR * staking.precision);
+    };
+
+    const handleSubmit = async () => {
+        if (!amount || !contracts.legosToken) {
+            toast.error(`Please enter an amount to ${mode}`);
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const value = parseUnits(amount, 18);
+            await runTransaction({
+                title: mode === 'stake' ? 'Stake LEGOS' : 'Unstake LEGOS',
+                send: () => (mode === 'stake' ? contracts.legosToken.stake(value) : contracts.legosToken.unstake(value))
+            });
+
+            toast.success(mode === 'stake' ? 'Tokens staked successfully!' : 'Tokens unstaked successfully!');
+            setAmount('');
+            loadStakingData();
+            onStakeChanged();
+        } catch (error) {
+            console.error(`${mode} error:`, error);
+            toast.error(error.message || `${mode === 'stake' ? 'Staking' : 'Unstaking'} failed`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleClaim = async () => {
+        setClaiming(true);
+
+        try {
+            await runTransaction({
+                title: 'Claim staking rewards',
+                send: () => contracts.legosToken.claimStakingRewards()
+            });
+
+            toast.success('Staking rewards claimed!');
+            loadStakingData();
+            onStakeChanged();
+        } catch (error) {
+            console.error('Error claiming staking rewards:', error);
+            toast.error(error.message || 'Failed to claim rewards');
+        } finally {
+            setClaiming(false);
+        }
+    };
+
+    const handleMax = () => {
+        const max = mode === 'stake' ? balances.legos : staking?.stakedAmount;
+        if (max) setAmount(formatUnits(max, 18));
+    };
+
+    const pendingRewards = getLivePendingRewards();
+    const available = mode === 'stake' ? balances.legos : staking?.stakedAmount;
+
+    return (
+        <div className="card">
+            <h3 className="text-lg font-semibold mb-4 flex items-center">
+                <Lock className="h-5 w-5 text-blue-600 mr-2" />
+                Stake LEGOS Tokens
+            </h3>
+
+            <div className="space-y-3 mb-6">
+                <div className="flex justify-between">
+                    <span className="text-gray-600">Your Stake</span>
+                    <span className="font-semibold text-blue-600">
+                        {staking ? formatCurrency(staking.stakedAmount, 18, 'LEGOS') : '-'}
+                    </span>
+                </div>
+
+                <div className="flex justify-between">
+                    <span className="text-gray-600">Reward Rate</span>
+                    <span className="font-semibold">
+                        {staking ? `${(Number(staking.rewardRate) * 100 / Number(staking.precision)).toFixed(2)}% APR` : '-'}
+                    </span>
+                </div>
+
+                <div className="flex justify-between">
+                    <span className="text-gray-600">Total Staked</span>
+                    <span className="text-sm text-gray-500">
+                        {staking ? formatCurrency(staking.totalStaked, 18, 'LEGOS') : '-'}
+                    </span>
+                </div>
+
+                <div className="flex justify-between items-center pt-2 border-t">
+                    <div>
+                        <span className="text-gray-600 flex items-center">
+                            <Gift className="h-4 w-4 mr-1" />
+                            Pending Rewards
+                        </span>
+                        <span className="font-mono text-green-600">
+                            {parseFloat(formatUnits(pendingRewards, 18)).toFixed(6)} LEGOS
+                        </span>
+                    </div>
+                    <button
+                        onClick={handleClaim}
+                        disabled={claiming || pendingRewards === 0n}
+                        className="btn-secondary"
+                    >
+                        {claiming ? <span className="loading-dots">Claiming</span> : 'Claim'}
+                    </button>
+                </div>
+            </div>
+
+            {/* Stake / Unstake Toggle */}
+            <div className="flex space-x-2 mb-4">
+                {['stake', 'unstake'].map((option) => (
+                    <button
+                        key={option}
+                        onClick={() => {
+                            setMode(option);
+                            setAmount('');
+                        }}
+                        className={`px-3 py-1 rounded text-sm capitalize ${mode === option
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                            }`}
+                    >
+                        {option}
+                    </button>
+                ))}
+            </div>
+
+            <div className="space-y-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Amount to {mode === 'stake' ? 'Stake' : 'Unstake'}
+                    </label>
+                    <div className="relative">
+                        <input
+                            type="number"
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value)}
+                            className="input-field w-full pr-20"
+                            placeholder="0.0"
+                            step="0.01"
+                        />
+                        <button
+                            onClick={handleMax}
+                            className="absolute right-2 top-1/2 transform -translate-y-1/2 text-sm text-blue-600 hover:text-blue-800"
+                        >
+                            MAX
+                        </button>
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1">
+                        {mode === 'stake' ? 'Available' : 'Staked'}: {available ? formatCurrency(available, 18, 'LEGOS') : '0.00 LEGOS'}
+                    </p>
+                </div>
+
+                <button
+                    onClick={handleSubmit}
+                    disabled={loading || !amount}
+                    className="btn-primary w-full"
+                >
+                    {loading ? (
+                        <span className="loading-dots">{mode === 'stake' ? 'Staking' : 'Unstaking'}</span>
+                    ) : (
+                        <>
+                            <Coins className="inline h-4 w-4 mr-2" />
+                            {mode === 'stake' ? 'Stake Tokens' : 'Unstake Tokens'}
+                        </>
+                    )}
+                </button>
+            </div>
+
+            <div className="mt-6 p-4 bg-blue-50 rounded-lg">
+                <h4 className="text-sm font-medium text-blue-800 mb-2">Staking Benefits</h4>
+                <ul className="text-sm text-blue-700 space-y-1">
+                    <li>• Increased voting power</li>
+                    <li>• Earn staking rewards</li>
+                    <li>• Participate in governance</li>
+                    <li>• Protocol fee sharing</li>
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+export default StakingPanel;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { History, RefreshCw } from 'lucide-react';
+import RateHistoryChart from './RateHistoryChart';
+import {
+    formatAPY,
+    formatCurrency,
+    formatTimestamp,
+    formatCountdown,
+    getDeploymentBlock,
+    queryFilterPaginated
+} from '../config/contracts';
+import { useProtocolEvents } from '../hooks/useProtocolEvents';
+
+// Each page scans this many blocks backwards; older pages load on demand
+const PAGE_BLOCKS = 10000;
+// Counted for the selected asset only, since the panel shows one asset at a time
+const MIN_TRADES_PER_LOAD = 25;
+
+const TradeHistory = ({ contracts, asset }) => {
+    const [trades, setTrades] = useState([]);
+    const [range, setRange] = useState(null); // { oldest, newest, start } scanned and deployment block numbers
+    const [loading, setLoading] = useState(false);
+    // loanId => pending read of the loan's asset and terms, which never change once created
+    const loanDetails = useRef(new Map());
+
+    useEffect(() => {
+        if (contracts.clob) {
+            loanDetails.current = new Map();
+            reloadTrades();
+        }
+    }, [contracts]);
+
+    // Switching assets keeps the scanned range, so keep paging if it holds too few of the new asset's trades
+    useEffect(() => {
+        if (range && !loading && range.oldest > range.start && countAssetTrades(trades) < MIN_TRADES_PER_LOAD) {
+            loadOlder(range);
+        }
+    }, [asset.address]);
+
+    useProtocolEvents(({ events, resync }) => {
+        if (resync) {
+            reloadTrades();
+        } else if (range && events.some(event => event.name === 'LoanCreated')) {
+            loadNewer();
+        }
+    });
+
+    const countAssetTrades = (list) => list.filter(trade => trade.asset === asset.address.toLowerCase()).length;
+
+    const getLoanDetails = (loanId) => {
+        const key = loanId.toString();
+        if (!loanDetails.current.has(key)) {
+            const read = Promise.all([contracts.clob.loans(loanId), contracts.clob.loanAssets(loanId)])
+                .then(([loan, loanAsset]) => ({
+                    asset: loanAsset.toLowerCase(),
+                    startTime: loan.startTime,
+                    interestRate: loan.interestRate,
+                    duration: loan.duration
+                }));
+            // A failed read is dropped, so the next scan of that loan reads it again
+            read.catch(() => loanDetails.current.delete(key));
+            loanDetails.current.set(key, read);
+        }
+        return loanDetails.current.get(key);
+    };
+
+    // Every match emits LoanCreated followed by OrderMatched in the same transaction,
+    // and an incoming order that matched on placement also emits InstantExecution
+    const buildTrades = async (fromBlock, toBlock) => {
+        const clob = contracts.clob;
+        const [created, matched, instant] = await Promise.all([
+            queryFilterPaginated(clob, clob.filters.LoanCreated(), fromBlock, toBlock),
+            queryFilterPaginated(clob, clob.filters.OrderMatched(), fromBlock, toBlock),
+            queryFilterPaginated(clob, clob.filters.InstantExecution(), fromBlock, toBlock)
+        ]);
+
+        return Promise.all(created.map(async (event) => {
+            const match = matched
+                .filter(m => m.transactionHash === event.transactionHash && m.index > event.index)
+                .sort((a, b) => a.index - b.index)[0];
+
+            const loan = await getLoanDetails(event.args.loanId);
+
+            let takerSide = null;
+            if (match) {
+                const { lendOrderId, borrowOrderId } = match.args;
+                const taker = instant.find(i => i.transactionHash === event.transactionHash &&
+                    (i.args.orderId === lendOrderId || i.args.orderId === borrowOrderId));
+                // Without an InstantExecution the later order is the one that crossed the book
+                const takerOrderId = taker ? taker.args.orderId : (lendOrderId > borrowOrderId ? lendOrderId : borrowOrderId);
+                takerSide = takerOrderId === lendOrderId ? 'LEND' : 'BORROW';
+            }
+
+            return {
+                id: event.args.loanId.toString(),
+                asset: loan.asset,
+                timestamp: Number(loan.startTime),
+                amount: event.args.amount,
+                rate: loan.interestRate,
+                duration: loan.duration,
+                takerSide,
+                blockNumber: event.blockNumber
+            };
+        }));
+    };
+
+    const mergeTrades = (incoming) => {
+        setTrades(prev => {
+            const byId = new Map(prev.map(trade => [trade.id, trade]));
+            incoming.forEach(trade => byId.set(trade.id, trade));
+            return [...byId.values()].sort((a, b) => b.timestamp - a.timestamp || Number(b.id) - Number(a.id));
+        });
+    };
+
+    // Pages backwards from the oldest scanned block until enough trades of the selected asset are found
+    const loadOlder = async (currentRange) => {
+        setLoading(true);
+
+        try {
+            const provider = contracts.clob.runner.provider;
+            const startBlock = currentRange ? currentRange.start : getDeploymentBlock((await provider.getNetwork()).chainId);
+            const newest = currentRange ? currentRange.newest : await provider.getBlockNumber();
+            let toBlock = currentRange ? currentRange.oldest - 1 : newest;
+            let found = [];
+
+            while (toBlock >= startBlock && countAssetTrades(found) < MIN_TRADES_PER_LOAD) {
+                const fromBlock = Math.max(startBlock, toBlock - PAGE_BLOCKS + 1);
+                found = found.concat(await buildTrades(fromBlock, toBlock));
+                toBlock = fromBlock - 1;
+            }
+
+            mergeTrades(found);
+            setRange({ oldest: Math.max(startBlock, toBlock + 1), newest, start: startBlock });
+        } catch (error) {
+            console.error('Error loading trade history:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadNewer = async () => {
+        try {
+            const latest = await contracts.clob.runner.provider.getBlockNumber();
+            if (latest <= range.newest) return;
+
+            mergeTrades(await buildTrades(range.newest + 1, latest));
+            setRange(prev => ({ ...prev, newest: latest }));
+        } catch (error) {
+            console.error('Error loading new trades:', error);
+        }
+    };
+
+    const reloadTrades = () => {
+        setTrades([]);
+        setRange(null);
+        loadOlder(null);
+    };
+
+    const assetTrades = trades.filter(trade => trade.asset === asset.address.toLowerCase());
+    const hasOlder = range && range.oldest > range.start;
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold flex items-center">
+                    <History className="h-5 w-5 mr-2" />
+                    {asset.symbol} Trade History
+                </h3>
+                <button
+                    onClick={reloadTrades}
+                    className="text-gray-400 hover:text-gray-600"
+                >
+                    <RefreshCw className="h-4 w-4" />
+                </button>
+            </div>
+
+            <RateHistoryChart trades={assetTrades} />
+
+            {assetTrades.length === 0 ? (
+                <div className="text-center py-4 text-gray-500">
+                    {loading ? <span className="loading-dots">Loading trades</span> : `No ${asset.symbol} trades in the scanned blocks`}
+                </div>
+            ) : (
+                <div className="overflow-x-auto max-h-80 overflow-y-auto mt-4">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {['Time', 'Amount', 'Rate', 'Duration', 'Taker'].map((column) => (
+                                    <th key={column} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        {column}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {assetTrades.map((trade) => (
+                                <tr key={trade.id}>
+                                    <td className="px-4 py-3 text-sm text-gray-500">{formatTimestamp(trade.timestamp)}</td>
+                                    <td className="px-4 py-3 text-sm font-mono text-gray-900">
+                                        {formatCurrency(trade.amount, asset.decimals, asset.symbol)}
+                                    </td>
+                                    <td className="px-4 py-3 text-sm text-gray-900">{formatAPY(trade.rate)}%</td>
+                                    <td className="px-4 py-3 text-sm text-gray-500">{formatCountdown(trade.duration)}</td>
+                                    <td className="px-4 py-3 text-sm">
+                                        {trade.takerSide ? (
+                                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${trade.takerSide === 'LEND'
+                                                    ? 'bg-green-100 text-green-800'
+                                                    : 'bg-blue-100 text-blue-800'
+                                                }`}>
+                                                {trade.takerSide}
+                                            </span>
+                                        ) : '-'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {hasOlder && (
+                <button
+                    onClick={() => loadOlder(range)}
+                    disabled={loading}
+                    className="btn-secondary w-full mt-4"
+                >
+                    {loading ? <span className="loading-dots">Loading</span> : `Load older trades (before block ${range.oldest})`}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TradeHistory;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Activity, X, ExternalLink } from 'lucide-react';
+import { formatAddress, formatTimestamp, getExplorerTxUrl } from '../config/contracts';
+import { useTransactions, TX_STATUS } from '../hooks/useTransactions';
+
+const STATUS_STYLES = {
+    [TX_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+    [TX_STATUS.CONFIRMED]: 'bg-green-100 text-green-800',
+    [TX_STATUS.FAILED]: 'bg-red-100 text-red-800',
+    [TX_STATUS.REPLACED]: 'bg-gray-100 text-gray-800',
+    [TX_STATUS.CANCELLED]: 'bg-gray-100 text-gray-800'
+};
+
+const TransactionLink = ({ chainId, hash }) => {
+    const url = getExplorerTxUrl(chainId, hash);
+    if (!url) return <span className="font-mono">{formatAddress(hash)}</span>;
+
+    return (
+        <a href={url} target="_blank" rel="noopener noreferrer" className="font-mono text-primary-600 hover:underline inline-flex items-center">
+            {formatAddress(hash)}
+            <ExternalLink className="h-3 w-3 ml-1" />
+        </a>
+    );
+};
+
+const TransactionDrawer = ({ network }) => {
+    const { transactions, clearCompleted } = useTransactions();
+    const [open, setOpen] = useState(false);
+
+    const pendingCount = transactions.filter(record => record.status === TX_STATUS.PENDING).length;
+    const chainId = network ? network.chainId : null;
+
+    return (
+        <>
+            <button
+                onClick={() => setOpen(true)}
+                className="relative p-2 text-gray-500 hover:text-gray-700"
+                title="Transactions"
+            >
+                <Activity className="h-5 w-5" />
+                {pendingCount > 0 && (
+                    <span className="absolute -top-1 -right-1 bg-primary-600 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+                        {pendingCount}
+                    </span>
+                )}
+            </button>
+
+            {open && (
+                <div className="fixed inset-0 bg-black bg-opacity-40 z-50" onClick={() => setOpen(false)}>
+                    <div
+                        className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-xl flex flex-col"
+                        onClick={(event) => event.stopPropagation()}
+                    >
+                        <div className="flex justify-between items-center p-4 border-b">
+                            <h3 className="text-lg font-semibold">Transactions</h3>
+                            <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-gray-600">
+                                <X className="h-5 w-5" />
+                            </button>
+                        </div>
+
+                        <div className="flex-1 overflow-y-auto divide-y divide-gray-200">
+                            {transactions.length === 0 ? (
+                                <div className="text-center py-8 text-gray-500">No transactions yet</div>
+                            ) : (
+                                transactions.map(record => (
+                                    <div key={record.id} className="p-4 text-sm space-y-1">
+                                        <div className="flex justify-between items-center">
+                                            <span className="font-medium text-gray-900">{record.label}</span>
+                                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[record.status]}`}>
+                                                {record.status.toUpperCase()}
+                                            </span>
+                                        </div>
+                                        {record.steps > 1 && (
+                                            <div className="text-gray-500">
+                                                {record.title}: step {record.step} of {record.steps}
+                                            </div>
+                                        )}
+                                        <div className="flex justify-between text-gray-500">
+                                            <TransactionLink chainId={chainId} hash={record.hash} />
+                                            <span>{formatTimestamp(record.submittedAt)}</span>
+                                        </div>
+                                        {record.replacedBy && (
+                                            <div className="text-gray-500">
+                                                Replaced by <TransactionLink chainId={chainId} hash={record.replacedBy} />
+                                            </div>
+                                        )}
+                                    </div>
+                                ))
+                            )}
+                        </div>
+
+                        {transactions.length > pendingCount && (
+                            <div className="p-4 border-t">
+                                <button onClick={clearCompleted} className="btn-secondary w-full">
+                                    Clear completed
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default TransactionDrawer;
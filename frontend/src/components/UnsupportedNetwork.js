@@ -0,0 +1,52 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { getSupportedNetworks, getDefaultNetwork } from '../config/contracts';
+
+const UnsupportedNetwork = ({ network, onSwitchNetwork }) => {
+    const supportedNetworks = getSupportedNetworks();
+    const defaultNetwork = getDefaultNetwork();
+
+    return (
+        <div className="max-w-xl mx-auto text-center py-16">
+            <AlertTriangle className="mx-auto h-16 w-16 text-yellow-600 mb-4" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Unsupported Network</h2>
+            <p className="text-gray-600 mb-8">
+                Legos Finance is not deployed on {network.name && network.name !== 'unknown' ? network.name : 'this network'} (chain ID {network.chainId.toString()}).
+                Switch your wallet to one of the supported networks to continue.
+            </p>
+
+            <button
+                onClick={() => onSwitchNetwork(defaultNetwork)}
+                className="btn-primary text-lg px-8 py-3 mb-8"
+            >
+                Switch to {defaultNetwork.name}
+            </button>
+
+            <div className="card text-left">
+                <h3 className="text-sm font-medium text-gray-700 mb-3">Supported Networks</h3>
+                {supportedNetworks.length === 0 ? (
+                    <p className="text-sm text-gray-500">No deployments are configured for this build</p>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {supportedNetworks.map(supported => (
+                            <li key={supported.chainId} className="flex justify-between items-center py-2 text-sm">
+                                <div>
+                                    <span className="font-medium text-gray-900">{supported.name}</span>
+                                    <span className="ml-2 text-gray-500 font-mono">Chain ID {supported.chainId}</span>
+                                </div>
+                                <button
+                                    onClick={() => onSwitchNetwork(supported)}
+                                    className="btn-secondary text-sm px-3 py-1"
+                                >
+                                    Switch
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default UnsupportedNetwork;
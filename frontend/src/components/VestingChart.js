@@ -0,0 +1,83 @@
+import React from 'react';
+import { formatUnits, formatTimestamp, calculateVestedTotal } from '../config/contracts';
+
+const WIDTH = 400;
+const HEIGHT = 160;
+const PADDING = 24;
+const SAMPLES = 48;
+
+const VestingChart = ({ schedule, now }) => {
+    const start = Number(schedule.startTime);
+    const end = start + Number(schedule.vestingDuration);
+    const cliffEnd = start + Number(schedule.cliffDuration);
+    const total = parseFloat(formatUnits(schedule.totalAmount, 18));
+
+    if (end <= start || total === 0) return null;
+
+    const x = (timestamp) => PADDING + ((timestamp - start) / (end - start)) * (WIDTH - 2 * PADDING);
+    const y = (amount) => HEIGHT - PADDING - (amount / total) * (HEIGHT - 2 * PADDING);
+
+    // Sample the curve, adding both sides of the cliff so the jump renders sharply
+    const timestamps = Array.from({ length: SAMPLES + 1 }, (_, i) => start + ((end - start) * i) / SAMPLES);
+    if (cliffEnd > start && cliffEnd < end) {
+        timestamps.push(cliffEnd - 1, cliffEnd);
+    }
+    timestamps.sort((a, b) => a - b);
+
+    const points = timestamps
+        .map(timestamp => {
+            const vested = parseFloat(formatUnits(calculateVestedTotal(schedule, timestamp), 18));
+            return `${x(timestamp).toFixed(1)},${y(vested).toFixed(1)}`;
+        })
+        .join(' ');
+
+    const released = parseFloat(formatUnits(schedule.releasedAmount, 18));
+    const clampedNow = Math.min(Math.max(now, start), end);
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-40">
+                {/* Axes */}
+                <line x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING} stroke="#d1d5db" />
+                <line x1={PADDING} y1={PADDING} x2={PADDING} y2={HEIGHT - PADDING} stroke="#d1d5db" />
+
+                {/* Claimed level */}
+                {released > 0 && (
+                    <line
+                        x1={PADDING}
+                        y1={y(released)}
+                        x2={WIDTH - PADDING}
+                        y2={y(released)}
+                        stroke="#10b981"
+                        strokeDasharray="4 4"
+                    />
+                )}
+
+                {/* Vesting curve */}
+                <polyline points={points} fill="none" stroke="#2563eb" strokeWidth="2" />
+
+                {/* Now marker */}
+                <line
+                    x1={x(clampedNow)}
+                    y1={PADDING}
+                    x2={x(clampedNow)}
+                    y2={HEIGHT - PADDING}
+                    stroke="#f59e0b"
+                    strokeDasharray="2 3"
+                />
+            </svg>
+
+            <div className="flex justify-between text-xs text-gray-500">
+                <span>{formatTimestamp(schedule.startTime)}</span>
+                <span>{formatTimestamp(end)}</span>
+            </div>
+            <div className="flex space-x-4 mt-2 text-xs text-gray-600">
+                <span className="flex items-center"><span className="w-3 h-0.5 bg-blue-600 mr-1" />Vested</span>
+                <span className="flex items-center"><span className="w-3 h-0.5 bg-green-500 mr-1" />Claimed</span>
+                <span className="flex items-center"><span className="w-3 h-0.5 bg-yellow-500 mr-1" />Now</span>
+            </div>
+        </div>
+    );
+};
+
+export default VestingChart;
@@ -0,0 +1,386 @@
+import React, { useState, useEffect } from 'react';
+import { Hourglass, UserPlus, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import VestingChart from './VestingChart';
+import { useTransactions } from '../hooks/useTransactions';
+import {
+    parseUnits,
+    formatCurrency,
+    formatAddress,
+    formatTimestamp
+} from '../config/contracts';
+
+const DAY = 24 * 60 * 60;
+
+const INITIAL_SCHEDULE_FORM = {
+    beneficiary: '',
+    amount: '',
+    startDate: '',
+    cliffDays: '',
+    durationDays: ''
+};
+
+const VestingDashboard = ({ contracts, account, onClaimed }) => {
+    const { runTransaction } = useTransactions();
+    const [schedule, setSchedule] = useState(null);
+    const [claimable, setClaimable] = useState(0n);
+    const [isOwner, setIsOwner] = useState(false);
+    const [beneficiaries, setBeneficiaries] = useState([]);
+    const [scheduleForm, setScheduleForm] = useState(INITIAL_SCHEDULE_FORM);
+    const [loading, setLoading] = useState(false);
+    const [claiming, setClaiming] = useState(false);
+    const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+    useEffect(() => {
+        if (contracts.legosToken && account) {
+            loadVestingData();
+        }
+    }, [contracts, account]);
+
+    // Refresh the "now" marker on the vesting curve
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const loadSchedule = async (beneficiary) => {
+        const [info, vested] = await Promise.all([
+            contracts.legosToken.vestingSchedules(beneficiary),
+            contracts.legosToken.getVestedAmount(beneficiary)
+        ]);
+
+        return {
+            beneficiary,
+            totalAmount: info.totalAmount,
+            releasedAmount: info.releasedAmount,
+            startTime: info.startTime,
+            cliffDuration: info.cliffDuration,
+            vestingDuration: info.vestingDuration,
+            revoked: info.revoked,
+            claimable: vested
+        };
+    };
+
+    const loadVestingData = async () => {
+        setLoading(true);
+
+        try {
+            const token = contracts.legosToken;
+            const [ownSchedule, owner] = await Promise.all([
+                loadSchedule(account),
+                token.owner()
+            ]);
+
+            setSchedule(ownSchedule.totalAmount > 0n ? ownSchedule : null);
+            setClaimable(ownSchedule.claimable);
+            setNow(Math.floor(Date.now() / 1000));
+
+            const ownerView = owner.toLowerCase() === account.toLowerCase();
+            setIsOwner(ownerView);
+
+            if (ownerView) {
+                const addresses = await token.getVestingBeneficiaries();
+                setBeneficiaries(await Promise.all(addresses.map(loadSchedule)));
+            }
+        } catch (error) {
+            console.error('Error loading vesting data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleClaim = async () => {
+        setClaiming(true);
+
+        try {
+            await runTransaction({
+                title: 'Claim vested tokens',
+                send: () => contracts.legosToken.claimVestedTokens()
+            });
+
+            toast.success('Vested tokens claimed!');
+            loadVestingData();
+            onClaimed();
+        } catch (error) {
+            console.error('Error claiming vested tokens:', error);
+            toast.error(error.message || 'Failed to claim vested tokens');
+        } finally {
+            setClaiming(false);
+        }
+    };
+
+    const handleCreateSchedule = async () => {
+        const { beneficiary, amount, startDate, cliffDays, durationDays } = scheduleForm;
+        if (!beneficiary || !amount || !startDate || !durationDays) {
+            toast.error('Please fill in all schedule fields');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const startTime = Math.floor(new Date(startDate).getTime() / 1000);
+            await runTransaction({
+                title: `Create vesting schedule for ${formatAddress(beneficiary)}`,
+                send: () => contracts.legosToken.createVestingSchedule(
+                    beneficiary,
+                    parseUnits(amount, 18),
+                    startTime,
+                    Math.round(parseFloat(cliffDays || '0') * DAY),
+                    Math.round(parseFloat(durationDays) * DAY)
+                )
+            });
+
+            toast.success(`Vesting schedule created for ${formatAddress(beneficiary)}`);
+            setScheduleForm(INITIAL_SCHEDULE_FORM);
+            loadVestingData();
+        } catch (error) {
+            console.error('Error creating vesting schedule:', error);
+            toast.error(error.reason || error.message || 'Failed to create vesting schedule');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRevoke = async (beneficiary) => {
+        if (!window.confirm(`Revoke vesting for ${beneficiary}? Unvested tokens return to the treasury.`)) {
+            return;
+        }
+
+        try {
+            await runTransaction({
+                title: `Revoke vesting for ${formatAddress(beneficiary)}`,
+                send: () => contracts.legosToken.revokeVesting(beneficiary)
+            });
+
+            toast.success(`Vesting revoked for ${formatAddress(beneficiary)}`);
+            loadVestingData();
+        } catch (error) {
+            console.error('Error revoking vesting:', error);
+            toast.error(error.reason || error.message || 'Failed to revoke vesting');
+        }
+    };
+
+    const getScheduleStatus = (entry) => {
+        if (entry.revoked) return { label: 'REVOKED', color: 'bg-red-100 text-red-800' };
+        if (entry.releasedAmount >= entry.totalAmount) return { label: 'COMPLETED', color: 'bg-green-100 text-green-800' };
+        if (now < Number(entry.startTime + entry.cliffDuration)) return { label: 'CLIFF', color: 'bg-gray-100 text-gray-800' };
+        return { label: 'VESTING', color: 'bg-blue-100 text-blue-800' };
+    };
+
+    const columns = ['Beneficiary', 'Total', 'Claimed', 'Claimable', 'Cliff Ends', 'Vesting Ends', 'Status', 'Actions'];
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-gray-900">Vesting</h2>
+                <button
+                    onClick={loadVestingData}
+                    disabled={loading}
+                    className="btn-secondary flex items-center space-x-2"
+                >
+                    <RefreshCw className="h-4 w-4" />
+                    <span>Refresh</span>
+                </button>
+            </div>
+
+            {/* Beneficiary View */}
+            <div className="card">
+                <h3 className="text-lg font-semibold mb-4 flex items-center">
+                    <Hourglass className="h-5 w-5 text-blue-600 mr-2" />
+                    Your Vesting Schedule
+                </h3>
+
+                {!schedule ? (
+                    <div className="text-center py-4 text-gray-500">
+                        {loading ? <span className="loading-dots">Loading schedule</span> : 'No vesting schedule for this account'}
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div className="space-y-3">
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">Start</span>
+                                <span className="font-semibold">{formatTimestamp(schedule.startTime)}</span>
+                            </div>
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">Cliff Ends</span>
+                                <span className="font-semibold">{formatTimestamp(schedule.startTime + schedule.cliffDuration)}</span>
+                            </div>
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">Fully Vested</span>
+                                <span className="font-semibold">{formatTimestamp(schedule.startTime + schedule.vestingDuration)}</span>
+                            </div>
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">Total</span>
+                                <span className="font-semibold">{formatCurrency(schedule.totalAmount, 18, 'LEGOS')}</span>
+                            </div>
+                            <div className="flex justify-between">
+                                <span className="text-gray-600">Claimed</span>
+                                <span className="font-semibold">{formatCurrency(schedule.releasedAmount, 18, 'LEGOS')}</span>
+                            </div>
+                            <div className="flex justify-between pt-2 border-t">
+                                <span className="text-gray-600">Claimable Now</span>
+                                <span className="font-semibold text-green-600">{formatCurrency(claimable, 18, 'LEGOS')}</span>
+                            </div>
+
+                            {schedule.revoked && (
+                                <p className="text-sm text-red-600">This schedule was revoked by the token owner.</p>
+                            )}
+
+                            <button
+                                onClick={handleClaim}
+                                disabled={claiming || claimable === 0n}
+                                className="btn-primary w-full"
+                            >
+                                {claiming ? <span className="loading-dots">Claiming</span> : 'Claim Vested Tokens'}
+                            </button>
+                        </div>
+
+                        <VestingChart schedule={schedule} now={now} />
+                    </div>
+                )}
+            </div>
+
+            {/* Admin View */}
+            {isOwner && (
+                <>
+                    <div className="card">
+                        <h3 className="text-lg font-semibold mb-4">All Beneficiaries</h3>
+
+                        {beneficiaries.length === 0 ? (
+                            <div className="text-center py-4 text-gray-500">No vesting schedules yet</div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            {columns.map((column) => (
+                                                <th key={column} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                    {column}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {beneficiaries.map((entry) => {
+                                            const status = getScheduleStatus(entry);
+
+                                            return (
+                                                <tr key={entry.beneficiary}>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                                                        {formatAddress(entry.beneficiary)}
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                        {formatCurrency(entry.totalAmount)}
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                        {formatCurrency(entry.releasedAmount)}
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                        {formatCurrency(entry.claimable)}
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                        {formatTimestamp(entry.startTime + entry.cliffDuration)}
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                        {formatTimestamp(entry.startTime + entry.vestingDuration)}
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap">
+                                                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${status.color}`}>
+                                                            {status.label}
+                                                        </span>
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                                                        {!entry.revoked && (
+                                                            <button
+                                                                onClick={() => handleRevoke(entry.beneficiary)}
+                                                                className="text-red-600 hover:text-red-900 font-medium"
+                                                            >
+                                                                Revoke
+                                                            </button>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="card">
+                        <h3 className="text-lg font-semibold mb-4 flex items-center">
+                            <UserPlus className="h-5 w-5 text-green-600 mr-2" />
+                            Create Vesting Schedule
+                        </h3>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Beneficiary</label>
+                                <input
+                                    type="text"
+                                    value={scheduleForm.beneficiary}
+                                    onChange={(e) => setScheduleForm({ ...scheduleForm, beneficiary: e.target.value })}
+                                    className="input-field w-full"
+                                    placeholder="0x..."
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Amount (LEGOS)</label>
+                                <input
+                                    type="number"
+                                    value={scheduleForm.amount}
+                                    onChange={(e) => setScheduleForm({ ...scheduleForm, amount: e.target.value })}
+                                    className="input-field w-full"
+                                    placeholder="0.0"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Start</label>
+                                <input
+                                    type="datetime-local"
+                                    value={scheduleForm.startDate}
+                                    onChange={(e) => setScheduleForm({ ...scheduleForm, startDate: e.target.value })}
+                                    className="input-field w-full"
+                                />
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Cliff (days)</label>
+                                    <input
+                                        type="number"
+                                        value={scheduleForm.cliffDays}
+                                        onChange={(e) => setScheduleForm({ ...scheduleForm, cliffDays: e.target.value })}
+                                        className="input-field w-full"
+                                        placeholder="365"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Duration (days)</label>
+                                    <input
+                                        type="number"
+                                        value={scheduleForm.durationDays}
+                                        onChange={(e) => setScheduleForm({ ...scheduleForm, durationDays: e.target.value })}
+                                        className="input-field w-full"
+                                        placeholder="1460"
+                                    />
+                                </div>
+                            </div>
+                        </div>
+
+                        <button
+                            onClick={handleCreateSchedule}
+                            disabled={loading}
+                            className="btn-primary w-full mt-4"
+                        >
+                            {loading ? <span className="loading-dots">Submitting</span> : 'Create Schedule'}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default VestingDashboard;
@@ -1,8 +1,8 @@
 import React from 'react';
-import { Wallet, Power, ChevronDown } from 'lucide-react';
-import { formatAddress } from '../config/contracts';
+import { Wallet, Power, ChevronDown, AlertTriangle } from 'lucide-react';
+import { formatAddress, getNetworkByChainId, getDefaultNetwork } from '../config/contracts';
 
-const WalletConnection = ({ account, network, onConnect, onDisconnect, loading }) => {
+const WalletConnection = ({ account, network, supported, onSwitchNetwork, onConnect, onDisconnect, loading }) => {
     if (!account) {
         return (
             <button
@@ -19,13 +19,25 @@ const WalletConnection = ({ account, network, onConnect, onDisconnect, loading }
     return (
         <div className="flex items-center space-x-3">
             {/* Network Indicator */}
-            {network && (
+            {network && supported && (
                 <div className="flex items-center space-x-2 bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm">
                     <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                    <span>{network.name}</span>
+                    <span>{(getNetworkByChainId(network.chainId) || network).name}</span>
                 </div>
             )}
 
+            {/* Wrong network: offer the configured deployment's chain */}
+            {network && !supported && (
+                <button
+                    onClick={() => onSwitchNetwork(getDefaultNetwork())}
+                    className="flex items-center space-x-2 bg-red-100 text-red-800 hover:bg-red-200 px-3 py-1 rounded-full text-sm"
+                    title={`Chain ${network.chainId} has no Legos Finance deployment`}
+                >
+                    <AlertTriangle className="h-4 w-4" />
+                    <span>Switch to {getDefaultNetwork().name}</span>
+                </button>
+            )}
+
             {/* Account Info */}
             <div className="flex items-center space-x-2 bg-gray-100 rounded-lg px-3 py-2">
                 <Wallet className="h-4 w-4 text-gray-600" />
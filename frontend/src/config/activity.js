@@ -0,0 +1,213 @@
+// Shared by the Portfolio export and scripts/export-activity.js, so it stays
+// CommonJS and only depends on ethers and ./events, which resolve from both
+const { ethers } = require('ethers');
+const { queryFilterPaginated } = require('./events');
+
+// Columns of every export, in order
+const ACTIVITY_COLUMNS = [
+    'timestamp',
+    'block',
+    'transactionHash',
+    'category',
+    'action',
+    'reference',
+    'role',
+    'asset',
+    'amount',
+    'priceUsd',
+    'valueUsd'
+];
+
+const comparePosition = (a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index);
+
+/**
+ * Gathers every protocol event of an account between two unix timestamps
+ * (inclusive, either may be null) as export rows: pool deposits and
+ * withdrawals, orders placed, filled and cancelled, loans created, repaid,
+ * liquidated and defaulted, staking, and claimed rewards. Amounts are in
+ * display units, and USD values use the last PriceUpdated before each event,
+ * or the asset's price at fromBlock when none is in range.
+ * `assets` lists { address, symbol, decimals, pool }, with pool a contract or null.
+ */
+const collectActivity = async ({ contracts, assets, account, fromBlock = 0, from = null, to = null }) => {
+    const { clob, riskManager, legosToken } = contracts;
+    const provider = clob.runner.provider;
+    const toBlock = await provider.getBlockNumber();
+    const query = (contract, filter) => queryFilterPaginated(contract, filter, fromBlock, toBlock);
+
+    const legosAddress = await legosToken.getAddress();
+    // Liquidator rewards are paid in the native currency, which has no price feed
+    const resolveToken = (address) => {
+        if (address === ethers.ZeroAddress) return { symbol: 'ETH', decimals: 18 };
+        if (address.toLowerCase() === legosAddress.toLowerCase()) return { symbol: 'LEGOS', decimals: 18 };
+        return assets.find(asset => asset.address.toLowerCase() === address.toLowerCase()) || { symbol: '', decimals: 18 };
+    };
+
+    const [placed, cancelled, borrowed, lent] = await Promise.all([
+        query(clob, clob.filters.OrderPlaced(null, account)),
+        query(clob, clob.filters.OrderCancelled(null, account)),
+        query(clob, clob.filters.LoanCreated(null, account)),
+        query(clob, clob.filters.LoanCreated(null, null, account))
+    ]);
+
+    const orderSides = new Map(); // orderId => 'lend' or 'borrow'
+    placed.forEach(event => orderSides.set(event.args.orderId.toString(), Number(event.args.orderType) === 0 ? 'lend' : 'borrow'));
+
+    const loanRoles = new Map(); // loanId => 'borrower', 'lender' or both
+    [...borrowed, ...lent].forEach(event => {
+        const loanId = event.args.loanId.toString();
+        const roles = [event.args.borrower, event.args.lender]
+            .map((address, index) => (address.toLowerCase() === account.toLowerCase() ? ['borrower', 'lender'][index] : null))
+            .filter(Boolean);
+        loanRoles.set(loanId, roles.join('/'));
+    });
+
+    const ownOrder = (event, field = 'orderId') => orderSides.has(event.args[field].toString());
+    const ownLoan = (event) => loanRoles.has(event.args.loanId.toString());
+
+    const [matched, immediateCancels, repaid, defaulted, liquidations, prices, staked, unstaked, stakingRewards, liquidatorRewards, pools] = await Promise.all([
+        query(clob, clob.filters.OrderMatched()),
+        query(clob, clob.filters.ImmediateOrderCancelled()),
+        query(clob, clob.filters.LoanRepaid()),
+        query(clob, clob.filters.LoanDefaulted()),
+        query(riskManager, riskManager.filters.LiquidationTriggered()),
+        query(riskManager, riskManager.filters.PriceUpdated()),
+        query(legosToken, legosToken.filters.Staked(account)),
+        query(legosToken, legosToken.filters.Unstaked(account)),
+        query(legosToken, legosToken.filters.StakingRewardsClaimed(account)),
+        query(riskManager, riskManager.filters.LiquidatorRewardClaimed(account)),
+        Promise.all(assets.filter(asset => asset.pool).map(async (asset) => {
+            const [deposits, withdrawals] = await Promise.all([
+                query(asset.pool, asset.pool.filters.Deposit(account)),
+                query(asset.pool, asset.pool.filters.Withdraw(account))
+            ]);
+            return [...deposits, ...withdrawals].map(event => ({ event, asset: asset.address }));
+        }))
+    ]);
+
+    // Order and loan assets are read once per id
+    const orderAssets = new Map();
+    const loanAssets = new Map();
+    const orderAsset = (orderId) => {
+        if (!orderAssets.has(orderId)) orderAssets.set(orderId, clob.orderAssets(orderId));
+        return orderAssets.get(orderId);
+    };
+    const loanAsset = (loanId, collateral = false) => {
+        if (!loanAssets.has(loanId)) {
+            loanAssets.set(loanId, Promise.all([clob.loanAssets(loanId), clob.loans(loanId)])
+                .then(([asset, loan]) => ({ asset, collateral: loan.collateralToken })));
+        }
+        return loanAssets.get(loanId).then(entry => (collateral ? entry.collateral : entry.asset));
+    };
+
+    const entry = (event, category, action, asset, amount, reference = '', role = '') => ({ event, category, action, asset, amount, reference, role });
+    const orderEntry = async (event, action, amount, field = 'orderId') => {
+        const orderId = event.args[field].toString();
+        return entry(event, 'order', action, await orderAsset(orderId), amount, orderId, orderSides.get(orderId));
+    };
+    const loanEntry = async (event, action, amount, collateral = false) => {
+        const loanId = event.args.loanId.toString();
+        return entry(event, 'loan', action, await loanAsset(loanId, collateral), amount, loanId, loanRoles.get(loanId));
+    };
+
+    // A self-matched loan is created once but found by both filters
+    const created = [...new Map([...borrowed, ...lent].map(event => [event.args.loanId.toString(), event])).values()];
+
+    const entries = await Promise.all([
+        ...pools.flat().map(({ event, asset }) => entry(event, 'pool', event.eventName, asset, event.args.amount)),
+        ...placed.map(event => orderEntry(event, 'OrderPlaced', event.args.amount)),
+        ...[...cancelled, ...immediateCancels.filter(event => ownOrder(event))]
+            .map(event => orderEntry(event, 'OrderCancelled', event.args.unfilledAmount)),
+        // A self-matched fill shows once for each side
+        ...matched.flatMap(event => ['lendOrderId', 'borrowOrderId']
+            .filter(field => ownOrder(event, field))
+            .map(field => orderEntry(event, 'OrderFilled', event.args.amount, field))),
+        ...created.map(event => loanEntry(event, 'LoanCreated', event.args.amount)),
+        ...repaid.filter(ownLoan).map(event => loanEntry(event, 'LoanRepaid', event.args.amount)),
+        // A zero liquidator only flags the loan, nothing changes hands
+        ...liquidations.filter(event => ownLoan(event) && event.args.liquidator !== ethers.ZeroAddress)
+            .map(event => loanEntry(event, 'LoanLiquidated', event.args.debtCovered)),
+        ...defaulted.filter(ownLoan).map(event => loanEntry(event, 'LoanDefaulted', event.args.collateralSeized, true)),
+        ...[...staked, ...unstaked].map(event => entry(event, 'staking', event.eventName, legosAddress, event.args.amount)),
+        ...stakingRewards.map(event => entry(event, 'rewards', 'StakingRewardsClaimed', legosAddress, event.args.amount)),
+        ...liquidatorRewards.map(event => entry(event, 'rewards', 'LiquidatorRewardClaimed', ethers.ZeroAddress, event.args.amount))
+    ]);
+
+    const timestamps = new Map(); // blockNumber => pending block timestamp read
+    await Promise.all(entries.map(({ event }) => {
+        if (!timestamps.has(event.blockNumber)) {
+            timestamps.set(event.blockNumber, provider.getBlock(event.blockNumber).then(block => block.timestamp));
+        }
+        return timestamps.get(event.blockNumber);
+    }));
+
+    // Prices set before fromBlock emit no update in range, so each asset starts from its price then.
+    // Nodes without that block's state leave the asset unpriced until its first update.
+    const startingPrices = new Map(); // lowercased asset => price at fromBlock, or null
+    await Promise.all([...new Set(entries.map(({ asset }) => asset.toLowerCase()))].map(async (asset) => {
+        try {
+            const price = await riskManager.assetPrices(asset, { blockTag: fromBlock });
+            startingPrices.set(asset, price > 0n ? price : null);
+        } catch (error) {
+            startingPrices.set(asset, null);
+        }
+    }));
+
+    const priceHistory = prices.sort(comparePosition);
+    const priceAt = (asset, event) => {
+        let price = startingPrices.get(asset.toLowerCase()) ?? null;
+        for (const update of priceHistory) {
+            if (comparePosition(update, event) > 0) break;
+            if (update.args.asset.toLowerCase() === asset.toLowerCase()) price = update.args.newPrice;
+        }
+        return price;
+    };
+
+    const rows = [];
+    for (const { event, category, action, asset, amount, reference, role } of entries.sort((a, b) => comparePosition(a.event, b.event))) {
+        const timestamp = await timestamps.get(event.blockNumber);
+        if ((from !== null && timestamp < from) || (to !== null && timestamp > to)) continue;
+
+        const { symbol, decimals } = resolveToken(asset);
+        const price = priceAt(asset, event);
+        rows.push({
+            timestamp: new Date(timestamp * 1000).toISOString(),
+            block: event.blockNumber,
+            transactionHash: event.transactionHash,
+            category,
+            action,
+            reference,
+            role,
+            asset: symbol,
+            amount: ethers.formatUnits(amount, decimals),
+            priceUsd: price === null ? '' : ethers.formatUnits(price, 18),
+            valueUsd: price === null ? '' : ethers.formatUnits((amount * price) / ethers.parseUnits('1', decimals), 18)
+        });
+    }
+    return rows;
+};
+
+const escapeCsv = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const activityToCsv = (rows) => [
+    ACTIVITY_COLUMNS.join(','),
+    ...rows.map(row => ACTIVITY_COLUMNS.map(column => escapeCsv(row[column])).join(','))
+].join('\n') + '\n';
+
+const activityToJson = ({ account, from, to, rows }) => JSON.stringify({
+    account,
+    from: from === null ? null : new Date(from * 1000).toISOString(),
+    to: to === null ? null : new Date(to * 1000).toISOString(),
+    exportedAt: new Date().toISOString(),
+    activity: rows
+}, null, 2) + '\n';
+
+module.exports = {
+    ACTIVITY_COLUMNS,
+    collectActivity,
+    activityToCsv,
+    activityToJson
+};
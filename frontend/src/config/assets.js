@@ -0,0 +1,95 @@
+import { ethers } from 'ethers';
+import { ERC20_ABI, LENDING_POOL_ABI, queryFilterPaginated } from './contracts';
+
+// Manifest entries that are protocol contracts rather than listed tokens
+const CORE_CONTRACT_KEYS = ['legosToken', 'timelock', 'governance', 'clob', 'riskManager'];
+const isPoolKey = (key) => key.endsWith('Pool');
+
+/**
+ * Builds the asset registry: tokens named in the deployment manifest, the
+ * underlying assets of its lending pools, and anything listed on-chain
+ * through LegosGovernance.listAsset or LegosRiskManager.setAssetRiskParameters.
+ * Each entry carries token metadata, risk parameters and its pool, if any.
+ * `manifest` is the deployment resolved for the connected chain.
+ */
+export const loadAssetRegistry = async (contracts, signer, manifest) => {
+    const discovered = new Map(); // lowercase address => { address, key, poolAddress }
+
+    const addAsset = (address, fields = {}) => {
+        const id = address.toLowerCase();
+        const current = discovered.get(id) || { address: ethers.getAddress(address) };
+        discovered.set(id, {
+            ...current,
+            key: current.key || fields.key,
+            poolAddress: current.poolAddress || fields.poolAddress
+        });
+    };
+
+    // Explicit asset list written by the deploy script
+    (manifest.assets || []).forEach(asset => addAsset(asset.address, { key: asset.key, poolAddress: asset.pool }));
+
+    // Token entries keep their manifest key, so existing deployments resolve without an assets list
+    Object.entries(manifest.contracts)
+        .filter(([key]) => !CORE_CONTRACT_KEYS.includes(key) && !isPoolKey(key))
+        .forEach(([key, address]) => addAsset(address, { key }));
+
+    await Promise.all(Object.entries(manifest.contracts)
+        .filter(([key]) => isPoolKey(key))
+        .map(async ([key, poolAddress]) => {
+            try {
+                const underlying = await new ethers.Contract(poolAddress, LENDING_POOL_ABI, signer).underlyingAsset();
+                addAsset(underlying, { poolAddress });
+            } catch (error) {
+                console.warn(`Could not resolve the underlying asset of ${key}:`, error.message);
+            }
+        }));
+
+    // A failed scan only hides on-chain listings, so the registry still loads without them
+    const fromBlock = Number(manifest.blockNumber || 0);
+    const toBlock = await contracts.riskManager.runner.provider.getBlockNumber();
+    const scan = (contract, eventName) => queryFilterPaginated(contract, contract.filters[eventName](), fromBlock, toBlock)
+        .catch((error) => {
+            console.warn(`Could not scan ${eventName} events, assets listed that way are missing:`, error.message);
+            return [];
+        });
+    const [listed, configured] = await Promise.all([
+        scan(contracts.governance, 'AssetListed'),
+        scan(contracts.riskManager, 'RiskParametersUpdated')
+    ]);
+    [...listed, ...configured].forEach(event => addAsset(event.args.asset));
+
+    const entries = await Promise.all([...discovered.values()].map(async (entry) => {
+        const contract = new ethers.Contract(entry.address, ERC20_ABI, signer);
+
+        try {
+            const [symbol, decimals, riskParams] = await Promise.all([
+                contract.symbol(),
+                contract.decimals(),
+                contracts.riskManager.assetRiskParams(entry.address)
+            ]);
+
+            return {
+                key: entry.key || symbol.toLowerCase(),
+                address: entry.address,
+                symbol,
+                decimals: Number(decimals),
+                contract,
+                pool: entry.poolAddress ? new ethers.Contract(entry.poolAddress, LENDING_POOL_ABI, signer) : null,
+                riskParams: {
+                    maxLTV: riskParams.maxLTV,
+                    liquidationThreshold: riskParams.liquidationThreshold,
+                    liquidationPenalty: riskParams.liquidationPenalty,
+                    minCollateralRatio: riskParams.minCollateralRatio,
+                    isEnabled: riskParams.isEnabled
+                }
+            };
+        } catch (error) {
+            console.warn(`Skipping asset ${entry.address}, metadata unavailable:`, error.message);
+            return null;
+        }
+    }));
+
+    return entries.filter(Boolean);
+};
+
+export const getAsset = (assets, key) => assets.find(asset => asset.key === key);
@@ -1,69 +1,26 @@
 import { ethers } from 'ethers';
+import LegosTokenAbi from '../generated/abis/LegosToken.json';
+import LegosCLOBAbi from '../generated/abis/LegosCLOB.json';
+import LegosLendingPoolAbi from '../generated/abis/LegosLendingPool.json';
+import LegosRiskManagerAbi from '../generated/abis/LegosRiskManager.json';
+import LegosGovernanceAbi from '../generated/abis/LegosGovernance.json';
+import TimelockControllerAbi from '../generated/abis/TimelockController.json';
+import ERC20Abi from '../generated/abis/ERC20.json';
+import ERC20PermitAbi from '../generated/abis/ERC20Permit.json';
+import DEPLOYMENTS from '../generated/deployments.json';
 
-// Contract ABIs (simplified for demo - in production, import full ABIs)
-export const LEGOS_TOKEN_ABI = [
-    "function balanceOf(address owner) view returns (uint256)",
-    "function transfer(address to, uint256 amount) returns (bool)",
-    "function approve(address spender, uint256 amount) returns (bool)",
-    "function allowance(address owner, address spender) view returns (uint256)",
-    "function stake(uint256 amount)",
-    "function unstake(uint256 amount)",
-    "function getVotingPower(address account) view returns (uint256)",
-    "function stakingInfo(address user) view returns (tuple(uint256,uint256,uint256,uint256))",
-    "event Transfer(address indexed from, address indexed to, uint256 value)",
-    "event Staked(address indexed user, uint256 amount)"
-];
-
-export const CLOB_ABI = [
-    "function placeLendOrder(address asset, uint256 amount, uint256 interestRate, uint256 duration, uint256 maxLTV, address collateralToken, uint256 expiry) returns (uint256)",
-    "function placeBorrowOrder(address asset, uint256 amount, uint256 interestRate, uint256 duration, address collateralToken, uint256 collateralAmount, uint256 expiry) returns (uint256)",
-    "function cancelOrder(uint256 orderId)",
-    "function getBestLendingRate(address asset) view returns (uint256)",
-    "function getBestBorrowingRate(address asset) view returns (uint256)",
-    "function getOrderBookDepth(address asset, bool isLend) view returns (uint256[], uint256[])",
-    "function getUserOrders(address user) view returns (uint256[])",
-    "function orders(uint256 orderId) view returns (tuple(uint256,address,uint8,uint8,uint256,uint256,uint256,uint256,uint256,address,uint256,uint256,uint256))",
-    "event OrderPlaced(uint256 indexed orderId, address indexed user, uint8 orderType, uint256 amount)",
-    "event OrderMatched(uint256 indexed lendOrderId, uint256 indexed borrowOrderId, uint256 amount)"
-];
-
-export const LENDING_POOL_ABI = [
-    "function deposit(uint256 amount) returns (uint256)",
-    "function withdraw(uint256 shares) returns (uint256)",
-    "function balanceOf(address account) view returns (uint256)",
-    "function totalSupply() view returns (uint256)",
-    "function getSupplyAPY() view returns (uint256)",
-    "function getBorrowAPY() view returns (uint256)",
-    "function getAvailableLiquidity() view returns (uint256)",
-    "function getTotalPoolAssets() view returns (uint256)",
-    "event Deposit(address indexed user, uint256 amount, uint256 shares)",
-    "event Withdraw(address indexed user, uint256 amount, uint256 shares)"
-];
-
-export const RISK_MANAGER_ABI = [
-    "function calculateHealthFactor(uint256 loanId) view returns (uint256)",
-    "function isLiquidationEligible(uint256 loanId) view returns (bool)",
-    "function getLoansAtRisk() view returns (uint256[])",
-    "function getRiskMetrics() view returns (uint256, uint256, uint256)",
-    "function assetPrices(address asset) view returns (uint256)",
-    "function assetRiskParams(address asset) view returns (tuple(uint256,uint256,uint256,uint256,bool))"
-];
-
-export const ERC20_ABI = [
-    "function name() view returns (string)",
-    "function symbol() view returns (string)",
-    "function decimals() view returns (uint8)",
-    "function totalSupply() view returns (uint256)",
-    "function balanceOf(address owner) view returns (uint256)",
-    "function transfer(address to, uint256 amount) returns (bool)",
-    "function approve(address spender, uint256 amount) returns (bool)",
-    "function allowance(address owner, address spender) view returns (uint256)",
-    "event Transfer(address indexed from, address indexed to, uint256 value)",
-    "event Approval(address indexed owner, address indexed spender, uint256 value)"
-];
+// Full ABIs written by scripts/export-abis.js after every compile; do not edit the generated files
+export const LEGOS_TOKEN_ABI = LegosTokenAbi;
+export const CLOB_ABI = LegosCLOBAbi;
+export const LENDING_POOL_ABI = LegosLendingPoolAbi;
+export const RISK_MANAGER_ABI = LegosRiskManagerAbi;
+export const GOVERNANCE_ABI = LegosGovernanceAbi;
+export const TIMELOCK_ABI = TimelockControllerAbi;
+export const ERC20_ABI = ERC20Abi;
+export const ERC20_PERMIT_ABI = ERC20PermitAbi;
 
 // Default addresses for local development
-// These will be updated when deployment files are available
+// Used on the local chain only, when no deployment manifest was exported
 export const DEFAULT_CONTRACTS = {
     legosToken: "0x9A676e781A523b5d0C0e43731313A708CB607508",
     clob: "0x9A9f2CCfdE556A7E9Ff0848998Aa4a0CFD8863AE",
@@ -75,41 +32,210 @@ export const DEFAULT_CONTRACTS = {
     weth: "0xc6e7DF5E7b4f2A278906862b61205850344D4e7d"
 };
 
-// Load contract addresses from deployment file if available
-export const getContractAddresses = () => {
+// A full manifest in REACT_APP_DEPLOYMENT_<chainId> replaces the deployment file at build time
+const getManifestOverride = (chainId) => {
+    const override = process.env[`REACT_APP_DEPLOYMENT_${chainId}`];
+    if (!override) return null;
+
     try {
-        // Try to load from deployment file
-        const deployment = require('../../../deployments/localhost.json');
-        return deployment.contracts;
+        return JSON.parse(override);
     } catch (error) {
-        console.warn('Could not load deployment file, using defaults:', error.message);
-        return DEFAULT_CONTRACTS;
+        console.error(`REACT_APP_DEPLOYMENT_${chainId} is not valid JSON:`, error.message);
+        return null;
     }
 };
 
+// Load the deployment manifest for a chain, or null when the protocol is not deployed there
+export const getDeploymentManifest = (chainId) => {
+    const network = getNetworkByChainId(chainId);
+    if (!network) return null;
+
+    const manifest = getManifestOverride(network.chainId) || DEPLOYMENTS[network.deployment];
+    if (manifest) return manifest;
+
+    if (network.chainId === NETWORKS.localhost.chainId) {
+        console.warn('No local deployment manifest, using default addresses');
+        return { contracts: DEFAULT_CONTRACTS, blockNumber: 0 };
+    }
+    return null;
+};
+
+export const getContractAddresses = (chainId) => {
+    const manifest = getDeploymentManifest(chainId);
+    return manifest ? manifest.contracts : null;
+};
+
+// First block worth scanning for protocol events
+export const getDeploymentBlock = (chainId) => {
+    const manifest = getDeploymentManifest(chainId);
+    return manifest ? Number(manifest.blockNumber || 0) : 0;
+};
+
+// Lives in ./events so scripts can share it with the app
+export { queryFilterPaginated } from './events';
+
+// Resolve symbol and decimals for a token address from the asset registry
+export const getTokenInfo = (assets, tokenAddress) => {
+    const asset = assets.find(entry => entry.address.toLowerCase() === tokenAddress.toLowerCase());
+    return asset || { symbol: '', decimals: 18, contract: null };
+};
+
 // Helper to get contract instance
-export const getContract = (addressOrName, abi, signerOrProvider) => {
-    const addresses = getContractAddresses();
+export const getContract = (addressOrName, abi, signerOrProvider, chainId) => {
+    const addresses = getContractAddresses(chainId) || {};
     const address = addresses[addressOrName] || addressOrName;
     return new ethers.Contract(address, abi, signerOrProvider);
 };
 
-// Network configuration
+// Network configuration, one entry per network in hardhat.config.js.
+// `deployment` names the exported manifest from deployments/; hardhat and localhost share one.
+// REACT_APP_RPC_URL_<chainId> and REACT_APP_EXPLORER_URL_<chainId> override the defaults.
+const env = process.env;
+
 export const NETWORKS = {
     hardhat: {
         chainId: 31337,
         name: "Hardhat",
-        rpcUrl: "http://localhost:8545",
-        blockExplorer: null
+        rpcUrl: env.REACT_APP_RPC_URL_31337 || "http://localhost:8545",
+        blockExplorer: null,
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        deployment: 'localhost'
     },
     localhost: {
         chainId: 31337,
         name: "Localhost",
-        rpcUrl: "http://localhost:8545",
-        blockExplorer: null
+        rpcUrl: env.REACT_APP_RPC_URL_31337 || "http://localhost:8545",
+        blockExplorer: null,
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        deployment: 'localhost'
+    },
+    sepolia: {
+        chainId: 11155111,
+        name: "Sepolia",
+        rpcUrl: env.REACT_APP_RPC_URL_11155111 || "https://rpc.sepolia.org",
+        blockExplorer: env.REACT_APP_EXPLORER_URL_11155111 || "https://sepolia.etherscan.io",
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        deployment: 'sepolia'
+    },
+    mainnet: {
+        chainId: 1,
+        name: "Ethereum",
+        rpcUrl: env.REACT_APP_RPC_URL_1 || "https://eth.public-rpc.com",
+        blockExplorer: env.REACT_APP_EXPLORER_URL_1 || "https://etherscan.io",
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        deployment: 'mainnet'
+    },
+    riseTestnet: {
+        chainId: 11155931,
+        name: "RISE Testnet",
+        rpcUrl: env.REACT_APP_RPC_URL_11155931 || "https://testnet.riselabs.xyz",
+        blockExplorer: env.REACT_APP_EXPLORER_URL_11155931 || "https://explorer.testnet.riselabs.xyz",
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        deployment: 'riseTestnet'
+    }
+};
+
+// Accepts the bigint chainId returned by ethers as well as numbers and strings
+export const getNetworkByChainId = (chainId) => {
+    if (chainId === undefined || chainId === null) return null;
+    return Object.values(NETWORKS).find(network => network.chainId === Number(chainId)) || null;
+};
+
+// Block explorer page for a transaction, or null on chains without an explorer
+export const getExplorerTxUrl = (chainId, hash) => {
+    const network = getNetworkByChainId(chainId);
+    return network && network.blockExplorer ? `${network.blockExplorer}/tx/${hash}` : null;
+};
+
+// Network the app asks the wallet to use, chosen at build time with REACT_APP_NETWORK
+export const getDefaultNetwork = () => NETWORKS[env.REACT_APP_NETWORK] || NETWORKS.localhost;
+
+// Networks with a resolvable deployment, one entry per chain
+export const getSupportedNetworks = () => {
+    const seen = new Set();
+    return Object.values(NETWORKS).filter(network => {
+        if (seen.has(network.chainId) || !getDeploymentManifest(network.chainId)) return false;
+        seen.add(network.chainId);
+        return true;
+    });
+};
+
+// Asks the wallet to switch chains, adding the chain first if the wallet does not know it
+export const switchToNetwork = async (network) => {
+    const chainId = ethers.toQuantity(network.chainId);
+
+    try {
+        await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+    } catch (error) {
+        // 4902 is EIP-3326's unrecognized chain code; some wallets nest it in the error data
+        const code = error.data?.originalError?.code ?? error.code;
+        if (code !== 4902) throw error;
+
+        await window.ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId,
+                chainName: network.name,
+                nativeCurrency: network.nativeCurrency,
+                rpcUrls: [network.rpcUrl],
+                ...(network.blockExplorer && { blockExplorerUrls: [network.blockExplorer] })
+            }]
+        });
     }
 };
 
+// Mirrors ILegosCore.LoanStatus
+export const LOAN_STATUS = ['ACTIVE', 'REPAID', 'LIQUIDATED', 'DEFAULTED'];
+
+// Mirrors ILegosCore.TimeInForce
+export const TIME_IN_FORCE = [
+    { code: 'GTC', label: 'Good-till-cancelled', description: 'Rests on the book until filled or cancelled' },
+    { code: 'IOC', label: 'Immediate-or-cancel', description: 'Fills what it can now, the rest is refunded' },
+    { code: 'FOK', label: 'Fill-or-kill', description: 'Fills entirely now or the transaction reverts' },
+    { code: 'GTD', label: 'Good-till-date', description: 'Rests on the book until the expiry you choose' }
+];
+
+// Mirrors LegosGovernance.ProposalType
+export const PROPOSAL_TYPES = [
+    'PARAMETER_UPDATE',
+    'ASSET_LISTING',
+    'RISK_PARAMETER_UPDATE',
+    'PROTOCOL_UPGRADE',
+    'TREASURY_MANAGEMENT',
+    'EMERGENCY_ACTION'
+];
+
+// Mirrors IGovernor.ProposalState
+export const PROPOSAL_STATES = [
+    'Pending',
+    'Active',
+    'Canceled',
+    'Defeated',
+    'Succeeded',
+    'Queued',
+    'Expired',
+    'Executed'
+];
+
+export const getProposalStateColor = (state) => {
+    switch (state) {
+        case 'Active': return 'bg-blue-100 text-blue-800';
+        case 'Succeeded':
+        case 'Queued': return 'bg-yellow-100 text-yellow-800';
+        case 'Executed': return 'bg-green-100 text-green-800';
+        case 'Defeated':
+        case 'Canceled':
+        case 'Expired': return 'bg-red-100 text-red-800';
+        default: return 'bg-gray-100 text-gray-800';
+    }
+};
+
+// GovernorCountingSimple.VoteType
+export const VOTE_TYPES = ['Against', 'For', 'Abstain'];
+
+// Health factors are scaled by 1e18; a loan without debt reports type(uint256).max
+export const MAX_UINT256 = ethers.MaxUint256;
+
 // Helper functions
 export const formatUnits = (value, decimals = 18) => {
     return ethers.formatUnits(value || 0, decimals);
@@ -119,6 +245,11 @@ export const parseUnits = (value, decimals = 18) => {
     return ethers.parseUnits(value.toString(), decimals);
 };
 
+// USD value scaled to 1e18, using the risk manager's 1e18 price feed
+export const toUsdValue = (amount, price, decimals) => {
+    return (ethers.toBigInt(amount) * ethers.toBigInt(price)) / parseUnits('1', decimals);
+};
+
 export const formatAddress = (address) => {
     if (!address) return '';
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -135,4 +266,80 @@ export const formatCurrency = (amount, decimals = 18, symbol = '') => {
         maximumFractionDigits: 2
     });
     return symbol ? `${formatted} ${symbol}` : formatted;
-}; 
\ No newline at end of file
+};
+
+export const formatHealthFactor = (healthFactor) => {
+    if (healthFactor === undefined || healthFactor === null) return '-';
+    if (ethers.toBigInt(healthFactor) === MAX_UINT256) return '∞';
+    return parseFloat(formatUnits(healthFactor, 18)).toFixed(2);
+};
+
+export const getHealthFactorColor = (healthFactor) => {
+    if (healthFactor === null || healthFactor === undefined) return 'text-gray-500';
+    const value = parseFloat(formatUnits(healthFactor, 18));
+    if (value < 1) return 'text-red-600';
+    if (value < 1.2) return 'text-yellow-600';
+    return 'text-green-600';
+};
+
+export const formatTimestamp = (timestamp) => {
+    if (!timestamp) return '-';
+    return new Date(Number(timestamp) * 1000).toLocaleString();
+};
+
+export const formatCountdown = (seconds) => {
+    const total = Math.max(0, Math.floor(Number(seconds)));
+    const days = Math.floor(total / 86400);
+    const hours = Math.floor((total % 86400) / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${total % 60}s`;
+};
+
+// Mirrors LegosMath.calculateSimpleInterest (rate in basis points, time in seconds)
+export const calculateSimpleInterest = (principal, rate, timeElapsed) => {
+    const elapsed = ethers.toBigInt(Math.max(0, Math.floor(Number(timeElapsed))));
+    if (!principal || !rate || elapsed === 0n) return 0n;
+    return (ethers.toBigInt(principal) * ethers.toBigInt(rate) * elapsed) / (10000n * 365n * 24n * 60n * 60n);
+};
+
+// Mirrors LegosToken.getVestedAmount before subtracting releasedAmount:
+// nothing vests until the cliff, then vesting is linear from startTime
+export const calculateVestedTotal = (schedule, timestamp) => {
+    const now = ethers.toBigInt(Math.floor(Number(timestamp)));
+    if (now < schedule.startTime + schedule.cliffDuration) return 0n;
+
+    const elapsed = now - schedule.startTime;
+    if (elapsed >= schedule.vestingDuration) return schedule.totalAmount;
+    return (schedule.totalAmount * elapsed) / schedule.vestingDuration;
+};
+
+export { summarizeOrderBook, quoteMarketOrder, quoteDrift } from './orderBook';
+export { calculateHealthFactor, calculateLiquidationPrice } from './healthFactor';
+
+// Mirrors LegosRiskManager.liquidateLoan: caps the request at the close factor, then seizes
+// collateral worth the covered debt plus the penalty at the oracle prices (1e18-scaled).
+// The bonus is the penalty's share of the seized collateral, in collateral units.
+export const estimateLiquidation = ({ totalDebt, collateralAmount, debtToCover, closeFactor, liquidationPenalty, debtPrice, collateralPrice }) => {
+    const maxDebtToCover = (ethers.toBigInt(totalDebt) * ethers.toBigInt(closeFactor)) / 10000n;
+    const requested = ethers.toBigInt(debtToCover) > maxDebtToCover ? maxDebtToCover : ethers.toBigInt(debtToCover);
+    const penaltyFactor = 10000n + ethers.toBigInt(liquidationPenalty);
+    const debtValue = (requested * ethers.toBigInt(debtPrice)) / 10n ** 18n;
+    const price = ethers.toBigInt(collateralPrice);
+
+    let debtCovered = requested;
+    let collateralSeized = price === 0n ? 0n : (debtValue * penaltyFactor * 10n ** 18n) / (10000n * price);
+    if (collateralSeized > ethers.toBigInt(collateralAmount)) {
+        debtCovered = (requested * ethers.toBigInt(collateralAmount)) / collateralSeized;
+        collateralSeized = ethers.toBigInt(collateralAmount);
+    }
+
+    return {
+        maxDebtToCover,
+        debtCovered,
+        collateralSeized,
+        bonus: collateralSeized - (collateralSeized * 10000n) / penaltyFactor
+    };
+};
@@ -0,0 +1,15 @@
+// CommonJS so scripts/ can require it alongside the app
+
+// Splits a log query into fixed block windows so RPC range limits are never hit
+const queryFilterPaginated = async (contract, filter, fromBlock, toBlock, pageSize = 2000) => {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += pageSize) {
+        const end = Math.min(toBlock, start + pageSize - 1);
+        events.push(...await contract.queryFilter(filter, start, end));
+    }
+    return events;
+};
+
+module.exports = {
+    queryFilterPaginated
+};
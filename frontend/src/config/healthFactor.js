@@ -0,0 +1,32 @@
+// Shared by the frontend and the contract tests, which check it against
+// LegosRiskManager, so it stays CommonJS and only depends on ethers
+const { ethers } = require('ethers');
+
+// Mirrors LegosRiskManager.calculateHealthFactor and LegosMath.calculateHealthFactor:
+// the collateral is valued with the 1e18 price feed, the debt is taken as is,
+// and the result is scaled by 1e18, so 1e18 is the liquidation boundary
+const calculateHealthFactor = ({ collateralAmount, collateralPrice, totalDebt, liquidationThreshold }) => {
+    const debt = ethers.toBigInt(totalDebt);
+    if (debt === 0n) return ethers.MaxUint256;
+
+    const collateralValue = (ethers.toBigInt(collateralAmount) * ethers.toBigInt(collateralPrice)) / 10n ** 18n;
+    const adjustedCollateral = (collateralValue * ethers.toBigInt(liquidationThreshold)) / 10000n;
+    return (adjustedCollateral * 10n ** 18n) / debt;
+};
+
+// Collateral price (1e18 scale) at which calculateHealthFactor reaches 1e18, rounded
+// down; null without debt, and MaxUint256 when no price keeps the position healthy
+const calculateLiquidationPrice = ({ collateralAmount, totalDebt, liquidationThreshold }) => {
+    const amount = ethers.toBigInt(collateralAmount);
+    const threshold = ethers.toBigInt(liquidationThreshold);
+    const debt = ethers.toBigInt(totalDebt);
+    if (debt === 0n) return null;
+    if (amount === 0n || threshold === 0n) return ethers.MaxUint256;
+
+    return (debt * 10n ** 18n * 10000n) / (amount * threshold);
+};
+
+module.exports = {
+    calculateHealthFactor,
+    calculateLiquidationPrice
+};
@@ -0,0 +1,91 @@
+// CommonJS so the contract tests can exercise the quotes without a bundler
+const { ethers } = require('ethers');
+
+// Turns getOrderBookDepth output into cumulative levels. Lend orders are offers,
+// best at the lowest rate; borrow orders are bids, best at the highest rate.
+const summarizeOrderBook = (book) => {
+    const toLevels = (side, descending) => {
+        if (!side) return [];
+        const levels = side.rates
+            .map((rate, index) => ({ rate: ethers.toBigInt(rate), amount: ethers.toBigInt(side.amounts[index]) }))
+            .filter(level => level.amount > 0n)
+            .sort((a, b) => (a.rate === b.rate ? 0 : (a.rate < b.rate) !== descending ? -1 : 1));
+
+        let cumulative = 0n;
+        return levels.map(level => {
+            cumulative += level.amount;
+            return { ...level, cumulative };
+        });
+    };
+
+    const lend = toLevels(book?.lend, false);
+    const borrow = toLevels(book?.borrow, true);
+    const bestLend = lend.length > 0 ? lend[0].rate : null;
+    const bestBorrow = borrow.length > 0 ? borrow[0].rate : null;
+    const hasBothSides = bestLend !== null && bestBorrow !== null;
+
+    return {
+        lend,
+        borrow,
+        bestLend,
+        bestBorrow,
+        spread: hasBothSides ? bestLend - bestBorrow : null,
+        midRate: hasBothSides ? (bestLend + bestBorrow) / 2n : null
+    };
+};
+
+// Mirrors LegosCLOB._executeMarketLendOrder and _executeMarketBorrowOrder on a
+// summarized book: a market lend fills borrow bids from the highest rate down,
+// a market borrow fills lend offers from the lowest rate up, each at its level's
+// rate. Whatever the book cannot fill is refunded by the contract.
+const quoteMarketOrder = (summary, amount, isLend) => {
+    const levels = isLend ? summary.borrow : summary.lend;
+    const requested = ethers.toBigInt(amount);
+
+    let remaining = requested;
+    let weightedRate = 0n;
+    const fills = [];
+    for (const level of levels) {
+        if (remaining === 0n) break;
+        const filled = level.amount < remaining ? level.amount : remaining;
+        fills.push({ rate: level.rate, amount: filled });
+        weightedRate += level.rate * filled;
+        remaining -= filled;
+    }
+
+    const filled = requested - remaining;
+    const averageRate = filled > 0n ? weightedRate / filled : null;
+    const bestRate = fills.length > 0 ? fills[0].rate : null;
+
+    return {
+        isLend,
+        fills,
+        requested,
+        filled,
+        remaining,
+        averageRate,
+        bestRate,
+        worstRate: fills.length > 0 ? fills[fills.length - 1].rate : null,
+        // How far the average rate sits from the best rate, in basis points of the best rate
+        priceImpact: bestRate ? ((averageRate > bestRate ? averageRate - bestRate : bestRate - averageRate) * 10000n) / bestRate : 0n
+    };
+};
+
+// How much worse a fresh quote is than a preview, in basis points of the preview's
+// average rate: lenders lose when the rate falls, borrowers when it rises.
+// A quote that fills less than the preview counts as a full move.
+const quoteDrift = (preview, fresh) => {
+    if (fresh.filled < preview.filled) return 10000n;
+    if (!preview.averageRate || !fresh.averageRate) return 0n;
+
+    const adverse = preview.isLend
+        ? preview.averageRate - fresh.averageRate
+        : fresh.averageRate - preview.averageRate;
+    return adverse > 0n ? (adverse * 10000n) / preview.averageRate : 0n;
+};
+
+module.exports = {
+    summarizeOrderBook,
+    quoteMarketOrder,
+    quoteDrift
+};
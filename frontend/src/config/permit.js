@@ -0,0 +1,82 @@
+import { ethers } from 'ethers';
+import { ERC20_PERMIT_ABI } from './contracts';
+
+// Signatures stay valid long enough to cover a slow wallet confirmation
+const PERMIT_VALIDITY_SECONDS = 20 * 60;
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const domainCache = new Map(); // `${chainId}:${lowercase address}` => EIP-712 domain, or null without permit
+
+// Tokens that predate EIP-5267 only expose DOMAIN_SEPARATOR, so the usual
+// version "1" domain is rebuilt from name() and accepted only if it hashes the same
+const resolveDomain = async (token, chainId) => {
+    const verifyingContract = await token.getAddress();
+
+    try {
+        const domain = await token.eip712Domain();
+        return {
+            name: domain.name,
+            version: domain.version,
+            chainId: domain.chainId,
+            verifyingContract: domain.verifyingContract
+        };
+    } catch (error) {
+        // Fall through to DOMAIN_SEPARATOR
+    }
+
+    try {
+        const [name, separator] = await Promise.all([token.name(), token.DOMAIN_SEPARATOR()]);
+        const domain = { name, version: '1', chainId, verifyingContract };
+        return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Signs an EIP-2612 permit letting `spender` pull `amount` of the token from
+ * the signer, in the PermitSignature shape the `...WithPermit` entry points take.
+ * Resolves with null when the token does not support permits, so the caller
+ * falls back to approve. A rejected signature request is rethrown.
+ */
+export const signPermit = async (token, signer, spender, amount) => {
+    const tokenAddress = await token.getAddress();
+    const permitToken = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, signer);
+    const owner = await signer.getAddress();
+    const { chainId } = await signer.provider.getNetwork();
+
+    const cacheKey = `${chainId}:${tokenAddress.toLowerCase()}`;
+    if (!domainCache.has(cacheKey)) {
+        domainCache.set(cacheKey, await resolveDomain(permitToken, chainId));
+    }
+    const domain = domainCache.get(cacheKey);
+    if (!domain) return null;
+
+    let nonce;
+    try {
+        nonce = await permitToken.nonces(owner);
+    } catch (error) {
+        return null;
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + PERMIT_VALIDITY_SECONDS;
+    const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+        owner,
+        spender,
+        value: amount,
+        nonce,
+        deadline
+    });
+
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { value: amount, deadline, v, r, s };
+};
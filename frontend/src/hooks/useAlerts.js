@@ -0,0 +1,284 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { ethers } from 'ethers';
+import toast from 'react-hot-toast';
+import { involvesAccount } from './useProtocolEvents';
+import { formatUnits, formatHealthFactor, parseUnits, getTokenInfo, LOAN_STATUS } from '../config/contracts';
+
+const STORAGE_PREFIX = 'legos:alerts';
+
+export const DEFAULT_ALERT_SETTINGS = {
+    enabled: false,
+    browserNotifications: false,
+    orderFills: true,
+    liquidations: true,
+    warningThreshold: '1.5',
+    criticalThreshold: '1.1'
+};
+
+// Health factor bands, from safest to riskiest
+const LEVELS = ['ok', 'warning', 'critical'];
+
+export const AlertsContext = createContext({
+    settings: DEFAULT_ALERT_SETTINGS,
+    saveSettings: () => { },
+    permission: 'unsupported',
+    requestPermission: async () => 'unsupported'
+});
+
+const storageKey = (account) => `${STORAGE_PREFIX}:${account.toLowerCase()}`;
+
+const loadSettings = (account) => {
+    try {
+        return { ...DEFAULT_ALERT_SETTINGS, ...JSON.parse(localStorage.getItem(storageKey(account))) };
+    } catch (error) {
+        return DEFAULT_ALERT_SETTINGS;
+    }
+};
+
+const notificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+// Returns why the thresholds are unusable, or null when they are fine
+export const validateThresholds = ({ warningThreshold, criticalThreshold }) => {
+    const isDecimal = (value) => /^\d+(\.\d+)?$/.test(value) && parseFloat(value) > 0;
+    if (!isDecimal(warningThreshold) || !isDecimal(criticalThreshold)) {
+        return 'Thresholds must be positive numbers';
+    }
+    if (parseFloat(criticalThreshold) >= parseFloat(warningThreshold)) {
+        return 'The critical threshold must be below the warning threshold';
+    }
+    return null;
+};
+
+const healthFactorLevel = (healthFactor, settings) => {
+    if (healthFactor < parseUnits(settings.criticalThreshold, 18)) return 'critical';
+    if (healthFactor < parseUnits(settings.warningThreshold, 18)) return 'warning';
+    return 'ok';
+};
+
+/**
+ * Opt-in alerts for the connected account: fills of its orders, health
+ * factors of its loans falling through the warning or critical threshold,
+ * and liquidations. Alerts show as toasts, and also as browser notifications
+ * once the user grants permission. Settings persist per account.
+ * Takes the event source's subscribe, since it runs above the events context.
+ */
+export const useAlertEngine = (subscribe, contracts, assets, account) => {
+    const [settings, setSettings] = useState(DEFAULT_ALERT_SETTINGS);
+    const [permission, setPermission] = useState(notificationPermission);
+    const settingsRef = useRef(settings);
+    settingsRef.current = settings;
+
+    useEffect(() => {
+        setSettings(account ? loadSettings(account) : DEFAULT_ALERT_SETTINGS);
+    }, [account]);
+
+    const saveSettings = useCallback((next) => {
+        setSettings(next);
+        if (account) localStorage.setItem(storageKey(account), JSON.stringify(next));
+    }, [account]);
+
+    const requestPermission = useCallback(async () => {
+        if (typeof Notification === 'undefined') return 'unsupported';
+        const result = await Notification.requestPermission();
+        setPermission(result);
+        return result;
+    }, []);
+
+    const notify = useCallback(({ title, body, severity, tag }) => {
+        const message = `${title}: ${body}`;
+        if (severity === 'critical') {
+            toast.error(message, { duration: 8000 });
+        } else if (severity === 'warning') {
+            toast(message, { icon: '⚠️', duration: 6000 });
+        } else {
+            toast.success(message);
+        }
+
+        if (settingsRef.current.browserNotifications && notificationPermission() === 'granted') {
+            try {
+                new Notification(title, { body, tag });
+            } catch (error) {
+                console.error('Error showing notification:', error);
+            }
+        }
+    }, []);
+
+    useEffect(() => {
+        const { clob, riskManager } = contracts;
+        if (!settings.enabled || !clob || !riskManager || !account) return undefined;
+
+        let stopped = false;
+        const orders = new Set(); // ids of the account's orders
+        const loans = new Map(); // loanId => 'borrower' or 'lender', active loans only
+        const levels = new Map(); // loanId => health factor band of a borrowed loan
+
+        const isAccount = (address) => Boolean(address) && address.toLowerCase() === account.toLowerCase();
+
+        // Moves a borrowed loan between bands, alerting only when it gets riskier
+        const updateLevel = (loanId, healthFactor, silent) => {
+            const level = healthFactorLevel(healthFactor, settings);
+            const previous = levels.get(loanId) || 'ok';
+            levels.set(loanId, level);
+            if (silent || LEVELS.indexOf(level) <= LEVELS.indexOf(previous)) return;
+
+            const threshold = level === 'critical' ? settings.criticalThreshold : settings.warningThreshold;
+            notify({
+                title: `Loan #${loanId} health factor ${level}`,
+                body: `Health factor ${formatHealthFactor(healthFactor)} is below ${threshold}. Repay debt to avoid liquidation.`,
+                severity: level,
+                tag: `health-${loanId}`
+            });
+        };
+
+        const trackLoan = async (loanId, silent) => {
+            loans.delete(loanId);
+            levels.delete(loanId);
+
+            const loan = await clob.loans(loanId);
+            if (LOAN_STATUS[Number(loan.status)] !== 'ACTIVE') return;
+
+            if (isAccount(loan.borrower)) {
+                loans.set(loanId, 'borrower');
+                updateLevel(loanId, await riskManager.calculateHealthFactor(loanId), silent);
+            } else if (isAccount(loan.lender)) {
+                loans.set(loanId, 'lender');
+            }
+        };
+
+        const recheckBorrowedLoans = async () => {
+            const borrowed = [...loans].filter(([, role]) => role === 'borrower').map(([loanId]) => loanId);
+            await Promise.all(borrowed.map(async (loanId) => {
+                try {
+                    updateLevel(loanId, await riskManager.calculateHealthFactor(loanId), false);
+                } catch (error) {
+                    console.error(`Error checking health factor of loan #${loanId}:`, error);
+                }
+            }));
+        };
+
+        // Positions open before alerts started set the baseline without alerting
+        const seed = async () => {
+            try {
+                const [orderIds, loanIds] = await Promise.all([clob.getUserOrders(account), clob.getUserLoans(account)]);
+                orders.clear();
+                orderIds.forEach(id => orders.add(id.toString()));
+                await Promise.all([...new Set(loanIds.map(id => id.toString()))].map(id => trackLoan(id, true)));
+            } catch (error) {
+                console.error('Error loading positions for alerts:', error);
+            }
+        };
+
+        const announceFill = async (orderId, match, partialFill) => {
+            const { symbol, decimals } = getTokenInfo(assets, await clob.orderAssets(orderId));
+            const matched = `${formatUnits(match.args.amount, decimals)} ${symbol} matched`;
+
+            notify({
+                title: `Order #${orderId} ${partialFill ? 'partially filled' : 'filled'}`,
+                body: partialFill
+                    ? `${matched}, ${formatUnits(partialFill.args.remaining, decimals)} ${symbol} still open`
+                    : matched,
+                severity: 'info',
+                tag: `order-${orderId}-${match.transactionHash}`
+            });
+        };
+
+        const announceLiquidation = async (loanId, event) => {
+            const loan = await clob.loans(loanId);
+            const asset = getTokenInfo(assets, await clob.loanAssets(loanId));
+            const collateral = getTokenInfo(assets, loan.collateralToken);
+            const role = loans.get(loanId);
+            const covered = `${formatUnits(event.args.debtCovered, asset.decimals)} ${asset.symbol}`;
+
+            // The risk manager's automatic check flags a loan without liquidating it
+            if (event.args.liquidator === ethers.ZeroAddress) {
+                notify({
+                    title: `Loan #${loanId} flagged for liquidation`,
+                    body: `${covered} of debt can be liquidated`,
+                    severity: role === 'borrower' ? 'critical' : 'warning',
+                    tag: `liquidation-${loanId}`
+                });
+                return;
+            }
+
+            notify({
+                title: `Loan #${loanId} liquidated`,
+                body: role === 'borrower'
+                    ? `${covered} of your debt was repaid by seizing ${formatUnits(event.args.collateralSeized, collateral.decimals)} ${collateral.symbol} of collateral`
+                    : `${covered} of the loan you funded was repaid by a liquidator`,
+                severity: role === 'borrower' ? 'critical' : 'info',
+                tag: `liquidation-${loanId}`
+            });
+        };
+
+        const handleBatch = async ({ events, resync }) => {
+            if (resync) {
+                await seed();
+                return;
+            }
+
+            // Matches of the account's own new orders were already reported when it placed them
+            const placements = events.filter(event => event.name === 'OrderPlaced' && isAccount(event.args.user));
+            const ownTransactions = new Set(placements.map(event => event.transactionHash));
+            placements.forEach(event => orders.add(event.args.orderId.toString()));
+
+            for (const event of events) {
+                if (stopped) return;
+
+                try {
+                    if (event.name === 'OrderMatched') {
+                        if (!settings.orderFills || ownTransactions.has(event.transactionHash)) continue;
+
+                        for (const orderId of [event.args.lendOrderId.toString(), event.args.borrowOrderId.toString()]) {
+                            if (!orders.has(orderId)) continue;
+                            const partialFill = events.find(other => other.name === 'OrderPartiallyFilled' &&
+                                other.transactionHash === event.transactionHash &&
+                                other.args.orderId.toString() === orderId);
+                            await announceFill(orderId, event, partialFill);
+                        }
+                    } else if (event.name === 'LoanCreated' && involvesAccount(event, account)) {
+                        await trackLoan(event.args.loanId.toString(), false);
+                    } else if (event.name === 'HealthFactorUpdated') {
+                        const loanId = event.args.loanId.toString();
+                        if (loans.get(loanId) === 'borrower') updateLevel(loanId, event.args.healthFactor, false);
+                    } else if (event.name === 'RiskLoanAdded') {
+                        const loanId = event.args.loanId.toString();
+                        if (loans.get(loanId) === 'borrower') {
+                            updateLevel(loanId, await riskManager.calculateHealthFactor(loanId), false);
+                        }
+                    } else if (event.name === 'LiquidationTriggered') {
+                        const loanId = event.args.loanId.toString();
+                        if (!loans.has(loanId)) continue;
+
+                        if (settings.liquidations) await announceLiquidation(loanId, event);
+                        // A liquidation can close the loan or move it to a safer band
+                        await trackLoan(loanId, true);
+                    } else if (event.name === 'LoanRepaid' || event.name === 'LoanDefaulted') {
+                        const loanId = event.args.loanId.toString();
+                        // Partial repayments raise the health factor, full ones close the loan
+                        if (loans.has(loanId)) await trackLoan(loanId, true);
+                    }
+                } catch (error) {
+                    console.error(`Error processing ${event.name} for alerts:`, error);
+                }
+            }
+
+            // Price moves change every borrowed loan's health factor without a per-loan event
+            if (events.some(event => event.name === 'PriceUpdated')) await recheckBorrowedLoans();
+        };
+
+        // Batches are handled one at a time, so tracked positions stay consistent
+        let queue = seed();
+        const unsubscribe = subscribe(batch => {
+            queue = queue.then(() => (stopped ? null : handleBatch(batch)));
+        });
+
+        return () => {
+            stopped = true;
+            unsubscribe();
+        };
+    }, [subscribe, contracts, assets, account, settings, notify]);
+
+    return { settings, saveSettings, permission, requestPermission };
+};
+
+export const useAlerts = () => useContext(AlertsContext);
@@ -0,0 +1,166 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+
+const POLL_INTERVAL_MS = 4000;
+const MAX_RETRY_DELAY_MS = 30000;
+const MAX_BLOCK_RANGE = 2000;
+// Bursts of events are coalesced into one batch once the chain goes quiet
+const DEBOUNCE_MS = 300;
+const MAX_BATCH_WAIT_MS = 1500;
+
+// Events relayed to subscribers, keyed by the kind of contract that emits them
+export const WATCHED_EVENTS = {
+    clob: ['OrderPlaced', 'OrderMatched', 'OrderPartiallyFilled', 'OrderBookUpdated', 'InstantExecution', 'ImmediateOrderCancelled', 'LoanCreated', 'LoanRepaid', 'LoanDefaulted'],
+    pool: ['Deposit', 'Withdraw'],
+    riskManager: ['PriceUpdated', 'HealthFactorUpdated', 'LiquidationTriggered', 'RiskLoanAdded']
+};
+
+export const ProtocolEventsContext = createContext({
+    subscribe: () => () => { },
+    status: 'idle'
+});
+
+/**
+ * Polls protocol logs from the last processed block, so a dropped provider
+ * connection resumes where it stopped instead of missing events.
+ * Subscribers receive batches of { events, resync }, where resync signals
+ * that incremental updates are unreliable and state should be reloaded.
+ * Pool events carry the registry key of their asset.
+ */
+export const useProtocolEventSource = (contracts, assets) => {
+    const listeners = useRef(new Set());
+    const [status, setStatus] = useState('idle'); // 'idle', 'live' or 'reconnecting'
+
+    const subscribe = useCallback((listener) => {
+        listeners.current.add(listener);
+        return () => listeners.current.delete(listener);
+    }, []);
+
+    useEffect(() => {
+        const provider = contracts.clob?.runner?.provider;
+        if (!provider) {
+            setStatus('idle');
+            return undefined;
+        }
+
+        let stopped = false;
+        let pollTimer = null;
+        let flushTimer = null;
+        let lastBlock = null;
+        let retryDelay = POLL_INTERVAL_MS;
+        let pending = [];
+        let resyncPending = false;
+        let batchStartedAt = 0;
+
+        const flush = () => {
+            flushTimer = null;
+            const batch = { events: pending, resync: resyncPending };
+            pending = [];
+            resyncPending = false;
+
+            listeners.current.forEach(listener => {
+                try {
+                    listener(batch);
+                } catch (error) {
+                    console.error('Protocol event listener error:', error);
+                }
+            });
+        };
+
+        const enqueue = (events, resync = false) => {
+            pending = pending.concat(events);
+            resyncPending = resyncPending || resync;
+
+            const now = Date.now();
+            if (!flushTimer) batchStartedAt = now;
+            clearTimeout(flushTimer);
+            flushTimer = setTimeout(flush, Math.max(0, Math.min(DEBOUNCE_MS, batchStartedAt + MAX_BATCH_WAIT_MS - now)));
+        };
+
+        const sources = [
+            { kind: 'clob', contract: contracts.clob },
+            ...(contracts.riskManager ? [{ kind: 'riskManager', contract: contracts.riskManager }] : []),
+            ...assets.filter(asset => asset.pool).map(asset => ({ kind: 'pool', asset: asset.key, contract: asset.pool }))
+        ];
+
+        const decodeLogs = (logs, sourceByAddress) => logs
+            .map(log => {
+                const source = sourceByAddress[log.address.toLowerCase()];
+                const parsed = source && source.contract.interface.parseLog(log);
+                if (!parsed || !WATCHED_EVENTS[source.kind].includes(parsed.name)) return null;
+
+                return {
+                    contract: source.kind,
+                    asset: source.asset,
+                    name: parsed.name,
+                    args: parsed.args,
+                    blockNumber: log.blockNumber,
+                    transactionHash: log.transactionHash,
+                    logIndex: log.index
+                };
+            })
+            .filter(Boolean);
+
+        const poll = async () => {
+            try {
+                const addresses = await Promise.all(sources.map(source => source.contract.getAddress()));
+                const sourceByAddress = {};
+                addresses.forEach((address, index) => {
+                    sourceByAddress[address.toLowerCase()] = sources[index];
+                });
+
+                const latest = await provider.getBlockNumber();
+
+                if (lastBlock === null || latest < lastBlock) {
+                    // First poll, or the chain was reset underneath us (e.g. a restarted local node)
+                    if (lastBlock !== null) enqueue([], true);
+                    lastBlock = latest;
+                }
+
+                while (lastBlock < latest && !stopped) {
+                    const toBlock = Math.min(latest, lastBlock + MAX_BLOCK_RANGE);
+                    const logs = await provider.getLogs({ address: addresses, fromBlock: lastBlock + 1, toBlock });
+                    const events = decodeLogs(logs, sourceByAddress);
+                    lastBlock = toBlock;
+                    if (events.length > 0) enqueue(events);
+                }
+
+                setStatus('live');
+                retryDelay = POLL_INTERVAL_MS;
+            } catch (error) {
+                console.error('Error polling protocol events:', error);
+                setStatus('reconnecting');
+                retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+            } finally {
+                if (!stopped) pollTimer = setTimeout(poll, retryDelay);
+            }
+        };
+
+        poll();
+
+        return () => {
+            stopped = true;
+            clearTimeout(pollTimer);
+            clearTimeout(flushTimer);
+        };
+    }, [contracts, assets]);
+
+    return { subscribe, status };
+};
+
+// True when an event names the account as the order owner, depositor or loan party
+export const involvesAccount = (event, account) => {
+    if (!account) return false;
+    const { user, borrower, lender } = event.args;
+    return [user, borrower, lender].some(address => address && address.toLowerCase() === account.toLowerCase());
+};
+
+// Calls handler with every batch of protocol events; the latest handler is always used
+export const useProtocolEvents = (handler) => {
+    const { subscribe } = useContext(ProtocolEventsContext);
+    const handlerRef = useRef(handler);
+    handlerRef.current = handler;
+
+    useEffect(() => subscribe(batch => handlerRef.current(batch)), [subscribe]);
+};
+
+export const useProtocolEventsStatus = () => useContext(ProtocolEventsContext).status;
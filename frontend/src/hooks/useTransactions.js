@@ -0,0 +1,218 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { signPermit } from '../config/permit';
+
+const STORAGE_PREFIX = 'legos:transactions';
+const MAX_STORED_TRANSACTIONS = 30;
+const RECOVERY_POLL_MS = 4000;
+
+// Statuses a transaction moves through; every status but 'pending' is final
+export const TX_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    REPLACED: 'replaced',
+    CANCELLED: 'cancelled'
+};
+
+export const TransactionsContext = createContext({
+    transactions: [],
+    runTransaction: async () => {
+        throw new Error('Connect a wallet first');
+    },
+    clearCompleted: () => { }
+});
+
+const storageKey = (chainId, account) => `${STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+
+const loadStored = (key) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends transactions for the connected account and tracks them until they
+ * settle. Approvals run first, and only when the current allowance does not
+ * cover the amount. Records persist per chain and account, so transactions
+ * still pending when the page reloads are watched again on the next visit.
+ */
+export const useTransactionManager = (signer, account, chainId) => {
+    const [ledger, setLedger] = useState({ key: null, transactions: [] });
+    const signerRef = useRef(signer);
+    signerRef.current = signer;
+
+    const key = signer && account && chainId !== undefined && chainId !== null
+        ? storageKey(chainId.toString(), account)
+        : null;
+
+    const addRecord = useCallback((record) => {
+        setLedger(prev => ({ ...prev, transactions: [record, ...prev.transactions] }));
+    }, []);
+
+    const updateRecord = useCallback((id, changes) => {
+        setLedger(prev => ({
+            ...prev,
+            transactions: prev.transactions.map(record => (record.id === id ? { ...record, ...changes } : record))
+        }));
+    }, []);
+
+    useEffect(() => {
+        if (ledger.key) {
+            localStorage.setItem(ledger.key, JSON.stringify(ledger.transactions.slice(0, MAX_STORED_TRANSACTIONS)));
+        }
+    }, [ledger]);
+
+    // A recovered transaction has no live response object, so its receipt and
+    // the sender's nonce are polled until one of them settles it
+    const watchRecovered = useCallback(async (record, isStopped) => {
+        while (!isStopped()) {
+            try {
+                const provider = signerRef.current.provider;
+                const receipt = await provider.getTransactionReceipt(record.hash);
+                if (receipt) {
+                    updateRecord(record.id, { status: receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED });
+                    return;
+                }
+
+                const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+                if (minedNonce > record.nonce && !(await provider.getTransactionReceipt(record.hash))) {
+                    // Another transaction used this nonce while the page was closed
+                    updateRecord(record.id, { status: TX_STATUS.REPLACED });
+                    return;
+                }
+            } catch (error) {
+                console.error('Error recovering transaction:', error);
+            }
+            await sleep(RECOVERY_POLL_MS);
+        }
+    }, [updateRecord]);
+
+    useEffect(() => {
+        const transactions = key ? loadStored(key) : [];
+        setLedger({ key, transactions });
+
+        let stopped = false;
+        transactions
+            .filter(record => record.status === TX_STATUS.PENDING)
+            .forEach(record => watchRecovered(record, () => stopped));
+
+        return () => {
+            stopped = true;
+        };
+    }, [key, watchRecovered]);
+
+    // ethers reports a replaced nonce as TRANSACTION_REPLACED; a repriced
+    // transaction is the same call with a higher fee, so its receipt stands in
+    const waitForConfirmation = useCallback(async (tx, id) => {
+        try {
+            const receipt = await tx.wait();
+            updateRecord(id, { status: TX_STATUS.CONFIRMED });
+            return receipt;
+        } catch (error) {
+            if (error.code === 'TRANSACTION_REPLACED') {
+                if (error.reason === 'repriced') {
+                    const succeeded = error.receipt.status === 1;
+                    updateRecord(id, {
+                        hash: error.replacement.hash,
+                        status: succeeded ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED
+                    });
+                    if (succeeded) return error.receipt;
+                } else {
+                    updateRecord(id, {
+                        replacedBy: error.replacement.hash,
+                        status: error.reason === 'cancelled' ? TX_STATUS.CANCELLED : TX_STATUS.REPLACED
+                    });
+                }
+            } else if (error.receipt) {
+                updateRecord(id, { status: TX_STATUS.FAILED });
+            }
+            throw error;
+        }
+    }, [updateRecord]);
+
+    /**
+     * Runs the approvals an action needs and then the action itself, one
+     * confirmed step at a time, and resolves with the action's receipt.
+     * approvals: [{ token, spender, amount, symbol, permit }]; send returns the action's transaction.
+     * Approvals marked `permit` are signed as EIP-2612 permits when the token
+     * supports them, and send receives those signatures in approval order
+     * (null where no permit is needed) to call the `...WithPermit` entry point.
+     */
+    const runTransaction = useCallback(async ({ title, approvals = [], send }) => {
+        const signer = signerRef.current;
+        const owner = await signer.getAddress();
+
+        const toastId = toast.loading(`${title}...`);
+
+        try {
+            const permits = approvals.map(() => null);
+            const steps = [];
+            for (const [index, approval] of approvals.entries()) {
+                const allowance = await approval.token.allowance(owner, approval.spender);
+                if (allowance >= approval.amount) continue;
+
+                if (approval.permit) {
+                    toast.loading(`Sign ${approval.symbol} permit: confirm in your wallet`, { id: toastId });
+                    try {
+                        permits[index] = await signPermit(approval.token, signer, approval.spender, approval.amount);
+                    } catch (error) {
+                        if (error.code === 'ACTION_REJECTED') throw error;
+                        // Wallets without typed-data signing still get a plain approval
+                        console.error('Error signing permit:', error);
+                    }
+                    if (permits[index]) continue;
+                }
+
+                steps.push({
+                    label: `Approve ${approval.symbol}`,
+                    send: () => approval.token.approve(approval.spender, approval.amount)
+                });
+            }
+            steps.push({ label: title, send: () => send(permits) });
+
+            let receipt = null;
+
+            for (const [index, step] of steps.entries()) {
+                const progress = steps.length > 1 ? ` (step ${index + 1} of ${steps.length})` : '';
+                toast.loading(`${step.label}${progress}: confirm in your wallet`, { id: toastId });
+
+                const tx = await step.send();
+                addRecord({
+                    id: tx.hash,
+                    hash: tx.hash,
+                    from: tx.from,
+                    nonce: tx.nonce,
+                    title,
+                    label: step.label,
+                    step: index + 1,
+                    steps: steps.length,
+                    status: TX_STATUS.PENDING,
+                    submittedAt: Math.floor(Date.now() / 1000)
+                });
+
+                toast.loading(`${step.label}${progress}: waiting for confirmation`, { id: toastId });
+                receipt = await waitForConfirmation(tx, tx.hash);
+            }
+
+            return receipt;
+        } finally {
+            toast.dismiss(toastId);
+        }
+    }, [addRecord, waitForConfirmation]);
+
+    const clearCompleted = useCallback(() => {
+        setLedger(prev => ({
+            ...prev,
+            transactions: prev.transactions.filter(record => record.status === TX_STATUS.PENDING)
+        }));
+    }, []);
+
+    return { transactions: ledger.transactions, runTransaction, clearCompleted };
+};
+
+export const useTransactions = () => useContext(TransactionsContext);
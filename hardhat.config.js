@@ -1,6 +1,16 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { exportAbis } = require("./scripts/export-abis");
+
+// Keep the frontend's generated ABIs in step with every compile
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+    const result = await runSuper(args);
+    await exportAbis(hre);
+    return result;
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
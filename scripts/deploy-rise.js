@@ -1,6 +1,8 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const fs = require("fs");
 const path = require("path");
+const { exportAbis } = require("./export-abis");
 
 async function main() {
     console.log("🚀 Starting Legos Finance Protocol Deployment to Rise Testnet...\n");
@@ -57,6 +59,12 @@ async function main() {
         deployedContracts.governance = governanceAddress;
         console.log("✅ Governance Contract deployed to:", governanceAddress);
 
+        // The governor schedules, executes and cancels proposals through the timelock
+        await timelock.grantRole(await timelock.PROPOSER_ROLE(), governanceAddress);
+        await timelock.grantRole(await timelock.EXECUTOR_ROLE(), governanceAddress);
+        await timelock.grantRole(await timelock.CANCELLER_ROLE(), governanceAddress);
+        console.log("✅ Timelock roles granted to governance");
+
         // 4. Deploy CLOB Contract
         console.log("\n📊 Deploying CLOB Contract...");
         const LegosCLOB = await ethers.getContractFactory("LegosCLOB");
@@ -80,6 +88,9 @@ async function main() {
         deployedContracts.riskManager = riskManagerAddress;
         console.log("✅ Risk Manager deployed to:", riskManagerAddress);
 
+        // Let the risk manager settle liquidations against CLOB loans
+        await clob.setRiskManager(riskManagerAddress);
+
         // 6. Save deployment info
         const deploymentInfo = {
             network: "riseTestnet",
@@ -99,6 +110,9 @@ async function main() {
         fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
 
         console.log(`\n💾 Deployment info saved to: ${deploymentFile}`);
+
+        // Refresh the frontend's copy of the manifests
+        await exportAbis(hre);
         
         // 7. Print summary
         console.log("\n🎉 Legos Finance Protocol Deployment Complete!");
@@ -1,6 +1,8 @@
-const { ethers, upgrades } = require("hardhat");
+const hre = require("hardhat");
+const { ethers, upgrades, network } = hre;
 const fs = require("fs");
 const path = require("path");
+const { exportAbis } = require("./export-abis");
 
 async function main() {
     console.log("🚀 Starting Legos Finance Protocol Deployment...\n");
@@ -39,8 +41,8 @@ async function main() {
         console.log("\n⏰ Deploying Timelock Controller...");
 
         const minDelay = 2 * 24 * 60 * 60; // 2 days
-        const proposers = [deployer.address]; // Will be updated to governance contract
-        const executors = [deployer.address]; // Will be updated to governance contract
+        const proposers = [deployer.address]; // Governance is granted its roles once deployed
+        const executors = [deployer.address];
         const admin = deployer.address; // Will renounce after setup
 
         const TimelockController = await ethers.getContractFactory("TimelockController");
@@ -70,6 +72,12 @@ async function main() {
         deployedContracts.governance = governanceAddress;
         console.log("✅ Governance Contract deployed to:", governanceAddress);
 
+        // The governor schedules, executes and cancels proposals through the timelock
+        await timelock.grantRole(await timelock.PROPOSER_ROLE(), governanceAddress);
+        await timelock.grantRole(await timelock.EXECUTOR_ROLE(), governanceAddress);
+        await timelock.grantRole(await timelock.CANCELLER_ROLE(), governanceAddress);
+        console.log("✅ Timelock roles granted to governance");
+
         // 4. Deploy Central Limit Order Book (CLOB)
         console.log("\n📊 Deploying CLOB Contract...");
 
@@ -95,6 +103,9 @@ async function main() {
         deployedContracts.riskManager = riskManagerAddress;
         console.log("✅ Risk Manager deployed to:", riskManagerAddress);
 
+        // Let the risk manager settle liquidations against CLOB loans
+        await clob.setRiskManager(riskManagerAddress);
+
         // 6. Deploy Sample ERC20 tokens for testing
         console.log("\n🪙 Deploying Test Tokens...");
 
@@ -195,15 +206,14 @@ async function main() {
         console.log("\n🔐 Skipping governance authorization for local testing...");
         console.log("✅ Contracts remain owned by deployer for easier testing");
 
-        // For production, uncomment the following:
-        // await governance.setContractAuthorization(clobAddress, true);
-        // await governance.setContractAuthorization(riskManagerAddress, true);
-        // await governance.setContractAuthorization(usdcPoolAddress, true);
-        // await governance.setContractAuthorization(wethPoolAddress, true);
-        // await clob.transferOwnership(timelockAddress);
-        // await riskManager.transferOwnership(timelockAddress);
-        // await usdcPool.transferOwnership(timelockAddress);
-        // await wethPool.transferOwnership(timelockAddress);
+        // While the deployer owns them, parameter update proposals revert when executed (the proposal wizard warns).
+        // For production, hand the contracts to the governor, which calls their setters itself:
+        // await clob.transferOwnership(governanceAddress);
+        // await riskManager.transferOwnership(governanceAddress);
+        // await usdcPool.transferOwnership(governanceAddress);
+        // await wethPool.transferOwnership(governanceAddress);
+        // then authorize each one with a passed proposal calling
+        // governance.setContractAuthorization(address, true), which only the timelock may call.
 
         // 11. Distribute initial token allocation
         console.log("\n💰 Distributing Token Allocations...");
@@ -217,6 +227,11 @@ async function main() {
             timestamp: new Date().toISOString(),
             deployer: deployer.address,
             contracts: deployedContracts,
+            // Read by the frontend asset registry; assets listed later are discovered on-chain
+            assets: [
+                { key: "usdc", address: usdcAddress, pool: usdcPoolAddress },
+                { key: "weth", address: wethAddress, pool: wethPoolAddress }
+            ],
             gasUsed: "TBD", // Would need to track gas usage
             blockNumber: await ethers.provider.getBlockNumber()
         };
@@ -226,12 +241,16 @@ async function main() {
             fs.mkdirSync(deploymentsDir, { recursive: true });
         }
 
-        const networkName = (await ethers.provider.getNetwork()).name;
+        // Named after the hardhat.config.js network, which is how the frontend looks it up
+        const networkName = network.name;
         const deploymentFile = path.join(deploymentsDir, `${networkName}.json`);
         fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
 
         console.log(`\n💾 Deployment info saved to: ${deploymentFile}`);
 
+        // Refresh the frontend's copy of the manifests
+        await exportAbis(hre);
+
         // 13. Print summary
         console.log("\n🎉 Legos Finance Protocol Deployment Complete!");
         console.log("=".repeat(60));
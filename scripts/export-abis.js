@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+
+// Contracts the frontend talks to, keyed by the file name written under frontend/src/generated/abis
+const EXPORTED_CONTRACTS = {
+    LegosToken: "contracts/tokens/LegosToken.sol:LegosToken",
+    LegosCLOB: "contracts/core/LegosCLOB.sol:LegosCLOB",
+    LegosLendingPool: "contracts/core/LegosLendingPool.sol:LegosLendingPool",
+    LegosRiskManager: "contracts/core/LegosRiskManager.sol:LegosRiskManager",
+    LegosGovernance: "contracts/governance/LegosGovernance.sol:LegosGovernance",
+    TimelockController: "@openzeppelin/contracts/governance/TimelockController.sol:TimelockController",
+    ERC20: "@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20",
+    ERC20Permit: "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol:ERC20Permit"
+};
+
+const writeJson = (file, data) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+};
+
+/**
+ * Writes the full ABIs from the compiled artifacts, and every manifest in
+ * deployments/ keyed by network name, into frontend/src/generated so the app
+ * never depends on hand-written ABI fragments or files outside its src/.
+ */
+async function exportAbis(hre) {
+    const outputDir = path.join(hre.config.paths.root, "frontend", "src", "generated");
+
+    for (const [name, fullyQualifiedName] of Object.entries(EXPORTED_CONTRACTS)) {
+        const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+        writeJson(path.join(outputDir, "abis", `${name}.json`), artifact.abi);
+    }
+
+    const deploymentsDir = path.join(hre.config.paths.root, "deployments");
+    const deployments = {};
+    if (fs.existsSync(deploymentsDir)) {
+        fs.readdirSync(deploymentsDir)
+            .filter(file => file.endsWith(".json"))
+            .sort()
+            .forEach(file => {
+                deployments[path.basename(file, ".json")] = JSON.parse(fs.readFileSync(path.join(deploymentsDir, file), "utf8"));
+            });
+    }
+    writeJson(path.join(outputDir, "deployments.json"), deployments);
+
+    console.log(`📦 Exported ${Object.keys(EXPORTED_CONTRACTS).length} ABIs and ${Object.keys(deployments).length} deployments to ${path.relative(hre.config.paths.root, outputDir)}`);
+}
+
+module.exports = { exportAbis };
+
+if (require.main === module) {
+    exportAbis(require("hardhat"))
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+// The collection and serialization are shared with the frontend's Portfolio export
+const { collectActivity, activityToCsv, activityToJson } = require("../frontend/src/config/activity");
+
+const CORE_CONTRACT_KEYS = ["legosToken", "timelock", "governance", "clob", "riskManager"];
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Dates are whole UTC days, so TO includes its last second
+function parseDay(value, endOfDay) {
+    if (!value) return null;
+    const start = Date.parse(`${value}T00:00:00Z`);
+    if (Number.isNaN(start)) throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+    return Math.floor(start / 1000) + (endOfDay ? DAY_SECONDS - 1 : 0);
+}
+
+// Listed tokens from the manifest with their pools, as collectActivity expects them
+async function loadAssets(deployment) {
+    const assets = new Map(); // lowercase address => { address, pool }
+    const addAsset = (address, pool) => {
+        const id = address.toLowerCase();
+        assets.set(id, { address, pool: pool || (assets.get(id) || {}).pool });
+    };
+
+    (deployment.assets || []).forEach(asset => addAsset(asset.address, asset.pool));
+    for (const [key, address] of Object.entries(deployment.contracts)) {
+        if (CORE_CONTRACT_KEYS.includes(key)) continue;
+        if (key.endsWith("Pool")) {
+            const pool = await ethers.getContractAt("LegosLendingPool", address);
+            addAsset(await pool.underlyingAsset(), address);
+        } else {
+            addAsset(address);
+        }
+    }
+
+    for (const asset of assets.values()) {
+        const token = await ethers.getContractAt("@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20", asset.address);
+        asset.symbol = await token.symbol();
+        asset.decimals = Number(await token.decimals());
+        asset.pool = asset.pool ? await ethers.getContractAt("LegosLendingPool", asset.pool) : null;
+    }
+    return [...assets.values()];
+}
+
+/**
+ * Exports every protocol event of ACCOUNT as CSV or JSON, like the export
+ * on the frontend's Portfolio page. FROM and TO (YYYY-MM-DD, UTC) bound the
+ * range, FORMAT is csv (default) or json, and OUT names the output file.
+ */
+async function main() {
+    const account = process.env.ACCOUNT;
+    const format = (process.env.FORMAT || "csv").toLowerCase();
+    if (!account || !ethers.isAddress(account)) {
+        console.error("❌ Set ACCOUNT to the address to export.");
+        process.exit(1);
+    }
+    if (!["csv", "json"].includes(format)) {
+        console.error(`❌ Unknown FORMAT "${format}", use csv or json.`);
+        process.exit(1);
+    }
+    const from = parseDay(process.env.FROM, false);
+    const to = parseDay(process.env.TO, true);
+    const outFile = process.env.OUT || `activity-${account.slice(0, 8)}-${network.name}.${format}`;
+
+    let deployment;
+    try {
+        deployment = require(`../deployments/${network.name}.json`);
+    } catch (error) {
+        console.error(`❌ Could not find deployments/${network.name}.json. Please deploy first.`);
+        process.exit(1);
+    }
+
+    console.log(`📤 Exporting activity of ${account} on ${network.name}...`);
+
+    const contracts = {
+        clob: await ethers.getContractAt("LegosCLOB", deployment.contracts.clob),
+        riskManager: await ethers.getContractAt("LegosRiskManager", deployment.contracts.riskManager),
+        legosToken: await ethers.getContractAt("LegosToken", deployment.contracts.legosToken)
+    };
+    const rows = await collectActivity({
+        contracts,
+        assets: await loadAssets(deployment),
+        account,
+        fromBlock: deployment.blockNumber || 0,
+        from,
+        to
+    });
+
+    const output = format === "csv" ? activityToCsv(rows) : activityToJson({ account, from, to, rows });
+    fs.writeFileSync(outFile, output);
+    console.log(`✅ Wrote ${rows.length} event(s) to ${outFile}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,121 @@
+const { ethers, network } = require("hardhat");
+
+// Governor ProposalState enum, in declaration order
+const PROPOSAL_STATES = [
+    "Pending",
+    "Active",
+    "Canceled",
+    "Defeated",
+    "Succeeded",
+    "Queued",
+    "Expired",
+    "Executed"
+];
+
+function formatCountdown(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${days}d ${hours}h ${minutes}m`;
+}
+
+/**
+ * Queues Succeeded proposals in the timelock and executes Queued proposals
+ * whose ETA has passed. Set DRY_RUN=true to only report, or PROPOSAL_ID to
+ * process a single proposal.
+ */
+async function main() {
+    console.log("🏛️  Processing Legos Finance governance proposals...\n");
+
+    const dryRun = process.env.DRY_RUN === "true";
+    const onlyProposal = process.env.PROPOSAL_ID;
+
+    let deployment;
+    try {
+        deployment = require(`../deployments/${network.name}.json`);
+    } catch (error) {
+        console.error(`❌ Could not find deployments/${network.name}.json. Please deploy first.`);
+        process.exit(1);
+    }
+
+    const governance = await ethers.getContractAt("LegosGovernance", deployment.contracts.governance);
+    const fromBlock = deployment.blockNumber || 0;
+    const events = await governance.queryFilter(governance.filters.ProposalCreated(), fromBlock);
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const now = latestBlock.timestamp;
+
+    console.log(`Found ${events.length} proposal(s) on ${network.name}${dryRun ? " (dry run)" : ""}\n`);
+
+    const summary = { queued: 0, executed: 0, waiting: 0, skipped: 0, failed: 0 };
+
+    for (const event of events) {
+        const { proposalId, targets, values, calldatas, description } = event.args;
+        if (onlyProposal && proposalId.toString() !== onlyProposal) continue;
+
+        const state = PROPOSAL_STATES[Number(await governance.state(proposalId))];
+        const label = `#${proposalId.toString().slice(0, 10)}... "${description.split("\n")[0]}"`;
+        const descriptionHash = ethers.id(description);
+
+        try {
+            if (state === "Succeeded") {
+                if (!(await governance.proposalNeedsQueuing(proposalId))) {
+                    console.log(`▶️  ${label}: succeeded, executing directly`);
+                    if (!dryRun) {
+                        await (await governance.execute(targets, values, calldatas, descriptionHash)).wait();
+                        summary.executed++;
+                    }
+                    continue;
+                }
+
+                console.log(`📥 ${label}: succeeded, queueing in timelock`);
+                if (!dryRun) {
+                    await (await governance.queue(targets, values, calldatas, descriptionHash)).wait();
+                    const eta = Number(await governance.proposalEta(proposalId));
+                    console.log(`   ETA ${new Date(eta * 1000).toISOString()} (in ${formatCountdown(eta - now)})`);
+                    summary.queued++;
+                }
+            } else if (state === "Queued") {
+                const eta = Number(await governance.proposalEta(proposalId));
+                if (now < eta) {
+                    console.log(`⏳ ${label}: queued, executable in ${formatCountdown(eta - now)} (ETA ${new Date(eta * 1000).toISOString()})`);
+                    summary.waiting++;
+                    continue;
+                }
+
+                console.log(`▶️  ${label}: timelock ETA passed, executing`);
+                if (!dryRun) {
+                    await (await governance.execute(targets, values, calldatas, descriptionHash)).wait();
+                    summary.executed++;
+                }
+            } else if (state === "Executed") {
+                console.log(`✅ ${label}: already executed`);
+                summary.skipped++;
+            } else if (state === "Canceled") {
+                console.log(`🚫 ${label}: canceled, timelock operation will not run`);
+                summary.skipped++;
+            } else if (state === "Expired") {
+                console.log(`⌛ ${label}: expired before execution, must be re-proposed`);
+                summary.skipped++;
+            } else {
+                console.log(`ℹ️  ${label}: ${state.toLowerCase()}, nothing to do`);
+                summary.skipped++;
+            }
+        } catch (error) {
+            console.error(`❌ ${label}: ${error.reason || error.message}`);
+            summary.failed++;
+        }
+    }
+
+    console.log("\n📋 Summary:");
+    Object.entries(summary).forEach(([key, count]) => {
+        console.log(`${key.padEnd(10)}: ${count}`);
+    });
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
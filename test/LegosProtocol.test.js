@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { calculateHealthFactor, calculateLiquidationPrice } = require("../frontend/src/config/healthFactor");
+const { summarizeOrderBook, quoteMarketOrder, quoteDrift } = require("../frontend/src/config/orderBook");
 
 describe("Legos Finance Protocol", function () {
     let deployer, user1, user2, liquidator;
@@ -10,6 +12,7 @@ describe("Legos Finance Protocol", function () {
 
     const INITIAL_USDC_BALANCE = ethers.parseUnits("10000", 6); // 10,000 USDC
     const INITIAL_WETH_BALANCE = ethers.parseEther("100"); // 100 WETH
+    const TIME_IN_FORCE = { GTC: 0, IOC: 1, FOK: 2, GTD: 3 };
 
     beforeEach(async function () {
         [deployer, user1, user2, liquidator] = await ethers.getSigners();
@@ -45,6 +48,11 @@ describe("Legos Finance Protocol", function () {
             await timelock.getAddress()
         );
 
+        // As in scripts/deploy.js, the governor drives the timelock
+        await timelock.grantRole(await timelock.PROPOSER_ROLE(), await governance.getAddress());
+        await timelock.grantRole(await timelock.EXECUTOR_ROLE(), await governance.getAddress());
+        await timelock.grantRole(await timelock.CANCELLER_ROLE(), await governance.getAddress());
+
         // Deploy CLOB
         const LegosCLOB = await ethers.getContractFactory("LegosCLOB");
         clob = await LegosCLOB.deploy(deployer.address);
@@ -55,6 +63,7 @@ describe("Legos Finance Protocol", function () {
             await clob.getAddress(),
             deployer.address
         );
+        await clob.setRiskManager(await riskManager.getAddress());
 
         // Deploy lending pools
         const LegosLendingPool = await ethers.getContractFactory("LegosLendingPool");
@@ -142,7 +151,8 @@ describe("Legos Finance Protocol", function () {
                 duration,
                 maxLTV,
                 await weth.getAddress(),
-                expiry
+                expiry,
+                TIME_IN_FORCE.GTD
             );
 
             const receipt = await tx.wait();
@@ -170,7 +180,8 @@ describe("Legos Finance Protocol", function () {
                 duration,
                 await weth.getAddress(),
                 collateralAmount,
-                expiry
+                expiry,
+                TIME_IN_FORCE.GTD
             );
 
             const receipt = await tx.wait();
@@ -181,6 +192,37 @@ describe("Legos Finance Protocol", function () {
             expect(event).to.not.be.undefined;
         });
 
+        it("Should record the asset of each order", async function () {
+            const amount = ethers.parseEther("10");
+
+            await weth.connect(user1).approve(await clob.getAddress(), amount);
+            await clob.connect(user1).placeLendOrder(
+                await weth.getAddress(), amount, 800, 30 * 24 * 60 * 60, 7500, await usdc.getAddress(), 0, TIME_IN_FORCE.GTC
+            );
+
+            expect(await clob.orderAssets(1)).to.equal(await weth.getAddress());
+        });
+
+        it("Should emit OrderCancelled with the unfilled amount", async function () {
+            const amount = ethers.parseEther("10");
+
+            // USDC collateral, so a refund in the wrong token cannot pass unnoticed
+            await weth.connect(user1).approve(await clob.getAddress(), amount);
+            await clob.connect(user1).placeLendOrder(
+                await weth.getAddress(), amount, 800, 30 * 24 * 60 * 60, 7500, await usdc.getAddress(), 0, TIME_IN_FORCE.GTC
+            );
+            const wethBefore = await weth.balanceOf(user1.address);
+            const usdcBefore = await usdc.balanceOf(user1.address);
+
+            await expect(clob.connect(user1).cancelOrder(1))
+                .to.emit(clob, "OrderCancelled")
+                .withArgs(1, user1.address, amount);
+
+            expect(await weth.balanceOf(user1.address)).to.equal(wethBefore + amount);
+            expect(await usdc.balanceOf(user1.address)).to.equal(usdcBefore);
+            expect(await weth.balanceOf(await clob.getAddress())).to.equal(0);
+        });
+
         it("Should match lending and borrowing orders", async function () {
             // Place lending order
             const lendAmount = ethers.parseUnits("1000", 6);
@@ -194,7 +236,8 @@ describe("Legos Finance Protocol", function () {
                 30 * 24 * 60 * 60,
                 7500,
                 await weth.getAddress(),
-                (await time.latest()) + 7 * 24 * 60 * 60
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
             );
 
             // Place borrowing order that should match
@@ -209,7 +252,8 @@ describe("Legos Finance Protocol", function () {
                 30 * 24 * 60 * 60,
                 await weth.getAddress(),
                 collateralAmount,
-                (await time.latest()) + 7 * 24 * 60 * 60
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
             );
 
             const receipt = await tx.wait();
@@ -221,6 +265,408 @@ describe("Legos Finance Protocol", function () {
         });
     });
 
+    describe("Time In Force", function () {
+        const amount = ethers.parseEther("10");
+        const collateralAmount = ethers.parseEther("15"); // collateral locked by a 10 WETH loan
+        const duration = 30 * 24 * 60 * 60;
+
+        const placeLend = async (timeInForce, expiry = 0) => {
+            await weth.connect(user1).approve(await clob.getAddress(), amount);
+            return clob.connect(user1).placeLendOrder(
+                await weth.getAddress(),
+                amount,
+                800,
+                duration,
+                7500,
+                await weth.getAddress(),
+                expiry,
+                timeInForce
+            );
+        };
+
+        // Borrow orders post 150% collateral
+        const placeBorrow = async (timeInForce, borrowAmount = amount) => {
+            const collateral = (borrowAmount * 3n) / 2n;
+            await weth.connect(user2).approve(await clob.getAddress(), collateral);
+            return clob.connect(user2).placeBorrowOrder(
+                await weth.getAddress(),
+                borrowAmount,
+                900,
+                duration,
+                await weth.getAddress(),
+                collateral,
+                0,
+                timeInForce
+            );
+        };
+
+        it("Should rest GTC orders without an expiry", async function () {
+            await placeLend(TIME_IN_FORCE.GTC);
+
+            const order = await clob.orders(1);
+            expect(order.status).to.equal(0); // PENDING
+            expect(order.timeInForce).to.equal(TIME_IN_FORCE.GTC);
+        });
+
+        it("Should reject GTD orders with an expiry in the past", async function () {
+            await expect(placeLend(TIME_IN_FORCE.GTD, await time.latest()))
+                .to.be.revertedWithCustomError(clob, "OrderExpired");
+        });
+
+        it("Should cancel and refund the unfilled part of an IOC order", async function () {
+            const balanceBefore = await weth.balanceOf(user1.address);
+
+            await expect(placeLend(TIME_IN_FORCE.IOC))
+                .to.emit(clob, "ImmediateOrderCancelled")
+                .withArgs(1, amount);
+
+            expect((await clob.orders(1)).status).to.equal(3); // CANCELLED
+            expect(await weth.balanceOf(user1.address)).to.equal(balanceBefore);
+        });
+
+        it("Should refund the unused collateral of a partially filled IOC borrow order", async function () {
+            await placeLend(TIME_IN_FORCE.GTC);
+            const balanceBefore = await weth.balanceOf(user2.address);
+
+            // Asks for twice what the book holds, so half the collateral comes back
+            await expect(placeBorrow(TIME_IN_FORCE.IOC, amount * 2n))
+                .to.emit(clob, "ImmediateOrderCancelled")
+                .withArgs(2, amount);
+
+            expect((await clob.orders(2)).status).to.equal(3); // CANCELLED
+            expect(await weth.balanceOf(user2.address)).to.equal(balanceBefore - collateralAmount + amount);
+        });
+
+        it("Should revert FOK orders that cannot be filled entirely", async function () {
+            await expect(placeBorrow(TIME_IN_FORCE.FOK))
+                .to.be.revertedWithCustomError(clob, "FillOrKillNotFilled");
+        });
+
+        it("Should fill FOK orders when the book covers them", async function () {
+            await placeLend(TIME_IN_FORCE.GTC);
+
+            await expect(placeBorrow(TIME_IN_FORCE.FOK)).to.emit(clob, "OrderMatched");
+            expect((await clob.orders(2)).status).to.equal(2); // FILLED
+        });
+
+        it("Should not match GTD orders past their expiry", async function () {
+            await placeLend(TIME_IN_FORCE.GTD, (await time.latest()) + 24 * 60 * 60);
+            await time.increase(2 * 24 * 60 * 60);
+
+            await expect(placeBorrow(TIME_IN_FORCE.GTC)).to.not.emit(clob, "OrderMatched");
+
+            const [, amounts] = await clob.getOrderBookDepth(await weth.getAddress(), true);
+            expect(amounts[0]).to.equal(0);
+        });
+
+        it("Should refund an expired GTD lend order in its own asset", async function () {
+            // WETH is lent against USDC collateral, which the CLOB does not hold
+            await weth.connect(user1).approve(await clob.getAddress(), amount);
+            await clob.connect(user1).placeLendOrder(
+                await weth.getAddress(),
+                amount,
+                800,
+                duration,
+                7500,
+                await usdc.getAddress(),
+                (await time.latest()) + 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
+            );
+            await time.increase(2 * 24 * 60 * 60);
+
+            const wethBefore = await weth.balanceOf(user1.address);
+            const usdcBefore = await usdc.balanceOf(user1.address);
+
+            await expect(clob.connect(user1).cancelOrder(1))
+                .to.emit(clob, "OrderCancelled")
+                .withArgs(1, user1.address, amount);
+
+            expect(await weth.balanceOf(user1.address)).to.equal(wethBefore + amount);
+            expect(await usdc.balanceOf(user1.address)).to.equal(usdcBefore);
+        });
+
+        it("Should refund only the unused collateral of an expired, partially filled borrow order", async function () {
+            await weth.connect(user2).approve(await clob.getAddress(), collateralAmount * 2n);
+            await clob.connect(user2).placeBorrowOrder(
+                await weth.getAddress(),
+                amount * 2n,
+                900,
+                duration,
+                await weth.getAddress(),
+                collateralAmount * 2n,
+                (await time.latest()) + 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
+            );
+            // Fills half of the borrow order
+            await placeLend(TIME_IN_FORCE.GTC);
+            expect((await clob.orders(1)).status).to.equal(1); // PARTIALLY_FILLED
+            await time.increase(2 * 24 * 60 * 60);
+
+            const balanceBefore = await weth.balanceOf(user2.address);
+
+            await expect(clob.connect(user2).cancelOrder(1))
+                .to.emit(clob, "OrderCancelled")
+                .withArgs(1, user2.address, amount);
+
+            // The other half stays locked behind the loan
+            expect(await weth.balanceOf(user2.address)).to.equal(balanceBefore + collateralAmount);
+            expect(await clob.userCollateral(user2.address, await weth.getAddress())).to.equal(0);
+            expect((await clob.loans(1)).collateralAmount).to.equal(collateralAmount);
+        });
+    });
+
+    // The order book panel previews market orders with these frontend helpers
+    describe("Market Order Quotes", function () {
+        // Levels as getOrderBookDepth returns them, in no particular order
+        const book = (lend, borrow = []) => summarizeOrderBook({
+            lend: { rates: lend.map(([rate]) => rate), amounts: lend.map(([, amount]) => amount) },
+            borrow: { rates: borrow.map(([rate]) => rate), amounts: borrow.map(([, amount]) => amount) }
+        });
+        const offers = [[600n, 20n], [500n, 10n], [700n, 30n], [800n, 0n]];
+        const bids = [[800n, 5n], [900n, 5n]];
+
+        it("Should fill a market borrow across lend offers from the lowest rate up", async function () {
+            const quote = quoteMarketOrder(book(offers, bids), 25n, false);
+
+            expect(quote.fills).to.deep.equal([{ rate: 500n, amount: 10n }, { rate: 600n, amount: 15n }]);
+            expect(quote.filled).to.equal(25n);
+            expect(quote.remaining).to.equal(0n);
+            expect(quote.averageRate).to.equal(560n); // (500 * 10 + 600 * 15) / 25
+            expect(quote.bestRate).to.equal(500n);
+            expect(quote.worstRate).to.equal(600n);
+            expect(quote.priceImpact).to.equal(1200n); // 60 above the best rate of 500
+        });
+
+        it("Should fill a market lend across borrow bids from the highest rate down", async function () {
+            const quote = quoteMarketOrder(book(offers, bids), 8n, true);
+
+            expect(quote.fills).to.deep.equal([{ rate: 900n, amount: 5n }, { rate: 800n, amount: 3n }]);
+            expect(quote.averageRate).to.equal(862n); // 6900 / 8, rounded down
+            expect(quote.priceImpact).to.equal(422n);
+        });
+
+        it("Should leave the unfilled remainder of an order larger than the book", async function () {
+            const quote = quoteMarketOrder(book(offers, bids), 100n, false);
+
+            expect(quote.requested).to.equal(100n);
+            expect(quote.filled).to.equal(60n);
+            expect(quote.remaining).to.equal(40n);
+            expect(quote.worstRate).to.equal(700n);
+            expect(quote.fills).to.have.lengthOf(3);
+        });
+
+        it("Should quote nothing against an empty book", async function () {
+            const summary = summarizeOrderBook(undefined);
+            expect(summary.spread).to.equal(null);
+
+            const quote = quoteMarketOrder(summary, 10n, false);
+            expect(quote.fills).to.deep.equal([]);
+            expect(quote.filled).to.equal(0n);
+            expect(quote.remaining).to.equal(10n);
+            expect(quote.averageRate).to.equal(null);
+            expect(quote.bestRate).to.equal(null);
+            expect(quote.priceImpact).to.equal(0n);
+        });
+
+        it("Should report drift beyond the slippage limit when the book moves against the order", async function () {
+            const maxSlippage = 100n; // 1%
+            const preview = quoteMarketOrder(book(offers), 25n, false);
+
+            // The cheapest offer was taken after the preview: the average rises from 560 to 620
+            const fresh = quoteMarketOrder(book([[600n, 20n], [700n, 30n]]), 25n, false);
+            const drift = quoteDrift(preview, fresh);
+            expect(drift).to.equal(1071n);
+            expect(drift > maxSlippage).to.be.true;
+
+            // A cheaper book is no drift for a borrower, and a shallower one is a full move
+            expect(quoteDrift(preview, quoteMarketOrder(book([[400n, 30n]]), 25n, false))).to.equal(0n);
+            expect(quoteDrift(preview, quoteMarketOrder(book([[500n, 10n]]), 25n, false))).to.equal(10000n);
+
+            // Lenders drift when the rate falls
+            const lendPreview = quoteMarketOrder(book([], bids), 5n, true);
+            const lendFresh = quoteMarketOrder(book([], [[800n, 5n]]), 5n, true);
+            expect(quoteDrift(lendPreview, lendFresh)).to.equal(1111n); // 100 below 900
+        });
+    });
+
+    describe("Loan Repayment", function () {
+        const loanAmount = ethers.parseEther("10"); // 10 WETH
+        const collateralAmount = ethers.parseEther("15"); // 150% collateralization
+        const lendRate = 800; // 8%
+        const duration = 30 * 24 * 60 * 60; // 30 days
+        const loanId = 1;
+
+        beforeEach(async function () {
+            // user1 lends WETH, user2 borrows it against WETH collateral
+            await weth.connect(user1).approve(await clob.getAddress(), loanAmount);
+            await clob.connect(user1).placeLendOrder(
+                await weth.getAddress(),
+                loanAmount,
+                lendRate,
+                duration,
+                7500,
+                await weth.getAddress(),
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
+            );
+
+            await weth.connect(user2).approve(await clob.getAddress(), collateralAmount);
+            await clob.connect(user2).placeBorrowOrder(
+                await weth.getAddress(),
+                loanAmount,
+                900,
+                duration,
+                await weth.getAddress(),
+                collateralAmount,
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
+            );
+        });
+
+        it("Should record the borrowed asset for the loan", async function () {
+            expect(await clob.loanAssets(loanId)).to.equal(await weth.getAddress());
+        });
+
+        it("Should accrue interest at the loan's interest rate", async function () {
+            await time.increase(365 * 24 * 60 * 60);
+
+            const expectedDebt = loanAmount + (loanAmount * BigInt(lendRate)) / 10000n;
+            expect(await clob.getRepaymentAmount(loanId)).to.be.closeTo(expectedDebt, ethers.parseEther("0.001"));
+        });
+
+        it("Should apply a partial repayment to interest first and keep the loan active", async function () {
+            await time.increase(duration);
+
+            const partialAmount = ethers.parseEther("5");
+            await weth.connect(user2).approve(await clob.getAddress(), partialAmount);
+
+            const lenderBalanceBefore = await weth.balanceOf(user1.address);
+            await expect(clob.connect(user2).repayLoan(loanId, partialAmount))
+                .to.emit(clob, "LoanRepaid")
+                .withArgs(loanId, partialAmount);
+
+            const loan = await clob.loans(loanId);
+            expect(loan.status).to.equal(0); // ACTIVE
+            expect(loan.accruedInterest).to.equal(0);
+            expect(loan.remainingPrincipal).to.be.gt(loanAmount - partialAmount);
+            expect(await weth.balanceOf(user1.address)).to.equal(lenderBalanceBefore + partialAmount);
+        });
+
+        it("Should close out the loan and release collateral on full repayment", async function () {
+            await time.increase(duration);
+
+            await weth.connect(user2).approve(await clob.getAddress(), ethers.MaxUint256);
+
+            const lenderBalanceBefore = await weth.balanceOf(user1.address);
+            const borrowerBalanceBefore = await weth.balanceOf(user2.address);
+
+            await clob.connect(user2).repayLoan(loanId, ethers.MaxUint256);
+
+            const loan = await clob.loans(loanId);
+            const repaid = (await weth.balanceOf(user1.address)) - lenderBalanceBefore;
+
+            expect(loan.status).to.equal(1); // REPAID
+            expect(loan.remainingPrincipal).to.equal(0);
+            expect(repaid).to.be.gt(loanAmount);
+            expect(await weth.balanceOf(user2.address)).to.equal(borrowerBalanceBefore - repaid + collateralAmount);
+            expect(await clob.getRepaymentAmount(loanId)).to.equal(0);
+        });
+
+        it("Should only allow the borrower to repay an active loan", async function () {
+            await expect(clob.connect(user1).repayLoan(loanId, loanAmount))
+                .to.be.revertedWithCustomError(clob, "UnauthorizedAccess");
+
+            await weth.connect(user2).approve(await clob.getAddress(), ethers.MaxUint256);
+            await clob.connect(user2).repayLoan(loanId, ethers.MaxUint256);
+
+            await expect(clob.connect(user2).repayLoan(loanId, loanAmount))
+                .to.be.revertedWithCustomError(clob, "LoanNotActive");
+        });
+    });
+
+    describe("Loan Maturity and Default", function () {
+        const loanAmount = ethers.parseEther("10");
+        const collateralAmount = ethers.parseEther("15");
+        const duration = 30 * 24 * 60 * 60; // 30 days
+        const loanId = 1;
+
+        beforeEach(async function () {
+            await weth.connect(user1).approve(await clob.getAddress(), loanAmount);
+            await clob.connect(user1).placeLendOrder(
+                await weth.getAddress(),
+                loanAmount,
+                800,
+                duration,
+                7500,
+                await weth.getAddress(),
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
+            );
+
+            await weth.connect(user2).approve(await clob.getAddress(), collateralAmount);
+            await clob.connect(user2).placeBorrowOrder(
+                await weth.getAddress(),
+                loanAmount,
+                900,
+                duration,
+                await weth.getAddress(),
+                collateralAmount,
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
+            );
+        });
+
+        it("Should report maturity and default times", async function () {
+            const loan = await clob.loans(loanId);
+            const [maturity, defaultTime] = await clob.getLoanMaturity(loanId);
+
+            expect(maturity).to.equal(loan.startTime + BigInt(duration));
+            expect(defaultTime).to.equal(maturity + (await clob.gracePeriod()));
+        });
+
+        it("Should not allow defaulting a loan within its grace period", async function () {
+            await time.increase(duration + 60);
+
+            expect(await clob.isLoanDefaultable(loanId)).to.be.false;
+            await expect(clob.connect(liquidator).markDefaulted(loanId))
+                .to.be.revertedWithCustomError(clob, "LoanNotDefaultable");
+        });
+
+        it("Should transfer collateral to the lender when a loan defaults", async function () {
+            const [, defaultTime] = await clob.getLoanMaturity(loanId);
+            await time.increaseTo(defaultTime + 1n);
+
+            const lenderBalanceBefore = await weth.balanceOf(user1.address);
+
+            await expect(clob.connect(liquidator).markDefaulted(loanId))
+                .to.emit(clob, "LoanDefaulted")
+                .withArgs(loanId, user1.address, collateralAmount);
+
+            expect((await clob.loans(loanId)).status).to.equal(3); // DEFAULTED
+            expect(await weth.balanceOf(user1.address)).to.equal(lenderBalanceBefore + collateralAmount);
+            expect(await clob.isLoanDefaultable(loanId)).to.be.false;
+        });
+
+        it("Should not allow repaying or defaulting a loan twice", async function () {
+            const [, defaultTime] = await clob.getLoanMaturity(loanId);
+            await time.increaseTo(defaultTime + 1n);
+            await clob.markDefaulted(loanId);
+
+            await expect(clob.markDefaulted(loanId))
+                .to.be.revertedWithCustomError(clob, "LoanNotDefaultable");
+            await expect(clob.connect(user2).repayLoan(loanId, loanAmount))
+                .to.be.revertedWithCustomError(clob, "LoanNotActive");
+        });
+
+        it("Should let the owner bound the grace period", async function () {
+            await clob.updateGracePeriod(24 * 60 * 60);
+            expect(await clob.gracePeriod()).to.equal(24 * 60 * 60);
+
+            await expect(clob.updateGracePeriod(31 * 24 * 60 * 60))
+                .to.be.revertedWithCustomError(clob, "InvalidGracePeriod");
+        });
+    });
+
     describe("Lending Pool Functionality", function () {
         it("Should allow deposits into lending pool", async function () {
             const depositAmount = ethers.parseUnits("1000", 6); // 1000 USDC
@@ -249,6 +695,120 @@ describe("Legos Finance Protocol", function () {
         });
     });
 
+    describe("Permit Entry Points", function () {
+        const PERMIT_TYPES = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+
+        // Signs an EIP-2612 permit in the PermitSignature shape the entry points take
+        const signPermit = async (token, owner, spender, value) => {
+            const deadline = (await time.latest()) + 3600;
+            const domain = await token.eip712Domain();
+            const signature = await owner.signTypedData(
+                {
+                    name: domain.name,
+                    version: domain.version,
+                    chainId: domain.chainId,
+                    verifyingContract: domain.verifyingContract
+                },
+                PERMIT_TYPES,
+                { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline }
+            );
+            const { v, r, s } = ethers.Signature.from(signature);
+            return { value, deadline, v, r, s };
+        };
+
+        beforeEach(async function () {
+            await legosToken.transfer(user1.address, ethers.parseEther("1000"));
+        });
+
+        it("Should place a lending order with a permit instead of an approval", async function () {
+            const amount = ethers.parseEther("100");
+            const clobAddress = await clob.getAddress();
+            const permit = await signPermit(legosToken, user1, clobAddress, amount);
+
+            await expect(clob.connect(user1).placeLendOrderWithPermit(
+                await legosToken.getAddress(),
+                amount,
+                800,
+                30 * 24 * 60 * 60,
+                7500,
+                await weth.getAddress(),
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD,
+                permit
+            )).to.emit(clob, "OrderPlaced");
+
+            expect(await legosToken.balanceOf(clobAddress)).to.equal(amount);
+            expect(await legosToken.allowance(user1.address, clobAddress)).to.equal(0);
+        });
+
+        it("Should deposit into a pool with a permit", async function () {
+            const LegosLendingPool = await ethers.getContractFactory("LegosLendingPool");
+            const legosPool = await LegosLendingPool.deploy(
+                await legosToken.getAddress(),
+                await clob.getAddress(),
+                "Legos LEGOS Pool",
+                "legLEGOS",
+                deployer.address
+            );
+            const amount = ethers.parseEther("100");
+            const permit = await signPermit(legosToken, user1, await legosPool.getAddress(), amount);
+
+            await legosPool.connect(user1).depositWithPermit(amount, permit);
+
+            expect(await legosPool.balanceOf(user1.address)).to.equal(amount);
+        });
+
+        it("Should accept a permit that was already submitted by someone else", async function () {
+            const amount = ethers.parseEther("100");
+            const clobAddress = await clob.getAddress();
+            const permit = await signPermit(legosToken, user1, clobAddress, amount);
+
+            // Copied from the mempool and used first, which consumes the nonce
+            await legosToken.connect(user2).permit(
+                user1.address, clobAddress, permit.value, permit.deadline, permit.v, permit.r, permit.s
+            );
+
+            await expect(clob.connect(user1).placeLendOrderWithPermit(
+                await legosToken.getAddress(),
+                amount,
+                800,
+                30 * 24 * 60 * 60,
+                7500,
+                await weth.getAddress(),
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD,
+                permit
+            )).to.emit(clob, "OrderPlaced");
+        });
+
+        it("Should revert when the permit is invalid and no allowance exists", async function () {
+            const amount = ethers.parseEther("100");
+            // Signed for a different spender, so the CLOB cannot use it
+            const permit = await signPermit(legosToken, user1, user2.address, amount);
+            const LegosPermit = await ethers.getContractFactory("LegosPermit");
+
+            await expect(clob.connect(user1).placeLendOrderWithPermit(
+                await legosToken.getAddress(),
+                amount,
+                800,
+                30 * 24 * 60 * 60,
+                7500,
+                await weth.getAddress(),
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD,
+                permit
+            )).to.be.revertedWithCustomError(LegosPermit, "PermitFailed");
+        });
+    });
+
     describe("Risk Management", function () {
         it("Should calculate health factor correctly", async function () {
             // This would require setting up a loan first
@@ -260,6 +820,139 @@ describe("Legos Finance Protocol", function () {
             expect(riskParams.isEnabled).to.be.true;
         });
 
+        // The health factor simulator and liquidation price use these frontend helpers
+        it("Should match the health factor and liquidation price formulas used by the frontend", async function () {
+            const loanAmount = ethers.parseEther("10");
+            const collateralAmount = ethers.parseEther("15");
+
+            await weth.connect(user1).approve(await clob.getAddress(), loanAmount);
+            await clob.connect(user1).placeLendOrder(
+                await weth.getAddress(), loanAmount, 800, 30 * 24 * 60 * 60, 7500, await weth.getAddress(), 0, TIME_IN_FORCE.GTC
+            );
+            await weth.connect(user2).approve(await clob.getAddress(), collateralAmount);
+            await clob.connect(user2).placeBorrowOrder(
+                await weth.getAddress(), loanAmount, 900, 30 * 24 * 60 * 60, await weth.getAddress(), collateralAmount, 0, TIME_IN_FORCE.GTC
+            );
+
+            const loan = await clob.loans(1);
+            const position = {
+                collateralAmount: loan.collateralAmount,
+                totalDebt: loan.remainingPrincipal + loan.accruedInterest,
+                liquidationThreshold: (await riskManager.assetRiskParams(await weth.getAddress())).liquidationThreshold
+            };
+
+            for (const price of [ethers.parseEther("2000"), ethers.parseEther("0.7"), ethers.parseEther("0.5")]) {
+                await riskManager.updateAssetPrice(await weth.getAddress(), price);
+                expect(await riskManager.calculateHealthFactor(1))
+                    .to.equal(calculateHealthFactor({ ...position, collateralPrice: price }));
+            }
+
+            // The health factor reaches 1e18 at the liquidation price and drops below it one wei lower
+            const liquidationPrice = calculateLiquidationPrice(position);
+            await riskManager.updateAssetPrice(await weth.getAddress(), liquidationPrice + 1n);
+            expect(await riskManager.calculateHealthFactor(1)).to.be.gte(ethers.WeiPerEther);
+            expect(await riskManager.isLiquidationEligible(1)).to.be.false;
+            await riskManager.updateAssetPrice(await weth.getAddress(), liquidationPrice - 1n);
+            expect(await riskManager.calculateHealthFactor(1)).to.be.lt(ethers.WeiPerEther);
+            expect(await riskManager.isLiquidationEligible(1)).to.be.true;
+        });
+
+        it("Should liquidate an undercollateralized loan end to end", async function () {
+            const TestToken = await ethers.getContractFactory("TestERC20");
+            const dai = await TestToken.deploy("Dai Stablecoin", "DAI", 18, ethers.parseEther("1000000"));
+            await riskManager.setAssetRiskParameters(await dai.getAddress(), {
+                maxLTV: 8000,
+                liquidationThreshold: 8500,
+                liquidationPenalty: 500,
+                minCollateralRatio: 9000,
+                isEnabled: true
+            });
+            await riskManager.updateAssetPrice(await dai.getAddress(), ethers.parseEther("1"));
+            await dai.transfer(user1.address, ethers.parseEther("100"));
+            await dai.transfer(liquidator.address, ethers.parseEther("100"));
+
+            // user1 lends 10 DAI to user2 against 15 WETH
+            const loanAmount = ethers.parseEther("10");
+            const collateralAmount = ethers.parseEther("15");
+            await dai.connect(user1).approve(await clob.getAddress(), loanAmount);
+            await clob.connect(user1).placeLendOrder(
+                await dai.getAddress(), loanAmount, 800, 30 * 24 * 60 * 60, 7500, await weth.getAddress(), 0, TIME_IN_FORCE.GTC
+            );
+            await weth.connect(user2).approve(await clob.getAddress(), collateralAmount);
+            await clob.connect(user2).placeBorrowOrder(
+                await dai.getAddress(), loanAmount, 900, 30 * 24 * 60 * 60, await weth.getAddress(), collateralAmount, 0, TIME_IN_FORCE.GTC
+            );
+
+            // 15 WETH at $0.50 against 10 DAI: health factor 0.6
+            await riskManager.updateAssetPrice(await weth.getAddress(), ethers.parseEther("0.5"));
+            expect(await riskManager.isLiquidationEligible(1)).to.be.true;
+
+            await dai.connect(liquidator).approve(await riskManager.getAddress(), ethers.MaxUint256);
+            const lenderDai = await dai.balanceOf(user1.address);
+            const liquidatorWeth = await weth.balanceOf(liquidator.address);
+
+            // 5 DAI plus the 5% penalty is worth 10.5 WETH
+            const debtToCover = ethers.parseEther("5");
+            const seized = ethers.parseEther("10.5");
+            await expect(riskManager.connect(liquidator).liquidateLoan(1, debtToCover))
+                .to.emit(clob, "LiquidationExecuted")
+                .withArgs(1, liquidator.address, seized)
+                .and.to.emit(riskManager, "LiquidationTriggered")
+                .withArgs(1, liquidator.address, debtToCover, seized);
+
+            expect(await dai.balanceOf(user1.address)).to.equal(lenderDai + debtToCover);
+            expect(await weth.balanceOf(liquidator.address)).to.equal(liquidatorWeth + seized);
+            let loan = await clob.loans(1);
+            expect(loan.collateralAmount).to.equal(collateralAmount - seized);
+            expect(loan.status).to.equal(0); // ACTIVE
+
+            // The remaining 4.5 WETH no longer covers half the debt, so all of it is seized
+            await riskManager.connect(liquidator).liquidateLoan(1, ethers.MaxUint256);
+            loan = await clob.loans(1);
+            expect(loan.collateralAmount).to.equal(0);
+            expect(loan.status).to.equal(2); // LIQUIDATED
+            expect(await weth.balanceOf(liquidator.address)).to.equal(liquidatorWeth + collateralAmount);
+            expect(await weth.balanceOf(await clob.getAddress())).to.equal(0);
+            expect(await riskManager.getLoansAtRisk()).to.deep.equal([]);
+        });
+
+        it("Should monitor new loans and report undercollateralized ones as at risk", async function () {
+            const loanAmount = ethers.parseEther("10");
+            const collateralAmount = ethers.parseEther("15");
+
+            // 15 WETH at $0.50 against 10 WETH of debt: health factor 0.6 from the start
+            await riskManager.updateAssetPrice(await weth.getAddress(), ethers.parseEther("0.5"));
+            await weth.connect(user1).approve(await clob.getAddress(), loanAmount);
+            await clob.connect(user1).placeLendOrder(
+                await weth.getAddress(), loanAmount, 800, 30 * 24 * 60 * 60, 7500, await weth.getAddress(), 0, TIME_IN_FORCE.GTC
+            );
+            await weth.connect(user2).approve(await clob.getAddress(), collateralAmount);
+            await expect(clob.connect(user2).placeBorrowOrder(
+                await weth.getAddress(), loanAmount, 900, 30 * 24 * 60 * 60, await weth.getAddress(), collateralAmount, 0, TIME_IN_FORCE.GTC
+            )).to.emit(riskManager, "RiskLoanAdded").withArgs(1);
+
+            expect(await riskManager.getLoansAtRisk()).to.deep.equal([1n]);
+
+            // Repaying closes the loan and ends its monitoring
+            await weth.connect(user2).approve(await clob.getAddress(), ethers.MaxUint256);
+            await expect(clob.connect(user2).repayLoan(1, ethers.MaxUint256))
+                .to.emit(riskManager, "RiskLoanRemoved")
+                .withArgs(1);
+            expect(await riskManager.getLoansAtRisk()).to.deep.equal([]);
+        });
+
+        it("Should only let the CLOB or the owner change risk monitoring", async function () {
+            await expect(riskManager.connect(user1).addToRiskMonitoring(1))
+                .to.be.revertedWithCustomError(riskManager, "UnauthorizedCaller");
+            await expect(riskManager.connect(user1).removeFromRiskMonitoring(1))
+                .to.be.revertedWithCustomError(riskManager, "UnauthorizedCaller");
+        });
+
+        it("Should only let the risk manager settle liquidations", async function () {
+            await expect(clob.connect(liquidator).applyLiquidation(1, liquidator.address, 0, 0))
+                .to.be.revertedWithCustomError(clob, "UnauthorizedAccess");
+        });
+
         it("Should update asset prices", async function () {
             const newPrice = ethers.parseEther("2100"); // $2100 for WETH
 
@@ -288,6 +981,94 @@ describe("Legos Finance Protocol", function () {
 
             expect(votingPower).to.equal(balance); // Balance + staked amount (0 initially)
         });
+
+        it("Should queue a passed proposal in the timelock and execute it after the delay", async function () {
+            const governanceAddress = await governance.getAddress();
+            const clobAddress = await clob.getAddress();
+            const data = governance.interface.encodeFunctionData("setContractAuthorization", [clobAddress, true]);
+            const description = "Authorize the CLOB";
+
+            await legosToken.delegate(deployer.address);
+            await mine(1);
+
+            const proposalId = await governance.proposeParameterUpdate.staticCall(governanceAddress, data, "Authorize CLOB", description);
+            await governance.proposeParameterUpdate(governanceAddress, data, "Authorize CLOB", description);
+
+            await mine(Number(await governance.votingDelay()) + 1);
+            await governance.castVote(proposalId, 1); // For
+            await mine(Number(await governance.votingPeriod()));
+            expect(await governance.state(proposalId)).to.equal(4); // Succeeded
+
+            const descriptionHash = ethers.id(description);
+            await governance.queue([governanceAddress], [0], [data], descriptionHash);
+            expect(await governance.state(proposalId)).to.equal(5); // Queued
+
+            // The timelock refuses to run the proposal before its ETA
+            await expect(governance.execute([governanceAddress], [0], [data], descriptionHash))
+                .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+            await time.increaseTo(await governance.proposalEta(proposalId));
+            await governance.execute([governanceAddress], [0], [data], descriptionHash);
+
+            expect(await governance.state(proposalId)).to.equal(7); // Executed
+            expect(await governance.authorizedContracts(clobAddress)).to.be.true;
+        });
+
+        it("Should execute parameter updates on contracts owned by the governor", async function () {
+            const governanceAddress = await governance.getAddress();
+            const clobAddress = await clob.getAddress();
+            const poolAddress = await usdcPool.getAddress();
+            await clob.transferOwnership(governanceAddress);
+            await usdcPool.transferOwnership(governanceAddress);
+
+            // Authorizing the targets and updating them in one proposal, as the wizard's updates would
+            const targets = [governanceAddress, governanceAddress, governanceAddress, governanceAddress];
+            const values = [0, 0, 0, 0];
+            const calldatas = [
+                governance.interface.encodeFunctionData("setContractAuthorization", [clobAddress, true]),
+                governance.interface.encodeFunctionData("setContractAuthorization", [poolAddress, true]),
+                governance.interface.encodeFunctionData("updateProtocolFee", [clobAddress, 50]),
+                governance.interface.encodeFunctionData("updateInterestRateModel", [poolAddress, 300, 500, 12000])
+            ];
+            const description = "Lower the protocol fee and raise pool rates";
+
+            await legosToken.delegate(deployer.address);
+            await mine(1);
+            const proposalId = await governance.propose.staticCall(targets, values, calldatas, description);
+            await governance.propose(targets, values, calldatas, description);
+            await mine(Number(await governance.votingDelay()) + 1);
+            await governance.castVote(proposalId, 1); // For
+            await mine(Number(await governance.votingPeriod()));
+
+            const descriptionHash = ethers.id(description);
+            await governance.queue(targets, values, calldatas, descriptionHash);
+            await time.increaseTo(await governance.proposalEta(proposalId));
+            await expect(governance.execute(targets, values, calldatas, descriptionHash))
+                .to.emit(clob, "ProtocolFeeUpdated").withArgs(50)
+                .and.to.emit(usdcPool, "InterestRateModelUpdated").withArgs(300, 500, 12000);
+
+            expect(await clob.protocolFee()).to.equal(50);
+            const poolConfig = await usdcPool.poolConfig();
+            expect(poolConfig.baseRate).to.equal(300);
+            expect(poolConfig.multiplier).to.equal(500);
+            expect(poolConfig.jumpMultiplier).to.equal(12000);
+        });
+
+        it("Should keep staking rewards claimable after a full unstake", async function () {
+            const stakeAmount = ethers.parseEther("1000");
+
+            await legosToken.stake(stakeAmount);
+            await time.increase(30 * 24 * 60 * 60);
+            await legosToken.unstake(stakeAmount);
+
+            const pendingRewards = await legosToken.getPendingStakingRewards(deployer.address);
+            expect(pendingRewards).to.be.gt(0);
+
+            await expect(legosToken.claimStakingRewards())
+                .to.emit(legosToken, "StakingRewardsClaimed")
+                .withArgs(deployer.address, pendingRewards);
+            expect(await legosToken.getPendingStakingRewards(deployer.address)).to.equal(0);
+        });
     });
 
     describe("Integration Test", function () {
@@ -309,7 +1090,8 @@ describe("Legos Finance Protocol", function () {
                 30 * 24 * 60 * 60,
                 await weth.getAddress(),
                 collateralAmount,
-                (await time.latest()) + 7 * 24 * 60 * 60
+                (await time.latest()) + 7 * 24 * 60 * 60,
+                TIME_IN_FORCE.GTD
             );
 
             // 3. Check that the pool has available liquidity